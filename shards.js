@@ -0,0 +1,25 @@
+const { loadSettings } = require('./src/settings');
+const { createLogger } = require('./src/logger');
+const { startShardManager } = require('./src/sharding');
+
+// Entry point for large deployments: runs index.js once per shard
+let settings;
+try {
+    settings = loadSettings();
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
+
+const logMessage = createLogger({
+    file: settings.logFile,
+    level: settings.logLevel,
+    maxSizeMb: settings.logMaxSizeMb,
+    rotateHours: settings.logRotateHours,
+    retentionDays: settings.logRetentionDays
+});
+
+startShardManager(settings, logMessage).catch(async (error) => {
+    await logMessage('error', 'Failed to start shards', { error: error.message });
+    process.exit(1);
+});
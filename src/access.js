@@ -0,0 +1,94 @@
+const { PermissionFlagsBits } = require('discord.js');
+const { buildCounterOverwrites, buildCategoryOverwrites } = require('./channels');
+const { getDisplayMode } = require('./display-modes');
+const { DEFAULT_LANGUAGE, createTranslator } = require('./i18n');
+
+// Counter access
+// Members with an access level's Discord permission can always use its commands; the roles
+// stored in the guild settings under the level's setting can use them without it.
+// Translated labels and permission names live in the catalogs under access.levels and access.permissions
+const ACCESS_LEVELS = {
+    manage: {
+        label: 'Manage counters',
+        setting: 'managerRoles',
+        permission: PermissionFlagsBits.ManageChannels
+    },
+    reset: {
+        label: 'Reset counters',
+        setting: 'resetRoles',
+        permission: PermissionFlagsBits.Administrator
+    }
+};
+
+// Members of uncached guilds arrive as raw API data with an array of role ids
+function getMemberRoleIds(member) {
+    return Array.isArray(member.roles) ? member.roles : [...(member.roles?.cache.keys() || [])];
+}
+
+function hasCounterAccess(bot, interaction, level) {
+    const { setting, permission } = ACCESS_LEVELS[level];
+    if (interaction.member.permissions.has(permission)) return true;
+    
+    const roles = bot.getGuildSettings(interaction.guild.id)[setting];
+    return getMemberRoleIds(interaction.member).some(roleId => roles.includes(roleId));
+}
+
+// Reply text for members without access, naming both ways to get it
+// The action is a key of access.actions, such as "edit"
+function describeMissingAccess(level, action, language = DEFAULT_LANGUAGE) {
+    const t = createTranslator(language);
+    return t('access.missing', {
+        permission: t(`access.permissions.${level}`),
+        action: t(`access.actions.${action}`)
+    });
+}
+
+// Rewrite the overwrites of existing counter channels after the view roles change
+// Categories are only changed when every channel in them is a counter, so shared categories keep their permissions
+async function applyViewRoles(bot, guild) {
+    const { viewRoles } = bot.getGuildSettings(guild.id);
+    const configs = (bot.counterConfigs.get(guild.id) || []).filter(config => getDisplayMode(config).renames);
+    const counterChannelIds = new Set(configs.map(config => config.channelId));
+    const channels = new Map(); // channelId -> { channel, overwrites }
+    
+    // Counters shown as a category get the same overwrites as when they are created
+    for (const config of configs) {
+        const mode = getDisplayMode(config);
+        const channel = mode.findChannel(bot, guild, config);
+        if (channel) {
+            channels.set(channel.id, {
+                channel,
+                overwrites: mode.inCategory ? buildCounterOverwrites(guild, viewRoles) : buildCategoryOverwrites(guild, viewRoles)
+            });
+        }
+        
+        const category = mode.inCategory ? guild.channels.cache.get(config.categoryId) : null;
+        if (category && category.children.cache.every(child => counterChannelIds.has(child.id))) {
+            channels.set(category.id, { channel: category, overwrites: buildCounterOverwrites(guild, viewRoles) });
+        }
+    }
+    
+    let failed = 0;
+    for (const { channel, overwrites } of channels.values()) {
+        try {
+            await channel.permissionOverwrites.set(overwrites);
+        } catch (error) {
+            failed++;
+            await bot.logMessage('warn', 'Failed to update counter channel permissions', {
+                guild: guild.name,
+                guildId: guild.id,
+                channelId: channel.id,
+                error: error.message
+            });
+        }
+    }
+    
+    return { updated: channels.size - failed, failed };
+}
+
+module.exports = {
+    ACCESS_LEVELS,
+    hasCounterAccess,
+    describeMissingAccess,
+    applyViewRoles
+};
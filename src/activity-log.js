@@ -0,0 +1,238 @@
+const { PermissionFlagsBits } = require('discord.js');
+const { DEFAULT_LANGUAGE, createTranslator, formatNumber } = require('./i18n');
+
+// Join/leave activity log
+// Guilds opt in with /counter-log; the channel id and the daily summary switch live in the guild's settings
+const NEW_ACCOUNT_AGE = 7 * 24 * 60 * 60 * 1000;
+
+// Unit names are catalog keys under durations, with a singular and a plural form
+const DURATION_UNITS = [
+    { name: 'year', ms: 365 * 24 * 60 * 60 * 1000 },
+    { name: 'month', ms: 30 * 24 * 60 * 60 * 1000 },
+    { name: 'day', ms: 24 * 60 * 60 * 1000 },
+    { name: 'hour', ms: 60 * 60 * 1000 },
+    { name: 'minute', ms: 60 * 1000 }
+];
+
+// Human readable duration from the largest unit and the one below it, e.g. "1 year, 2 months"
+function formatDuration(ms, language = DEFAULT_LANGUAGE) {
+    const t = createTranslator(language);
+    const parts = [];
+    let remaining = ms;
+    
+    for (const unit of DURATION_UNITS) {
+        const amount = Math.floor(remaining / unit.ms);
+        remaining -= amount * unit.ms;
+        
+        if (amount > 0) {
+            parts.push(t(`durations.${unit.name}.${amount === 1 ? 'one' : 'other'}`, { count: amount }));
+        }
+        if (parts.length === 2 || (parts.length === 1 && amount === 0)) break;
+    }
+    
+    return parts.length > 0 ? parts.join(', ') : t('durations.lessThanMinute');
+}
+
+// Returns null if activity can be posted in the channel or the catalog key and variables of the problem
+function validateLogChannel(guild, channel) {
+    const permissions = channel.permissionsFor(guild.members.me);
+    if (!permissions?.has([PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages, PermissionFlagsBits.EmbedLinks])) {
+        return { key: 'activityLog.missingPermissions', vars: { channel: channel.toString() } };
+    }
+    
+    return null;
+}
+
+function createActivityLog(bot) {
+    let summaryTimer = null;
+    
+    async function sendToLogChannel(guild, embed) {
+        const { logChannelId } = bot.getGuildSettings(guild.id);
+        if (!logChannelId) return;
+        
+        const channel = guild.channels.cache.get(logChannelId);
+        if (!channel) {
+            // The channel is gone, so stop trying until an admin picks a new one
+            bot.updateGuildSettings(guild.id, { logChannelId: null });
+            await bot.saveConfigs();
+            await bot.logMessage('warn', 'Activity log channel not found, activity log disabled', {
+                guild: guild.name,
+                guildId: guild.id,
+                channelId: logChannelId
+            });
+            return;
+        }
+        
+        try {
+            await channel.send({ embeds: [embed] });
+        } catch (error) {
+            await bot.logMessage('error', 'Failed to post to activity log', {
+                guild: guild.name,
+                channelId: logChannelId,
+                error: error.message
+            });
+        }
+    }
+    
+    async function postMemberJoin(member) {
+        const language = bot.getGuildLanguage(member.guild);
+        const t = createTranslator(language);
+        const accountAge = Date.now() - member.user.createdTimestamp;
+        
+        const embed = {
+            title: `📥 ${t('activityLog.joinedTitle')}`,
+            description: `${member} (${member.user.tag})`,
+            color: 0x00ff00,
+            thumbnail: {
+                url: member.user.displayAvatarURL()
+            },
+            fields: [
+                {
+                    name: `🎂 ${t('activityLog.accountAge')}`,
+                    value: t('activityLog.created', {
+                        duration: formatDuration(accountAge, language),
+                        date: `<t:${Math.floor(member.user.createdTimestamp / 1000)}:D>`
+                    }) + `${accountAge < NEW_ACCOUNT_AGE ? `\n⚠️ ${t('activityLog.newAccount')}` : ''}`,
+                    inline: true
+                },
+                {
+                    name: `🔢 ${t('activityLog.memberNumber')}`,
+                    value: `#${formatNumber(member.guild.memberCount, language)}`,
+                    inline: true
+                }
+            ],
+            footer: {
+                text: t('activityLog.userId', { id: member.id })
+            },
+            timestamp: new Date().toISOString()
+        };
+        
+        await sendToLogChannel(member.guild, embed);
+    }
+    
+    async function postMemberLeave(member) {
+        const language = bot.getGuildLanguage(member.guild);
+        const t = createTranslator(language);
+        
+        const embed = {
+            title: `📤 ${t('activityLog.leftTitle')}`,
+            description: `${member} (${member.user.tag})`,
+            color: 0xff0000,
+            thumbnail: {
+                url: member.user.displayAvatarURL()
+            },
+            fields: [
+                {
+                    name: `⏱️ ${t('activityLog.timeInServer')}`,
+                    // Members that weren't cached when they left have no join date
+                    value: member.joinedTimestamp
+                        ? t('activityLog.joined', {
+                            duration: formatDuration(Date.now() - member.joinedTimestamp, language),
+                            date: `<t:${Math.floor(member.joinedTimestamp / 1000)}:D>`
+                        })
+                        : t('activityLog.unknown'),
+                    inline: true
+                },
+                {
+                    name: `👥 ${t('activityLog.membersNow')}`,
+                    value: formatNumber(member.guild.memberCount, language),
+                    inline: true
+                }
+            ],
+            footer: {
+                text: t('activityLog.userId', { id: member.id })
+            },
+            timestamp: new Date().toISOString()
+        };
+        
+        await sendToLogChannel(member.guild, embed);
+    }
+    
+    async function postDailySummary(guild) {
+        const report = bot.getGuildReport(guild.id, 'day');
+        const language = bot.getGuildLanguage(guild);
+        const t = createTranslator(language);
+        
+        const embed = {
+            title: `📅 ${t('activityLog.summaryTitle')}`,
+            description: t('activityLog.summaryDescription', { guild: guild.name }),
+            color: 0x0099ff,
+            fields: [
+                {
+                    name: `📥 ${t('stats.joins')}`,
+                    value: formatNumber(report.joins, language),
+                    inline: true
+                },
+                {
+                    name: `📤 ${t('stats.leaves')}`,
+                    value: formatNumber(report.leaves, language),
+                    inline: true
+                },
+                {
+                    name: `📊 ${t('stats.netChange')}`,
+                    value: `${report.net > 0 ? '+' : ''}${formatNumber(report.net, language)}`,
+                    inline: true
+                },
+                {
+                    name: `👥 ${t('activityLog.members')}`,
+                    value: formatNumber(guild.memberCount, language),
+                    inline: true
+                }
+            ],
+            footer: {
+                text: t('activityLog.summaryFooter')
+            },
+            timestamp: new Date().toISOString()
+        };
+        
+        if (report.peakOnline !== null) {
+            embed.fields.push({
+                name: `🟢 ${t('stats.peakOnline')}`,
+                value: formatNumber(report.peakOnline, language),
+                inline: true
+            });
+        }
+        
+        await sendToLogChannel(guild, embed);
+    }
+    
+    async function postDailySummaries() {
+        for (const guild of bot.client.guilds.cache.values()) {
+            const { logChannelId, dailySummary } = bot.getGuildSettings(guild.id);
+            if (logChannelId && dailySummary) {
+                await postDailySummary(guild);
+            }
+        }
+    }
+    
+    // Daily summaries go out at midnight UTC
+    function scheduleDailySummary() {
+        const now = new Date();
+        const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+        
+        summaryTimer = setTimeout(async () => {
+            await postDailySummaries();
+            scheduleDailySummary();
+        }, midnight - now.getTime());
+    }
+    
+    function cancelDailySummary() {
+        clearTimeout(summaryTimer);
+        summaryTimer = null;
+    }
+    
+    return {
+        postMemberJoin,
+        postMemberLeave,
+        postDailySummary,
+        postDailySummaries,
+        scheduleDailySummary,
+        cancelDailySummary
+    };
+}
+
+module.exports = {
+    formatDuration,
+    validateLogChannel,
+    createActivityLog
+};
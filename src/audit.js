@@ -0,0 +1,103 @@
+const { AUDIT_SCHEMA_VERSION } = require('./storage');
+const { getComponentCommand } = require('./commands');
+
+// Audit trail
+// Commands that change a guild's counters or settings record who ran them, so guild
+// admins can look changes up with /counter-audit. Entries are kept per guild, newest last
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_GUILD_ENTRIES = 500;
+
+// Summary for commands that change guild settings, e.g. "Changed autoRecreate to true"
+function describeChanges(changes) {
+    const parts = Object.entries(changes).map(([key, value]) => `${key} to ${value === null ? 'none' : value}`);
+    return `Changed ${parts.join(', ')}`;
+}
+
+function createAuditLog(bot) {
+    let audit = {}; // guildId -> [{ time, userId, userTag, command, summary }]
+    
+    // Like history, the audit trail is never saved over before it has been loaded
+    let auditLoaded = false;
+    
+    async function loadAudit() {
+        try {
+            const data = await bot.storage.audit.load();
+            audit = data ? data.guilds : {};
+            
+            await bot.logMessage('info', 'Audit trail loaded', { guilds: Object.keys(audit).length });
+        } catch (error) {
+            audit = {};
+            await bot.logMessage('error', 'Failed to load audit trail, starting empty', { error: error.message });
+        }
+        
+        auditLoaded = true;
+    }
+    
+    async function saveAudit() {
+        if (!auditLoaded) return;
+        
+        try {
+            await bot.storage.audit.save({
+                schemaVersion: AUDIT_SCHEMA_VERSION,
+                guilds: audit
+            });
+        } catch (error) {
+            await bot.logMessage('error', 'Failed to save audit trail', { error: error.message });
+        }
+    }
+    
+    function pruneGuildAudit(guildId) {
+        const cutoff = Date.now() - bot.settings.auditRetentionDays * DAY;
+        audit[guildId] = audit[guildId]
+            .filter(entry => entry.time >= cutoff)
+            .slice(-MAX_GUILD_ENTRIES);
+    }
+    
+    // Saved straight away, since a change that isn't in the trail can't be looked up later
+    async function recordAudit(interaction, summary) {
+        const guildId = interaction.guild.id;
+        audit[guildId] = audit[guildId] || [];
+        audit[guildId].push({
+            time: Date.now(),
+            userId: interaction.user.id,
+            userTag: interaction.user.tag,
+            command: interaction.commandName ?? getComponentCommand(interaction),
+            summary
+        });
+        pruneGuildAudit(guildId);
+        
+        await bot.logMessage('info', 'Audit entry recorded', {
+            guildId,
+            userId: interaction.user.id,
+            command: interaction.commandName ?? getComponentCommand(interaction),
+            summary
+        });
+        await saveAudit();
+    }
+    
+    // Newest entries first, optionally only one member's or one command's
+    function queryAudit(guildId, { userId = null, command = null, limit = 10 } = {}) {
+        return (audit[guildId] || [])
+            .filter(entry => (!userId || entry.userId === userId) && (!command || entry.command === command))
+            .slice(-limit)
+            .reverse();
+    }
+    
+    function dropGuildAudit(guildId) {
+        delete audit[guildId];
+    }
+    
+    return {
+        loadAudit,
+        saveAudit,
+        recordAudit,
+        queryAudit,
+        dropGuildAudit
+    };
+}
+
+module.exports = {
+    MAX_GUILD_ENTRIES,
+    describeChanges,
+    createAuditLog
+};
@@ -0,0 +1,110 @@
+const { REST, Routes } = require('discord.js');
+const { getCountForType } = require('./counter-types');
+const { createConfigStore } = require('./config-store');
+const { createStatsCache } = require('./stats');
+const { createUpdateScheduler } = require('./scheduler');
+const { createHealer } = require('./healing');
+const { createHistoryRecorder } = require('./history');
+const { createActivityLog } = require('./activity-log');
+const { createAuditLog } = require('./audit');
+const { createPanelManager } = require('./panels');
+const { createMetrics } = require('./metrics');
+const { createStatusServer } = require('./status-server');
+const { createExternalCounters } = require('./external-counters');
+const { createShardStats } = require('./sharding');
+const { loadCommands } = require('./commands');
+const { registerEvents } = require('./events');
+
+// Wire the bot together around an injected Discord client
+// Everything else reaches shared state and the other modules' functions through the returned bot
+function createBot({ client, settings, storage, logMessage }) {
+    const bot = {
+        client,
+        settings,
+        storage,
+        logMessage,
+        commands: loadCommands(),
+        
+        // Store counter configurations and per-guild settings
+        counterConfigs: new Map(),
+        guildSettings: new Map(),
+        counterStatus: new Map() // channelId -> { value, updatedAt, error, errorAt }
+    };
+    
+    const intervals = [];
+    
+    Object.assign(bot,
+        createConfigStore(bot),
+        createStatsCache(bot),
+        createUpdateScheduler(bot),
+        createHealer(bot),
+        createHistoryRecorder(bot),
+        createActivityLog(bot),
+        createAuditLog(bot),
+        createPanelManager(bot),
+        createMetrics(bot),
+        createStatusServer(bot),
+        createExternalCounters(bot),
+        createShardStats(bot),
+        {
+            getCountForType: (guild, type, filter, time, external) => getCountForType(bot, guild, type, filter, time, external),
+            registerCommands: () => registerCommands(bot),
+            
+            startIntervals() {
+                intervals.push(
+                    setInterval(bot.updateAllCounters, settings.updateIntervalMinutes * 60 * 1000),
+                    setInterval(bot.reconcileAllStats, settings.reconcileIntervalMinutes * 60 * 1000),
+                    setInterval(bot.saveConfigs, settings.saveIntervalMinutes * 60 * 1000),
+                    setInterval(bot.sampleAllGuilds, settings.historyIntervalMinutes * 60 * 1000),
+                    setInterval(bot.saveHistory, settings.saveIntervalMinutes * 60 * 1000),
+                    setInterval(bot.saveAudit, settings.saveIntervalMinutes * 60 * 1000)
+                );
+                bot.scheduleDailySummary();
+            },
+            
+            // Stop every timer the bot owns so the process (or a test) can exit cleanly
+            destroy() {
+                intervals.splice(0).forEach(clearInterval);
+                bot.cancelAllUpdates();
+                bot.cancelAllHeals();
+                bot.cancelDailySummary();
+                bot.cancelAllPanelUpdates();
+                bot.stopStatusServer();
+            }
+        }
+    );
+    
+    registerEvents(bot);
+    
+    return bot;
+}
+
+// Register slash commands
+async function registerCommands(bot) {
+    const { client, settings } = bot;
+    
+    try {
+        console.log('Started refreshing application (/) commands.');
+        
+        const rest = new REST({ version: '10' }).setToken(settings.token);
+        
+        // Guild commands update instantly, which is what a development bot wants
+        const route = settings.commandGuildId
+            ? Routes.applicationGuildCommands(client.user.id, settings.commandGuildId)
+            : Routes.applicationCommands(client.user.id);
+        
+        await rest.put(
+            route,
+            { body: [...bot.commands.values()].map(command => command.data.toJSON()) }
+        );
+        
+        console.log(`Successfully reloaded application (/) commands${settings.commandGuildId ? ` for guild ${settings.commandGuildId}` : ''}.`);
+    } catch (error) {
+        console.error('Error registering commands:', error);
+    }
+}
+
+module.exports = {
+    createBot,
+    registerCommands
+};
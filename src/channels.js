@@ -0,0 +1,81 @@
+const { ChannelType, PermissionFlagsBits } = require('discord.js');
+const { renderCounterName } = require('./templates');
+const { DEFAULT_LANGUAGE } = require('./i18n');
+
+// Counter channels can't be joined, and with view roles set they are hidden from everyone else
+// The bot keeps access to channels it hides so it can still rename them
+function buildCounterOverwrites(guild, viewRoles = []) {
+    if (viewRoles.length === 0) {
+        return [
+            {
+                id: guild.roles.everyone,
+                deny: [PermissionFlagsBits.Connect],
+            },
+        ];
+    }
+    
+    return [
+        {
+            id: guild.roles.everyone,
+            deny: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.Connect],
+        },
+        ...viewRoles.map(roleId => ({
+            id: roleId,
+            allow: [PermissionFlagsBits.ViewChannel],
+        })),
+        {
+            id: guild.members.me.id,
+            allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.ManageChannels],
+        },
+    ];
+}
+
+// Counters shown as a category name only get the overwrites that hide them: categories can't be
+// joined, and a Connect deny would be synced to the server's own channels inside them
+function buildCategoryOverwrites(guild, viewRoles = []) {
+    if (viewRoles.length === 0) return [];
+    
+    return buildCounterOverwrites(guild, viewRoles).map(overwrite => overwrite.id === guild.roles.everyone
+        ? { ...overwrite, deny: [PermissionFlagsBits.ViewChannel] }
+        : overwrite);
+}
+
+async function findOrCreateCategory(guild, categoryName, viewRoles = []) {
+    const category = guild.channels.cache.find(
+        c => c.type === ChannelType.GuildCategory && c.name === categoryName
+    );
+    if (category) return category;
+    
+    return guild.channels.create({
+        name: categoryName,
+        type: ChannelType.GuildCategory,
+        permissionOverwrites: buildCounterOverwrites(guild, viewRoles),
+    });
+}
+
+async function createCounterChannel(guild, config, count, language = DEFAULT_LANGUAGE, position = undefined, viewRoles = []) {
+    return guild.channels.create({
+        name: renderCounterName(guild, config, count, language),
+        type: ChannelType.GuildVoice,
+        parent: config.categoryId,
+        position: position,
+        permissionOverwrites: buildCounterOverwrites(guild, viewRoles),
+    });
+}
+
+async function createCounterCategory(guild, config, count, language = DEFAULT_LANGUAGE, position = undefined, viewRoles = []) {
+    return guild.channels.create({
+        name: renderCounterName(guild, config, count, language),
+        type: ChannelType.GuildCategory,
+        position: position,
+        permissionOverwrites: buildCategoryOverwrites(guild, viewRoles)
+    });
+}
+
+module.exports = {
+    buildCounterOverwrites,
+    buildCategoryOverwrites,
+    findOrCreateCategory,
+    createCounterChannel,
+    createCounterCategory
+};
@@ -0,0 +1,257 @@
+const zlib = require('zlib');
+const { formatCount } = require('./templates');
+
+// PNG line charts for /counter-stats
+// Rendered into a plain RGB buffer and encoded here, so no canvas module or chart service is needed
+const CHART_WIDTH = 800;
+const CHART_HEIGHT = 360;
+const PADDING = { top: 20, right: 24, bottom: 40, left: 80 };
+const FONT_SCALE = 2;
+
+const COLORS = {
+    background: 0x2b2d31,
+    grid: 0x3f4147,
+    text: 0xb5bac1,
+    line: 0x5865f2
+};
+
+// 5x7 bitmap glyphs for the characters axis labels use
+const GLYPHS = {
+    '0': ['.###.', '#...#', '#..##', '#.#.#', '##..#', '#...#', '.###.'],
+    '1': ['..#..', '.##..', '..#..', '..#..', '..#..', '..#..', '.###.'],
+    '2': ['.###.', '#...#', '....#', '...#.', '..#..', '.#...', '#####'],
+    '3': ['#####', '...#.', '..#..', '...#.', '....#', '#...#', '.###.'],
+    '4': ['...#.', '..##.', '.#.#.', '#..#.', '#####', '...#.', '...#.'],
+    '5': ['#####', '#....', '####.', '....#', '....#', '#...#', '.###.'],
+    '6': ['..##.', '.#...', '#....', '####.', '#...#', '#...#', '.###.'],
+    '7': ['#####', '....#', '...#.', '..#..', '.#...', '.#...', '.#...'],
+    '8': ['.###.', '#...#', '#...#', '.###.', '#...#', '#...#', '.###.'],
+    '9': ['.###.', '#...#', '#...#', '.####', '....#', '...#.', '.##..'],
+    '.': ['.....', '.....', '.....', '.....', '.....', '.##..', '.##..'],
+    '-': ['.....', '.....', '.....', '#####', '.....', '.....', '.....'],
+    ':': ['.....', '.##..', '.##..', '.....', '.##..', '.##..', '.....'],
+    '/': ['....#', '....#', '...#.', '..#..', '.#...', '#....', '#....'],
+    'k': ['#....', '#....', '#..#.', '#.#..', '##...', '#.#..', '#..#.'],
+    'm': ['.....', '.....', '##.#.', '#.#.#', '#.#.#', '#...#', '#...#'],
+    'b': ['#....', '#....', '#.##.', '##..#', '#...#', '#...#', '####.'],
+    ' ': ['.....', '.....', '.....', '.....', '.....', '.....', '.....']
+};
+
+function createCanvas(width, height, background) {
+    const pixels = Buffer.alloc(width * height * 3);
+    for (let i = 0; i < width * height; i++) {
+        pixels[i * 3] = background >> 16;
+        pixels[i * 3 + 1] = (background >> 8) & 0xff;
+        pixels[i * 3 + 2] = background & 0xff;
+    }
+    
+    // Blend a color into a pixel; alpha is between 0 and 1
+    const plot = (x, y, color, alpha = 1) => {
+        x = Math.round(x);
+        y = Math.round(y);
+        if (x < 0 || y < 0 || x >= width || y >= height) return;
+        
+        const offset = (y * width + x) * 3;
+        const channels = [color >> 16, (color >> 8) & 0xff, color & 0xff];
+        channels.forEach((value, i) => {
+            pixels[offset + i] = Math.round(pixels[offset + i] * (1 - alpha) + value * alpha);
+        });
+    };
+    
+    return { width, height, pixels, plot };
+}
+
+// Bresenham line with a square brush
+function drawLine(canvas, x0, y0, x1, y1, color, thickness = 1) {
+    x0 = Math.round(x0);
+    y0 = Math.round(y0);
+    x1 = Math.round(x1);
+    y1 = Math.round(y1);
+    
+    const dx = Math.abs(x1 - x0);
+    const dy = -Math.abs(y1 - y0);
+    const sx = x0 < x1 ? 1 : -1;
+    const sy = y0 < y1 ? 1 : -1;
+    const offset = Math.floor((thickness - 1) / 2);
+    let error = dx + dy;
+    
+    while (true) {
+        for (let bx = 0; bx < thickness; bx++) {
+            for (let by = 0; by < thickness; by++) {
+                canvas.plot(x0 + bx - offset, y0 + by - offset, color);
+            }
+        }
+        
+        if (x0 === x1 && y0 === y1) break;
+        
+        const doubled = 2 * error;
+        if (doubled >= dy) {
+            error += dy;
+            x0 += sx;
+        }
+        if (doubled <= dx) {
+            error += dx;
+            y0 += sy;
+        }
+    }
+}
+
+function measureText(text) {
+    return text.length * 6 * FONT_SCALE - FONT_SCALE;
+}
+
+function drawText(canvas, text, x, y, color) {
+    [...text].forEach((char, index) => {
+        const glyph = GLYPHS[char] || GLYPHS[' '];
+        glyph.forEach((row, gy) => {
+            [...row].forEach((cell, gx) => {
+                if (cell !== '#') return;
+                for (let sx = 0; sx < FONT_SCALE; sx++) {
+                    for (let sy = 0; sy < FONT_SCALE; sy++) {
+                        canvas.plot(x + (index * 6 + gx) * FONT_SCALE + sx, y + gy * FONT_SCALE + sy, color);
+                    }
+                }
+            });
+        });
+    });
+}
+
+// Round axis bounds outwards to a step of 1, 2 or 5 times a power of ten
+function niceScale(min, max, ticks = 4) {
+    if (min === max) {
+        min = Math.max(0, min - 1);
+        max = max + 1;
+    }
+    
+    const rough = (max - min) / ticks;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+    // Counts are whole numbers, so steps never go below 1
+    const step = Math.max([1, 2, 5, 10].map(factor => factor * magnitude).find(candidate => candidate >= rough), 1);
+    
+    return {
+        min: Math.floor(min / step) * step,
+        max: Math.ceil(max / step) * step,
+        step
+    };
+}
+
+function formatTime(time, timeFormat) {
+    const date = new Date(time);
+    const pad = (value) => String(value).padStart(2, '0');
+    
+    return timeFormat === 'time'
+        ? `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}`
+        : `${pad(date.getUTCMonth() + 1)}/${pad(date.getUTCDate())}`;
+}
+
+// points: [{ time, value }] sorted by time, at least two of them
+// timeFormat: 'time' labels the x axis with UTC times, 'date' with UTC dates
+function renderLineChart(points, { timeFormat = 'date', width = CHART_WIDTH, height = CHART_HEIGHT } = {}) {
+    const canvas = createCanvas(width, height, COLORS.background);
+    const plotWidth = width - PADDING.left - PADDING.right;
+    const plotHeight = height - PADDING.top - PADDING.bottom;
+    
+    const values = points.map(point => point.value);
+    const scale = niceScale(Math.min(...values), Math.max(...values));
+    const startTime = points[0].time;
+    const timeRange = Math.max(points[points.length - 1].time - startTime, 1);
+    
+    const toX = (time) => PADDING.left + ((time - startTime) / timeRange) * plotWidth;
+    const toY = (value) => PADDING.top + plotHeight - ((value - scale.min) / (scale.max - scale.min)) * plotHeight;
+    
+    // Horizontal grid lines with value labels
+    for (let value = scale.min; value <= scale.max; value += scale.step) {
+        const y = toY(value);
+        drawLine(canvas, PADDING.left, y, width - PADDING.right, y, COLORS.grid);
+        
+        // Compact labels would repeat the same value on narrow ranges
+        const label = formatCount(value, scale.step >= 1000 ? 'compact' : null);
+        drawText(canvas, label, PADDING.left - 10 - measureText(label), Math.round(y) - 7, COLORS.text);
+    }
+    
+    // Time labels along the bottom
+    const labelCount = 5;
+    for (let i = 0; i < labelCount; i++) {
+        const time = startTime + (timeRange * i) / (labelCount - 1);
+        const label = formatTime(time, timeFormat);
+        const x = Math.min(Math.max(toX(time) - measureText(label) / 2, 0), width - measureText(label));
+        drawText(canvas, label, Math.round(x), height - PADDING.bottom + 12, COLORS.text);
+    }
+    
+    // Shade the area under the line, then draw the line itself on top
+    for (let i = 1; i < points.length; i++) {
+        const x0 = Math.round(toX(points[i - 1].time));
+        const x1 = Math.round(toX(points[i].time));
+        // Columns shared by two segments are only shaded once
+        const last = i === points.length - 1 ? x1 : x1 - 1;
+        for (let x = x0; x <= last; x++) {
+            const progress = x1 === x0 ? 1 : (x - x0) / (x1 - x0);
+            const y = toY(points[i - 1].value + (points[i].value - points[i - 1].value) * progress);
+            for (let fill = Math.round(y); fill <= PADDING.top + plotHeight; fill++) {
+                canvas.plot(x, fill, COLORS.line, 0.15);
+            }
+        }
+    }
+    
+    for (let i = 1; i < points.length; i++) {
+        drawLine(canvas, toX(points[i - 1].time), toY(points[i - 1].value), toX(points[i].time), toY(points[i].value), COLORS.line, 3);
+    }
+    
+    return encodePng(canvas);
+}
+
+// PNG encoding
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    
+    return Buffer.concat([length, body, crc]);
+}
+
+function encodePng({ width, height, pixels }) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // Bit depth
+    header[9] = 2; // Truecolor RGB
+    
+    // Each scanline starts with filter type 0 (none)
+    const stride = width * 3;
+    const raw = Buffer.alloc((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+        pixels.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+    }
+    
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(raw)),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+module.exports = {
+    renderLineChart,
+    niceScale,
+    encodePng
+};
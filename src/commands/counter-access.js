@@ -0,0 +1,155 @@
+const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const { ACCESS_LEVELS, applyViewRoles } = require('../access');
+const { createTranslator, localizations } = require('../i18n');
+
+// Role lists stored in the guild settings, by the value of the access option
+// Translated labels live in the catalogs under access.levels.<key>
+const ROLE_LISTS = {
+    manage: { ...ACCESS_LEVELS.manage, emoji: '🛠️' },
+    reset: { ...ACCESS_LEVELS.reset, emoji: '🗑️' },
+    view: { label: 'View counter channels', setting: 'viewRoles', emoji: '👁️' }
+};
+
+const data = new SlashCommandBuilder()
+    .setName('counter-access')
+    .setDescription('Choose which roles can manage, reset and see counters')
+    .addStringOption(option =>
+        option.setName('access')
+            .setDescription('Access to change')
+            .setRequired(false)
+            .addChoices(
+                ...Object.entries(ROLE_LISTS).map(([value, list]) => ({
+                    name: list.label,
+                    name_localizations: localizations(`access.levels.${value}`),
+                    value
+                }))
+            ))
+    .addRoleOption(option =>
+        option.setName('role')
+            .setDescription('Role to allow')
+            .setRequired(false))
+    .addBooleanOption(option =>
+        option.setName('remove')
+            .setDescription('Take the access away from the role instead')
+            .setRequired(false))
+    .addBooleanOption(option =>
+        option.setName('clear')
+            .setDescription('Take the access away from every role')
+            .setRequired(false))
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator);
+
+function describeRoleList(guild, key, roleIds, t) {
+    const roles = roleIds.filter(roleId => guild.roles.cache.has(roleId)).map(roleId => `<@&${roleId}>`).join(', ');
+    
+    if (key === 'view') {
+        return roles ? t('access.viewRoles', { roles }) : t('access.everyone');
+    }
+    
+    const permission = t(`access.permissions.${key}`);
+    return roles ? t('access.rolesAndPermission', { roles, permission }) : t('access.onlyPermission', { permission });
+}
+
+function validateAccessOptions(interaction, key, role, clear, t) {
+    if (!key) {
+        return role || clear ? t('access.pickAccess') : null;
+    }
+    if (!role && !clear) {
+        return t('access.pickRole');
+    }
+    if (role && clear) {
+        return t('access.roleOrClear');
+    }
+    if (role && role.id === interaction.guild.id) {
+        return t('access.notEveryone');
+    }
+    
+    // Changing channel overwrites needs "Manage Roles"
+    if (key === 'view' && !interaction.guild.members.me.permissions.has(PermissionFlagsBits.ManageRoles)) {
+        return t('access.needsManageRoles');
+    }
+    
+    return null;
+}
+
+async function handleCounterAccess(interaction, bot) {
+    const key = interaction.options.getString('access');
+    const role = interaction.options.getRole('role');
+    const remove = interaction.options.getBoolean('remove') || false;
+    const clear = interaction.options.getBoolean('clear') || false;
+    const guild = interaction.guild;
+    const t = createTranslator(bot.getGuildLanguage(guild));
+    
+    // Access decides who can reset counters, so only administrators can change it
+    if (!interaction.member.permissions.has(PermissionFlagsBits.Administrator)) {
+        return interaction.reply({
+            content: t('access.needsAdministrator'),
+            ephemeral: true
+        });
+    }
+    
+    const optionsError = validateAccessOptions(interaction, key, role, clear, t);
+    if (optionsError) {
+        return interaction.reply({
+            content: optionsError,
+            ephemeral: true
+        });
+    }
+    
+    await interaction.deferReply({ ephemeral: true });
+    
+    let applied = null;
+    if (key) {
+        const { setting } = ROLE_LISTS[key];
+        const current = bot.getGuildSettings(guild.id)[setting];
+        const roles = clear
+            ? []
+            : remove ? current.filter(roleId => roleId !== role.id) : [...new Set([...current, role.id])];
+        
+        bot.updateGuildSettings(guild.id, { [setting]: roles });
+        await bot.saveConfigs();
+        await bot.logMessage('info', 'Counter access updated', {
+            guild: guild.name,
+            guildId: guild.id,
+            access: key,
+            roles: roles
+        });
+        await bot.recordAudit(interaction, `Set ${ROLE_LISTS[key].label.toLowerCase()} roles to ${roles.map(roleId => `<@&${roleId}>`).join(', ') || 'none'}`);
+        
+        // Existing counters follow the new view roles; new ones are created with them
+        if (key === 'view') {
+            applied = await applyViewRoles(bot, guild);
+        }
+    }
+    
+    const settings = bot.getGuildSettings(guild.id);
+    const embed = {
+        title: key ? `✅ ${t('access.updatedTitle')}` : `🔐 ${t('access.title')}`,
+        color: key ? 0x00ff00 : 0x0099ff,
+        fields: Object.entries(ROLE_LISTS).map(([listKey, list]) => ({
+            name: `${list.emoji} ${t(`access.levels.${listKey}`)}`,
+            value: describeRoleList(guild, listKey, settings[list.setting], t),
+            inline: false
+        })),
+        footer: {
+            text: t('access.footer')
+        },
+        timestamp: new Date().toISOString()
+    };
+    
+    if (applied) {
+        embed.fields.push({
+            name: `🔄 ${t('access.channelsUpdated')}`,
+            value: applied.failed > 0
+                ? t('access.channelsUpdatedPartly', { updated: applied.updated, failed: applied.failed })
+                : applied.updated.toString(),
+            inline: false
+        });
+    }
+    
+    await interaction.editReply({ embeds: [embed] });
+}
+
+module.exports = {
+    data,
+    execute: handleCounterAccess
+};
@@ -0,0 +1,107 @@
+const { SlashCommandBuilder } = require('discord.js');
+const { hasCounterAccess, describeMissingAccess } = require('../access');
+const { createTranslator } = require('../i18n');
+
+// Commands that record audit entries
+const AUDITED_COMMANDS = [
+    'counter-setup',
+    'counter-edit',
+    'counter-remove',
+    'counter-reset',
+    'counter-preset',
+    'counter-wizard',
+    'counter-import',
+    'counter-settings',
+    'counter-log',
+    'counter-access'
+];
+
+const data = new SlashCommandBuilder()
+    .setName('counter-audit')
+    .setDescription('Show who changed counters and settings in this server')
+    .addUserOption(option =>
+        option.setName('user')
+            .setDescription('Only show changes by this member')
+            .setRequired(false))
+    .addStringOption(option =>
+        option.setName('command')
+            .setDescription('Only show changes made with this command')
+            .setRequired(false)
+            .addChoices(
+                ...AUDITED_COMMANDS.map(command => ({ name: `/${command}`, value: command }))
+            ))
+    .addIntegerOption(option =>
+        option.setName('limit')
+            .setDescription('How many entries to show (default 10)')
+            .setRequired(false)
+            .setMinValue(1)
+            .setMaxValue(25));
+
+// Embed descriptions are limited to 4096 characters
+function formatEntries(entries, t) {
+    const lines = [];
+    let length = 0;
+    for (const [index, entry] of entries.entries()) {
+        const line = `<t:${Math.floor(entry.time / 1000)}:f> <@${entry.userId}> \`/${entry.command}\` — ${entry.summary}`;
+        const more = t('audit.more', { count: entries.length - index });
+        if (length + line.length + more.length + 2 > 4096) {
+            lines.push(more);
+            break;
+        }
+        lines.push(line);
+        length += line.length + 1;
+    }
+    
+    return lines.join('\n');
+}
+
+async function handleCounterAudit(interaction, bot) {
+    const user = interaction.options.getUser('user');
+    const command = interaction.options.getString('command');
+    const limit = interaction.options.getInteger('limit') || 10;
+    const language = bot.getGuildLanguage(interaction.guild);
+    const t = createTranslator(language);
+    
+    // Check permissions
+    if (!hasCounterAccess(bot, interaction, 'manage')) {
+        return interaction.reply({
+            content: describeMissingAccess('manage', 'audit', language),
+            ephemeral: true
+        });
+    }
+    
+    const entries = bot.queryAudit(interaction.guild.id, {
+        userId: user?.id,
+        command,
+        limit
+    });
+    
+    const days = bot.settings.auditRetentionDays;
+    const filters = [
+        user && t('audit.byUser', { user: `<@${user.id}>` }),
+        command && t('audit.withCommand', { command })
+    ].filter(Boolean);
+    const embed = {
+        title: `📜 ${t('audit.title')}`,
+        description: entries.length > 0
+            ? formatEntries(entries, t)
+            : filters.length > 0
+                ? t('audit.emptyFiltered', { filters: filters.join(' '), days })
+                : t('audit.empty', { days }),
+        color: 0x0099ff,
+        footer: {
+            text: t(filters.length > 0 ? 'audit.footerFiltered' : 'audit.footer', { days })
+        },
+        timestamp: new Date().toISOString()
+    };
+    
+    await interaction.reply({
+        embeds: [embed],
+        ephemeral: true
+    });
+}
+
+module.exports = {
+    data,
+    execute: handleCounterAudit
+};
@@ -0,0 +1,102 @@
+const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const { diagnoseGuild } = require('../diagnostics');
+const { createTranslator } = require('../i18n');
+
+const data = new SlashCommandBuilder()
+    .setName('counter-doctor')
+    .setDescription('Check the bot\'s permissions, intents and counters for problems')
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageChannels);
+
+const LEVEL_ICONS = {
+    error: '❌',
+    warning: '⚠️'
+};
+
+// Embed field values are limited to 1024 characters
+function formatFindings(findings, t) {
+    if (findings.length === 0) return t('doctor.noProblems');
+    
+    const lines = [];
+    let length = 0;
+    for (const [index, finding] of findings.entries()) {
+        const line = `${LEVEL_ICONS[finding.level]} ${finding.problem}\n↳ ${finding.fix}`;
+        const more = t('doctor.more', { count: findings.length - index });
+        if (length + line.length + more.length + 2 > 1024) {
+            lines.push(more);
+            break;
+        }
+        lines.push(line);
+        length += line.length + 1;
+    }
+    
+    return lines.join('\n');
+}
+
+async function handleCounterDoctor(interaction, bot) {
+    const guild = interaction.guild;
+    const t = createTranslator(bot.getGuildLanguage(guild));
+    
+    // Check permissions
+    if (!interaction.member.permissions.has(PermissionFlagsBits.ManageChannels)) {
+        return interaction.reply({
+            content: t('doctor.missingPermission'),
+            ephemeral: true
+        });
+    }
+    
+    await interaction.deferReply({ ephemeral: true });
+    
+    try {
+        // Privileged intent flags are only known once the application has been fetched
+        await bot.client.application?.fetch().catch(() => null);
+        
+        const sections = await diagnoseGuild(bot, guild);
+        const findings = sections.flatMap(section => section.findings);
+        const errors = findings.filter(finding => finding.level === 'error').length;
+        const warnings = findings.length - errors;
+        
+        await bot.logMessage('info', 'Counter diagnostics run', {
+            guild: guild.name,
+            guildId: guild.id,
+            errors,
+            warnings
+        });
+        
+        const embed = {
+            title: t('doctor.title'),
+            description: findings.length === 0
+                ? t('doctor.healthy')
+                : t('doctor.found', {
+                    problems: t(`doctor.problems.${errors === 1 ? 'one' : 'other'}`, { count: errors }),
+                    warnings: t(`doctor.warnings.${warnings === 1 ? 'one' : 'other'}`, { count: warnings })
+                }),
+            color: errors > 0 ? 0xff0000 : warnings > 0 ? 0xffd700 : 0x00ff00,
+            fields: sections.map(section => ({
+                name: section.title,
+                value: formatFindings(section.findings, t),
+                inline: false
+            })),
+            footer: {
+                text: t('doctor.footer', { count: (bot.counterConfigs.get(guild.id) || []).length })
+            },
+            timestamp: new Date().toISOString()
+        };
+        
+        await interaction.editReply({ embeds: [embed] });
+        
+    } catch (error) {
+        await bot.logMessage('error', 'Counter diagnostics failed', {
+            guild: guild?.name,
+            guildId: guild?.id,
+            error: error.message,
+            stack: error.stack
+        });
+        
+        await interaction.editReply({ content: t('doctor.failed', { error: error.message }) });
+    }
+}
+
+module.exports = {
+    data,
+    execute: handleCounterDoctor
+};
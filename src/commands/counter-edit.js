@@ -0,0 +1,284 @@
+const { SlashCommandBuilder } = require('discord.js');
+const { COUNTER_TYPES, getCounterLabel, getMissingIntents, isCounterAvailable } = require('../counter-types');
+const { MAX_CHANNEL_NAME_LENGTH, getTemplate, renderCounterName, validateTemplate } = require('../templates');
+const { findOrCreateCategory } = require('../channels');
+const { RENAME_LIMIT, RENAME_WINDOW } = require('../scheduler');
+const { createTranslator, localizations } = require('../i18n');
+const { getDisplayMode } = require('../display-modes');
+const { hasCounterAccess, describeMissingAccess } = require('../access');
+const { createExternalToken, buildExternalSettings } = require('../external-counters');
+const { handleCounterAutocomplete, describeExternalToken } = require('./helpers');
+
+const data = new SlashCommandBuilder()
+    .setName('counter-edit')
+    .setDescription('Change the type, name template or category of a counter')
+    .addStringOption(option =>
+        option.setName('counter')
+            .setDescription('Counter to edit')
+            .setRequired(true)
+            .setAutocomplete(true))
+    .addStringOption(option =>
+        option.setName('type')
+            .setDescription('New counter type')
+            .setRequired(false)
+            .addChoices(
+                ...Object.entries(COUNTER_TYPES).map(([value, type]) => ({
+                    name: type.label,
+                    name_localizations: localizations(`counterTypes.${value}`),
+                    value
+                }))
+            ))
+    .addStringOption(option =>
+        option.setName('template')
+            .setDescription('New channel name template')
+            .setRequired(false)
+            .setMaxLength(MAX_CHANNEL_NAME_LENGTH))
+    .addBooleanOption(option =>
+        option.setName('reset-template')
+            .setDescription('Restore the default name template')
+            .setRequired(false))
+    .addStringOption(option =>
+        option.setName('category')
+            .setDescription('Move the counter to this category (created if missing)')
+            .setRequired(false))
+    .addBooleanOption(option =>
+        option.setName('new-token')
+            .setDescription('Replace the push token of an external counter')
+            .setRequired(false));
+
+async function handleCounterEdit(interaction, bot) {
+    const channelId = interaction.options.getString('counter');
+    const newType = interaction.options.getString('type');
+    const template = interaction.options.getString('template');
+    const resetTemplate = interaction.options.getBoolean('reset-template');
+    const categoryName = interaction.options.getString('category');
+    const newToken = interaction.options.getBoolean('new-token');
+    const language = bot.getGuildLanguage(interaction.guild);
+    const t = createTranslator(language);
+    
+    try {
+        // Check permissions
+        if (!hasCounterAccess(bot, interaction, 'manage')) {
+            return interaction.reply({ 
+                content: describeMissingAccess('manage', 'edit', language),
+                ephemeral: true
+            });
+        }
+        
+        const guildId = interaction.guild.id;
+        const config = bot.findCounterConfig(guildId, channelId);
+        
+        if (!config) {
+            return interaction.reply({
+                content: t('common.unknownCounter'),
+                ephemeral: true
+            });
+        }
+        
+        if (!newType && !template && !resetTemplate && !categoryName && !newToken) {
+            return interaction.reply({
+                content: t('edit.nothingToChange'),
+                ephemeral: true
+            });
+        }
+        
+        if (categoryName && !getDisplayMode(config).inCategory) {
+            return interaction.reply({
+                content: t('edit.categoryVoiceOnly'),
+                ephemeral: true
+            });
+        }
+        
+        if (template && resetTemplate) {
+            return interaction.reply({
+                content: t('edit.templateOrReset'),
+                ephemeral: true
+            });
+        }
+        
+        // Apply changes to a copy so a failed validation leaves the counter untouched
+        const updated = { ...config };
+        
+        if (newType) {
+            if (newType === 'role-filter' && !config.filter) {
+                return interaction.reply({
+                    content: t('edit.roleFilterNeedsRoles'),
+                    ephemeral: true
+                });
+            }
+            if (newType === 'countdown' && !config.time?.target) {
+                return interaction.reply({
+                    content: t('edit.countdownNeedsDate'),
+                    ephemeral: true
+                });
+            }
+            if (COUNTER_TYPES[newType].source === 'time' && config.goal) {
+                return interaction.reply({
+                    content: t('edit.goalToTime'),
+                    ephemeral: true
+                });
+            }
+            if (!isCounterAvailable(bot.settings, { type: newType, filter: config.filter })) {
+                return interaction.reply({
+                    content: t('setup.typeUnavailable', {
+                        type: getCounterLabel(interaction.guild, { type: newType, filter: config.filter }, language),
+                        intents: getMissingIntents(bot.settings, { type: newType, filter: config.filter }).map(intent => `\`${intent}\``).join(', ')
+                    }),
+                    ephemeral: true
+                });
+            }
+            updated.type = newType;
+            if (newType !== 'role-filter') {
+                delete updated.filter;
+            }
+            if (COUNTER_TYPES[newType].source !== 'time') {
+                delete updated.time;
+            }
+            if (COUNTER_TYPES[newType].source !== 'external') {
+                delete updated.external;
+            }
+        }
+        
+        // Counters that become external get a token like newly set up ones
+        let externalToken = null;
+        if (updated.type === 'external' && !updated.external) {
+            ({ token: externalToken, external: updated.external } = buildExternalSettings());
+        } else if (newToken) {
+            if (!updated.external) {
+                return interaction.reply({
+                    content: t('edit.tokenExternalOnly'),
+                    ephemeral: true
+                });
+            }
+            
+            const { token, tokenHash } = createExternalToken();
+            externalToken = token;
+            updated.external = { ...updated.external, tokenHash };
+        }
+        
+        if (template) {
+            updated.template = template;
+        } else if (resetTemplate) {
+            delete updated.template;
+        }
+        
+        if (updated.template) {
+            const templateError = validateTemplate(updated.template, interaction.guild, updated, language);
+            if (templateError) {
+                return interaction.reply({
+                    content: t('setup.invalidTemplate', { error: t(templateError.key, templateError.vars) }),
+                    ephemeral: true
+                });
+            }
+        }
+        
+        await interaction.deferReply();
+        
+        const channel = interaction.guild.channels.cache.get(channelId);
+        if (categoryName && channel) {
+            const category = await findOrCreateCategory(interaction.guild, categoryName, bot.getGuildSettings(guildId).viewRoles);
+            await channel.setParent(category.id, { lockPermissions: false });
+            updated.categoryId = category.id;
+            updated.categoryName = category.name;
+        }
+        
+        const configs = bot.counterConfigs.get(guildId);
+        configs[configs.indexOf(config)] = updated;
+        
+        const count = await bot.getCountForType(interaction.guild, updated.type, updated.filter, updated.time, updated.external);
+        const newName = renderCounterName(interaction.guild, updated, count, language);
+        bot.scheduleCounterUpdate(guildId, channelId, 'edit', 0);
+        
+        await bot.saveConfigs();
+        await bot.logMessage('info', 'Counter edited', {
+            guild: interaction.guild.name,
+            guildId: guildId,
+            channelId: channelId,
+            type: updated.type,
+            template: getTemplate(updated),
+            categoryId: updated.categoryId
+        });
+        await bot.recordAudit(interaction, `Edited the \`${updated.type}\` counter (template \`${getTemplate(updated)}\`${externalToken ? ', new push token' : ''})`);
+        
+        const embed = {
+            title: `✅ ${t('edit.title')}`,
+            color: 0x00ff00,
+            fields: [
+                {
+                    name: `📊 ${t('edit.type')}`,
+                    value: getCounterLabel(interaction.guild, updated, language),
+                    inline: true
+                },
+                {
+                    name: `📁 ${t('edit.category')}`,
+                    value: interaction.guild.channels.cache.get(updated.categoryId)?.name || t('common.none'),
+                    inline: true
+                },
+                {
+                    name: `📝 ${t('edit.template')}`,
+                    value: `\`${getTemplate(updated)}\``,
+                    inline: false
+                },
+                {
+                    name: `🔊 ${t('edit.newName')}`,
+                    value: newName,
+                    inline: false
+                },
+                {
+                    name: `⏱️ ${t('edit.applied')}`,
+                    value: `<t:${Math.ceil((bot.getPendingUpdate(channelId)?.dueAt || Date.now()) / 1000)}:R>`,
+                    inline: true
+                }
+            ],
+            footer: {
+                text: t('common.renameLimit', { limit: RENAME_LIMIT, minutes: RENAME_WINDOW / (60 * 1000) })
+            },
+            timestamp: new Date().toISOString()
+        };
+        
+        await interaction.editReply({ embeds: [embed] });
+        
+        if (externalToken) {
+            await interaction.followUp({
+                content: describeExternalToken(bot, updated, externalToken, language),
+                ephemeral: true
+            });
+        }
+        
+    } catch (error) {
+        await bot.logMessage('error', 'Counter edit failed', {
+            guild: interaction.guild?.name,
+            guildId: interaction.guild?.id,
+            channelId: channelId,
+            error: error.message
+        });
+        
+        const errorEmbed = {
+            title: `❌ ${t('edit.errorTitle')}`,
+            description: t('edit.errorDescription'),
+            color: 0xff0000,
+            fields: [
+                {
+                    name: t('common.possibleSolutions'),
+                    value: t('edit.errorSolutions'),
+                    inline: false
+                }
+            ],
+            footer: {
+                text: t('common.contactAdmin')
+            }
+        };
+        
+        if (interaction.deferred) {
+            await interaction.editReply({ embeds: [errorEmbed] });
+        } else {
+            await interaction.reply({ embeds: [errorEmbed], ephemeral: true });
+        }
+    }
+}
+
+module.exports = {
+    data,
+    execute: handleCounterEdit,
+    autocomplete: handleCounterAutocomplete
+};
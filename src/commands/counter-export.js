@@ -0,0 +1,66 @@
+const { SlashCommandBuilder } = require('discord.js');
+const { exportGuildCounters } = require('../presets');
+const { hasCounterAccess, describeMissingAccess } = require('../access');
+const { createTranslator } = require('../i18n');
+
+const data = new SlashCommandBuilder()
+    .setName('counter-export')
+    .setDescription('Download this server\'s counter setup as a JSON file');
+
+async function handleCounterExport(interaction, bot) {
+    const guild = interaction.guild;
+    const language = bot.getGuildLanguage(guild);
+    const t = createTranslator(language);
+    
+    // Check permissions
+    if (!hasCounterAccess(bot, interaction, 'manage')) {
+        return interaction.reply({
+            content: describeMissingAccess('manage', 'export', language),
+            ephemeral: true
+        });
+    }
+    
+    const configs = bot.counterConfigs.get(guild.id) || [];
+    if (configs.length === 0) {
+        return interaction.reply({
+            content: t('export.noCounters'),
+            ephemeral: true
+        });
+    }
+    
+    const exported = exportGuildCounters(bot, guild);
+    const total = exported.categories.reduce((sum, category) => sum + category.counters.length, exported.counters.length);
+    const skipped = configs.length - total;
+    
+    if (total === 0) {
+        return interaction.reply({
+            content: t('export.noneExportable'),
+            ephemeral: true
+        });
+    }
+    
+    await bot.logMessage('info', 'Counters exported', {
+        guild: guild.name,
+        guildId: guild.id,
+        counters: total,
+        skipped
+    });
+    
+    await interaction.reply({
+        content: [
+            t('export.exported', { count: total }),
+            ...(skipped > 0 ? [t('export.skipped', { count: skipped })] : []),
+            t('export.hint')
+        ].join(' '),
+        files: [{
+            attachment: Buffer.from(JSON.stringify(exported, null, 2)),
+            name: `counters-${guild.id}.json`
+        }],
+        ephemeral: true
+    });
+}
+
+module.exports = {
+    data,
+    execute: handleCounterExport
+};
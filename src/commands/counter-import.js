@@ -0,0 +1,161 @@
+const { SlashCommandBuilder } = require('discord.js');
+const { MAX_IMPORT_SIZE, splitAvailableCounters, createCounterSet, createDisplayCounters, parseCounterImport } = require('../presets');
+const { MAX_PANEL_COUNTERS, getPanelConfigs } = require('../panels');
+const { getDisplayMode } = require('../display-modes');
+const { hasCounterAccess, describeMissingAccess } = require('../access');
+const { createTranslator } = require('../i18n');
+const { describeSkippedCounters } = require('./helpers');
+
+const data = new SlashCommandBuilder()
+    .setName('counter-import')
+    .setDescription('Recreate counters from a file made with /counter-export')
+    .addAttachmentOption(option =>
+        option.setName('file')
+            .setDescription('JSON file from /counter-export')
+            .setRequired(true));
+
+async function handleCounterImport(interaction, bot) {
+    const file = interaction.options.getAttachment('file');
+    const guild = interaction.guild;
+    const language = bot.getGuildLanguage(guild);
+    const t = createTranslator(language);
+    
+    // Check permissions
+    if (!hasCounterAccess(bot, interaction, 'manage')) {
+        return interaction.reply({
+            content: describeMissingAccess('manage', 'import', language),
+            ephemeral: true
+        });
+    }
+    
+    if (!file.name.toLowerCase().endsWith('.json') || file.size > MAX_IMPORT_SIZE) {
+        return interaction.reply({
+            content: t('import.attachFile', { size: MAX_IMPORT_SIZE / 1024 }),
+            ephemeral: true
+        });
+    }
+    
+    await interaction.deferReply({ ephemeral: true });
+    
+    let imported;
+    try {
+        const response = await fetch(file.url);
+        if (!response.ok) {
+            throw new Error(`download failed with status ${response.status}`);
+        }
+        imported = parseCounterImport(JSON.parse(await response.text()), guild, language);
+    } catch (error) {
+        imported = { error: t('import.readFailed', { error: error.message }) };
+    }
+    
+    if (imported.error) {
+        return interaction.editReply({ content: t('import.failed', { error: imported.error }) });
+    }
+    
+    const categories = imported.categories.map(({ name, configs }) => ({ name, ...splitAvailableCounters(bot.settings, configs) }));
+    const others = splitAvailableCounters(bot.settings, imported.configs);
+    const skipped = [...categories.flatMap(category => category.skipped), ...others.skipped];
+    if (categories.every(category => category.available.length === 0) && others.available.length === 0) {
+        return interaction.editReply({
+            content: t('import.failed', { error: t('import.noneAvailable', { skipped: describeSkippedCounters(bot, skipped, language) }) })
+        });
+    }
+    
+    // Panel counters join the guild's panel, or start one in the channel of the same name
+    const panelCount = others.available.filter(config => config.display === 'panel').length;
+    const { panel } = bot.getGuildSettings(guild.id);
+    if (panelCount > 0 && !panel && !imported.panel.channel) {
+        return interaction.editReply({
+            content: t('import.failed', { error: t('import.noPanelChannel', { channel: imported.panel.name }) })
+        });
+    }
+    const panelTotal = getPanelConfigs(bot, guild.id).length + panelCount;
+    if (panelTotal > MAX_PANEL_COUNTERS) {
+        return interaction.editReply({
+            content: t('import.failed', { error: t('import.panelFull', { max: MAX_PANEL_COUNTERS, count: panelTotal }) })
+        });
+    }
+    
+    const results = [];
+    
+    try {
+        for (const { name, available } of categories.filter(category => category.available.length > 0)) {
+            const { category, created } = await createCounterSet(bot, guild, name, available, language);
+            results.push({ category, created });
+        }
+        const displayed = await createDisplayCounters(bot, guild, others.available, language, panel ? null : imported.panel?.channel);
+        
+        const total = results.reduce((sum, result) => sum + result.created.length, 0) + displayed.length;
+        
+        await bot.saveConfigs();
+        await bot.logMessage('info', 'Counters imported', {
+            guild: guild.name,
+            guildId: guild.id,
+            categories: results.length,
+            counters: total
+        });
+        await bot.recordAudit(interaction, `Imported ${total} counters into ${results.length} categories`);
+        
+        const embed = {
+            title: `✅ ${t('import.title')}`,
+            description: t('import.description', { count: total }),
+            color: 0x00ff00,
+            fields: [
+                ...results.map(({ category, created }) => ({
+                    name: `📁 ${category.name}`,
+                    value: created.map(config => `• <#${config.channelId}>`).join('\n'),
+                    inline: false
+                })),
+                ...(displayed.length > 0 ? [{
+                    name: `🖥️ ${t('import.otherDisplays')}`,
+                    value: displayed.map(config => `• ${getDisplayMode(config).describeTarget(bot, guild, config, true)}`).join('\n'),
+                    inline: false
+                }] : []),
+                ...(skipped.length > 0 ? [{
+                    name: `⚠️ ${t('common.skipped')}`,
+                    value: describeSkippedCounters(bot, skipped, language).slice(0, 1024),
+                    inline: false
+                }] : [])
+            ],
+            footer: {
+                text: t('import.footer')
+            },
+            timestamp: new Date().toISOString()
+        };
+        
+        await interaction.editReply({ embeds: [embed] });
+        
+    } catch (error) {
+        // Keep whatever was created before the failure
+        await bot.saveConfigs();
+        await bot.logMessage('error', 'Counter import failed', {
+            guild: guild?.name,
+            guildId: guild?.id,
+            error: error.message,
+            stack: error.stack
+        });
+        
+        const errorEmbed = {
+            title: `❌ ${t('import.errorTitle')}`,
+            description: t('common.partialFailure'),
+            color: 0xff0000,
+            fields: [
+                {
+                    name: t('common.possibleSolutions'),
+                    value: t('common.partialSolutions'),
+                    inline: false
+                }
+            ],
+            footer: {
+                text: t('common.contactAdmin')
+            }
+        };
+        
+        await interaction.editReply({ embeds: [errorEmbed] });
+    }
+}
+
+module.exports = {
+    data,
+    execute: handleCounterImport
+};
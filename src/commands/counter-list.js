@@ -0,0 +1,76 @@
+const { SlashCommandBuilder } = require('discord.js');
+const { COUNTER_TYPES, getCounterLabel, getMissingIntents, isCounterAvailable, isCounterApproximate } = require('../counter-types');
+const { DEFAULT_TEMPLATE, DEFAULT_GOAL_TEMPLATE } = require('../templates');
+const { createTranslator } = require('../i18n');
+
+const data = new SlashCommandBuilder()
+    .setName('counter-list')
+    .setDescription('List all available counter types');
+
+async function listCounterTypes(interaction, bot) {
+    const language = bot.getGuildLanguage(interaction.guild);
+    const t = createTranslator(language);
+    
+    // Without privileged intents, approximated types are marked ≈ and types that can't be counted 🚫
+    const marker = (key) => {
+        if (!isCounterAvailable(bot.settings, { type: key })) return ' 🚫';
+        return isCounterApproximate(bot.settings, { type: key }) ? ' ≈' : '';
+    };
+    const missingIntents = [...new Set(Object.keys(COUNTER_TYPES).flatMap(key => getMissingIntents(bot.settings, { type: key })))];
+    
+    const formatTypes = (filter) => Object.entries(COUNTER_TYPES)
+        .filter(([, type]) => filter(type))
+        .map(([key]) => `• \`${key}\` - ${getCounterLabel(interaction.guild, { type: key }, language)}${marker(key)}`)
+        .join('\n');
+    
+    const typesList = `**${t('list.memberCounters')}**\n${formatTypes(type => type.source === 'members')}\n\n` +
+        `**${t('list.serverCounters')}**\n${formatTypes(type => !['members', 'time', 'external'].includes(type.source))}\n\n` +
+        `**${t('list.timeCounters')}**\n${formatTypes(type => type.source === 'time')}\n\n` +
+        `**${t('list.externalCounters')}**\n${formatTypes(type => type.source === 'external')}`;
+    
+    const embed = {
+        title: `📊 ${t('list.title')}`,
+        description: typesList,
+        color: 0x0099ff,
+        fields: [
+            ...(missingIntents.length > 0 ? [{
+                name: `⚠️ ${t('list.limitedMode')}`,
+                value: t('list.limitedModeValue', { intents: missingIntents.map(intent => `\`${intent}\``).join(', ') }),
+                inline: false
+            }] : []),
+            {
+                name: `🎭 ${t('list.roleFilters')}`,
+                value: t('list.roleFiltersValue'),
+                inline: false
+            },
+            {
+                name: `🎯 ${t('list.goals')}`,
+                value: t('list.goalsValue'),
+                inline: false
+            },
+            {
+                name: `📝 ${t('list.templates')}`,
+                value: t('list.templatesValue', {
+                    defaultTemplate: DEFAULT_TEMPLATE,
+                    goalTemplate: DEFAULT_GOAL_TEMPLATE
+                }),
+                inline: false
+            },
+            {
+                name: `🖥️ ${t('list.displayModes')}`,
+                value: t('list.displayModesValue'),
+                inline: false
+            }
+        ],
+        footer: {
+            text: t('list.footer')
+        }
+    };
+    
+    await interaction.reply({ embeds: [embed] });
+}
+
+module.exports = {
+    data,
+    execute: listCounterTypes
+};
@@ -0,0 +1,106 @@
+const { SlashCommandBuilder, ChannelType, PermissionFlagsBits } = require('discord.js');
+const { validateLogChannel } = require('../activity-log');
+const { describeChanges } = require('../audit');
+const { createTranslator } = require('../i18n');
+
+const data = new SlashCommandBuilder()
+    .setName('counter-log')
+    .setDescription('Post member joins, leaves and a daily summary to a channel')
+    .addChannelOption(option =>
+        option.setName('channel')
+            .setDescription('Channel that receives the activity log')
+            .setRequired(false)
+            .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement))
+    .addBooleanOption(option =>
+        option.setName('daily-summary')
+            .setDescription('Post a summary of the day\'s activity at midnight UTC (default: on)')
+            .setRequired(false))
+    .addBooleanOption(option =>
+        option.setName('disable')
+            .setDescription('Stop posting activity')
+            .setRequired(false))
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild);
+
+async function handleCounterLog(interaction, bot) {
+    const channel = interaction.options.getChannel('channel');
+    const dailySummary = interaction.options.getBoolean('daily-summary');
+    const disable = interaction.options.getBoolean('disable');
+    const t = createTranslator(bot.getGuildLanguage(interaction.guild));
+    
+    // Check permissions
+    if (!interaction.member.permissions.has(PermissionFlagsBits.ManageGuild)) {
+        return interaction.reply({
+            content: t('log.missingPermission'),
+            ephemeral: true
+        });
+    }
+    
+    if (channel && disable) {
+        return interaction.reply({
+            content: t('log.channelOrDisable'),
+            ephemeral: true
+        });
+    }
+    
+    if (channel) {
+        const channelError = validateLogChannel(interaction.guild, channel);
+        if (channelError) {
+            return interaction.reply({
+                content: t(channelError.key, channelError.vars),
+                ephemeral: true
+            });
+        }
+    }
+    
+    const guildId = interaction.guild.id;
+    const changes = {};
+    if (channel) {
+        changes.logChannelId = channel.id;
+    }
+    if (disable) {
+        changes.logChannelId = null;
+    }
+    if (dailySummary !== null) {
+        changes.dailySummary = dailySummary;
+    }
+    
+    if (Object.keys(changes).length > 0) {
+        bot.updateGuildSettings(guildId, changes);
+        await bot.saveConfigs();
+        await bot.logMessage('info', 'Activity log settings updated', {
+            guild: interaction.guild.name,
+            guildId: guildId,
+            changes: changes
+        });
+        await bot.recordAudit(interaction, describeChanges(changes));
+    }
+    
+    const current = bot.getGuildSettings(guildId);
+    const embed = {
+        title: Object.keys(changes).length > 0 ? `✅ ${t('log.updatedTitle')}` : `📝 ${t('log.title')}`,
+        color: Object.keys(changes).length > 0 ? 0x00ff00 : 0x0099ff,
+        fields: [
+            {
+                name: `📢 ${t('log.channel')}`,
+                value: current.logChannelId ? `<#${current.logChannelId}>` : t('common.disabled'),
+                inline: true
+            },
+            {
+                name: `📅 ${t('log.dailySummary')}`,
+                value: current.dailySummary ? t('common.enabled') : t('common.disabled'),
+                inline: true
+            }
+        ],
+        footer: {
+            text: t('log.footer')
+        },
+        timestamp: new Date().toISOString()
+    };
+    
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+module.exports = {
+    data,
+    execute: handleCounterLog
+};
@@ -0,0 +1,130 @@
+const { SlashCommandBuilder } = require('discord.js');
+const { PRESETS, getPresetText, splitAvailableCounters, createCounterSet } = require('../presets');
+const { hasCounterAccess, describeMissingAccess } = require('../access');
+const { createTranslator, localizations } = require('../i18n');
+const { describeSkippedCounters } = require('./helpers');
+
+const data = new SlashCommandBuilder()
+    .setName('counter-preset')
+    .setDescription('Create a ready-made set of counters in one category')
+    .addStringOption(option =>
+        option.setName('preset')
+            .setDescription('Set of counters to create')
+            .setRequired(true)
+            .addChoices(
+                ...Object.entries(PRESETS).map(([value, preset]) => ({
+                    name: `${preset.label} - ${preset.description}`,
+                    name_localizations: localizations(`presets.${value}.choice`),
+                    value
+                }))
+            ))
+    .addStringOption(option =>
+        option.setName('category')
+            .setDescription('Category name for the counters (default: the preset\'s category)')
+            .setRequired(false)
+            .setMaxLength(100));
+
+async function handleCounterPreset(interaction, bot) {
+    const presetKey = interaction.options.getString('preset');
+    const preset = PRESETS[presetKey];
+    const guild = interaction.guild;
+    const language = bot.getGuildLanguage(guild);
+    const t = createTranslator(language);
+    const presetLabel = getPresetText(presetKey, 'label', language);
+    const categoryName = interaction.options.getString('category') || getPresetText(presetKey, 'category', language);
+    
+    try {
+        // Check permissions
+        if (!hasCounterAccess(bot, interaction, 'manage')) {
+            return interaction.reply({
+                content: describeMissingAccess('manage', 'setup', language),
+                ephemeral: true
+            });
+        }
+        
+        const { available, skipped } = splitAvailableCounters(bot.settings, preset.counters.map(type => ({ type })));
+        if (available.length === 0) {
+            return interaction.reply({
+                content: t('preset.noneAvailable', { preset: presetLabel, skipped: describeSkippedCounters(bot, skipped, language) }),
+                ephemeral: true
+            });
+        }
+        
+        await interaction.deferReply();
+        
+        const { category, created } = await createCounterSet(bot, guild, categoryName, available, language);
+        
+        await bot.saveConfigs();
+        await bot.logMessage('info', 'Counter preset applied', {
+            guild: guild.name,
+            guildId: guild.id,
+            preset: presetKey,
+            categoryId: category.id,
+            counters: created.length
+        });
+        await bot.recordAudit(interaction, `Applied the \`${presetKey}\` preset (${created.length} counters)`);
+        
+        const embed = {
+            title: `✅ ${t('preset.title')}`,
+            description: t('preset.description', { count: created.length, preset: presetLabel }),
+            color: 0x00ff00,
+            fields: [
+                {
+                    name: `📁 ${t('wizard.category')}`,
+                    value: category.name,
+                    inline: false
+                },
+                {
+                    name: `🔊 ${t('wizard.channels')}`,
+                    value: created.map(config => `• <#${config.channelId}>`).join('\n'),
+                    inline: false
+                },
+                ...(skipped.length > 0 ? [{
+                    name: `⚠️ ${t('common.skipped')}`,
+                    value: describeSkippedCounters(bot, skipped, language),
+                    inline: false
+                }] : [])
+            ],
+            footer: {
+                text: t('preset.footer', { minutes: bot.settings.updateIntervalMinutes })
+            },
+            timestamp: new Date().toISOString()
+        };
+        
+        await interaction.editReply({ embeds: [embed] });
+        
+    } catch (error) {
+        // Keep whatever was created before the failure
+        await bot.saveConfigs();
+        await bot.logMessage('error', 'Counter preset failed', {
+            guild: guild?.name,
+            guildId: guild?.id,
+            preset: presetKey,
+            error: error.message,
+            stack: error.stack
+        });
+        
+        const errorEmbed = {
+            title: `❌ ${t('preset.errorTitle')}`,
+            description: t('common.partialFailure'),
+            color: 0xff0000,
+            fields: [
+                {
+                    name: t('common.possibleSolutions'),
+                    value: t('common.partialSolutions'),
+                    inline: false
+                }
+            ],
+            footer: {
+                text: t('common.contactAdmin')
+            }
+        };
+        
+        await interaction.editReply({ embeds: [errorEmbed] });
+    }
+}
+
+module.exports = {
+    data,
+    execute: handleCounterPreset
+};
@@ -0,0 +1,73 @@
+const { SlashCommandBuilder } = require('discord.js');
+const { RENAME_LIMIT, RENAME_WINDOW } = require('../scheduler');
+const { createTranslator } = require('../i18n');
+const { getDisplayMode } = require('../display-modes');
+const { hasCounterAccess, describeMissingAccess } = require('../access');
+
+const data = new SlashCommandBuilder()
+    .setName('counter-queue')
+    .setDescription('Show pending counter updates and rename rate-limit status');
+
+async function showUpdateQueue(interaction, bot) {
+    const status = bot.getUpdateQueueStatus(interaction.guild.id);
+    const language = bot.getGuildLanguage(interaction.guild);
+    const t = createTranslator(language);
+    
+    // Check permissions
+    if (!hasCounterAccess(bot, interaction, 'manage')) {
+        return interaction.reply({
+            content: describeMissingAccess('manage', 'queue', language),
+            ephemeral: true
+        });
+    }
+    
+    if (status.counters.length === 0) {
+        return interaction.reply({
+            content: t('common.noCounters'),
+            ephemeral: true
+        });
+    }
+    
+    const lines = status.counters.map(counter => {
+        const config = bot.findCounterConfig(interaction.guild.id, counter.channelId);
+        const channel = getDisplayMode(config).describeTarget(bot, interaction.guild, config, true);
+        const renames = t('queue.renamesUsed', { used: counter.renamesInWindow, limit: RENAME_LIMIT });
+        
+        if (counter.nextUpdate) {
+            const rateLimited = counter.nextUpdate >= counter.nextRenameSlot && counter.nextRenameSlot > Date.now();
+            return `• ${channel} - ${t('queue.update', { time: `<t:${Math.ceil(counter.nextUpdate / 1000)}:R>` })}` +
+                `${rateLimited ? ` (${t('queue.rateLimited')})` : ''} · ${renames} · ${counter.reasons.join(', ')}`;
+        }
+        
+        return `• ${channel} - ${t('queue.upToDate')} · ${renames}`;
+    });
+    
+    const embed = {
+        title: `⏳ ${t('queue.title')}`,
+        description: lines.join('\n').slice(0, 4096),
+        color: 0x0099ff,
+        fields: [
+            {
+                name: `📥 ${t('queue.pending')}`,
+                value: status.depth.toString(),
+                inline: true
+            },
+            {
+                name: `🌐 ${t('queue.pendingAll')}`,
+                value: status.totalDepth.toString(),
+                inline: true
+            }
+        ],
+        footer: {
+            text: t('common.renameLimit', { limit: RENAME_LIMIT, minutes: RENAME_WINDOW / (60 * 1000) })
+        },
+        timestamp: new Date().toISOString()
+    };
+    
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+module.exports = {
+    data,
+    execute: showUpdateQueue
+};
@@ -0,0 +1,117 @@
+const { SlashCommandBuilder } = require('discord.js');
+const { createTranslator } = require('../i18n');
+const { getDisplayMode } = require('../display-modes');
+const { hasCounterAccess, describeMissingAccess } = require('../access');
+const { describeCounter, handleCounterAutocomplete } = require('./helpers');
+
+const data = new SlashCommandBuilder()
+    .setName('counter-remove')
+    .setDescription('Remove a single counter')
+    .addStringOption(option =>
+        option.setName('counter')
+            .setDescription('Counter to remove')
+            .setRequired(true)
+            .setAutocomplete(true))
+    .addBooleanOption(option =>
+        option.setName('keep-channel')
+            .setDescription('Stop updating the counter but keep its channel')
+            .setRequired(false));
+
+async function handleCounterRemove(interaction, bot) {
+    const channelId = interaction.options.getString('counter');
+    const keepChannel = interaction.options.getBoolean('keep-channel') || false;
+    const language = bot.getGuildLanguage(interaction.guild);
+    const t = createTranslator(language);
+    
+    try {
+        // Check permissions
+        if (!hasCounterAccess(bot, interaction, 'manage')) {
+            return interaction.reply({ 
+                content: describeMissingAccess('manage', 'remove', language),
+                ephemeral: true
+            });
+        }
+        
+        const guildId = interaction.guild.id;
+        const config = bot.findCounterConfig(guildId, channelId);
+        
+        if (!config) {
+            return interaction.reply({
+                content: t('common.unknownCounter'),
+                ephemeral: true
+            });
+        }
+        
+        await interaction.deferReply();
+        
+        const description = describeCounter(bot, interaction.guild, config, language);
+        bot.removeCounterConfig(guildId, channelId);
+        await bot.saveConfigs();
+        
+        let channelDeleted = false;
+        if (!keepChannel) {
+            channelDeleted = await getDisplayMode(config).remove(bot, interaction.guild, config);
+        }
+        
+        await bot.logMessage('info', 'Counter removed', {
+            guild: interaction.guild.name,
+            guildId: guildId,
+            channelId: channelId,
+            type: config.type,
+            channelDeleted: channelDeleted
+        });
+        await bot.recordAudit(interaction, `Removed the \`${config.type}\` counter`);
+        
+        const embed = {
+            title: `🗑️ ${t('remove.title')}`,
+            description: t('remove.description', { counter: description }),
+            color: 0x00ff00,
+            fields: [
+                {
+                    name: `🔊 ${t('remove.channel')}`,
+                    value: channelDeleted ? t('remove.deleted') : t('remove.kept'),
+                    inline: true
+                }
+            ],
+            timestamp: new Date().toISOString()
+        };
+        
+        await interaction.editReply({ embeds: [embed] });
+        
+    } catch (error) {
+        await bot.logMessage('error', 'Counter removal failed', {
+            guild: interaction.guild?.name,
+            guildId: interaction.guild?.id,
+            channelId: channelId,
+            error: error.message
+        });
+        
+        const errorEmbed = {
+            title: `❌ ${t('remove.errorTitle')}`,
+            description: t('remove.errorDescription'),
+            color: 0xff0000,
+            fields: [
+                {
+                    name: t('common.possibleSolutions'),
+                    value: t('remove.errorSolutions'),
+                    inline: false
+                }
+            ],
+            footer: {
+                text: t('common.contactAdmin')
+            }
+        };
+        
+        if (interaction.deferred) {
+            await interaction.editReply({ embeds: [errorEmbed] });
+        } else {
+            await interaction.reply({ embeds: [errorEmbed], ephemeral: true });
+        }
+    }
+}
+
+module.exports = {
+    data,
+    execute: handleCounterRemove,
+    autocomplete: handleCounterAutocomplete
+};
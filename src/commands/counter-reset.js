@@ -0,0 +1,188 @@
+const { SlashCommandBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { createTranslator } = require('../i18n');
+const { getDisplayMode } = require('../display-modes');
+const { hasCounterAccess } = require('../access');
+
+// Resetting deletes every counter channel, so it only happens once the member confirms it
+// The confirm button carries its expiry time, so a forgotten confirmation can't be clicked days later
+const CONFIRM_MINUTES = 5;
+
+const data = new SlashCommandBuilder()
+    .setName('counter-reset')
+    .setDescription('Reset all counter configurations for this server');
+
+function buildNoCountersEmbed(t) {
+    return {
+        title: `❌ ${t('reset.noCountersTitle')}`,
+        description: t('reset.noCountersDescription'),
+        color: 0xff9900,
+        footer: {
+            text: t('reset.noCountersFooter')
+        }
+    };
+}
+
+async function handleCounterReset(interaction, bot) {
+    const t = createTranslator(bot.getGuildLanguage(interaction.guild));
+    
+    // Check permissions
+    if (!hasCounterAccess(bot, interaction, 'reset')) {
+        return interaction.reply({ 
+            content: t('reset.missingPermission'),
+            ephemeral: true
+        });
+    }
+    
+    const configs = bot.counterConfigs.get(interaction.guild.id) || [];
+    if (configs.length === 0) {
+        return interaction.reply({ embeds: [buildNoCountersEmbed(t)], ephemeral: true });
+    }
+    
+    const embed = {
+        title: `⚠️ ${t('reset.confirmTitle')}`,
+        description: t('reset.confirmDescription', { count: configs.length }),
+        color: 0xff9900,
+        footer: {
+            text: t('reset.confirmFooter', { minutes: CONFIRM_MINUTES })
+        }
+    };
+    const buttons = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`counter-reset:confirm:${Date.now() + CONFIRM_MINUTES * 60 * 1000}`)
+            .setLabel(t('reset.confirm'))
+            .setStyle(ButtonStyle.Danger),
+        new ButtonBuilder()
+            .setCustomId('counter-reset:cancel')
+            .setLabel(t('reset.cancel'))
+            .setStyle(ButtonStyle.Secondary)
+    );
+    
+    await interaction.reply({ embeds: [embed], components: [buttons], ephemeral: true });
+}
+
+// The confirmation is ephemeral, so only the member who ran the command can click it
+async function handleResetButton(interaction, bot) {
+    const [, action, expiresAt] = interaction.customId.split(':');
+    const t = createTranslator(bot.getGuildLanguage(interaction.guild));
+    
+    if (action === 'cancel') {
+        return interaction.update({ content: t('reset.cancelled'), embeds: [], components: [] });
+    }
+    if (Date.now() > Number(expiresAt)) {
+        return interaction.update({ content: t('reset.expired'), embeds: [], components: [] });
+    }
+    
+    // Access may have been taken away since the command ran
+    if (!hasCounterAccess(bot, interaction, 'reset')) {
+        return interaction.update({ content: t('reset.missingPermission'), embeds: [], components: [] });
+    }
+    
+    await interaction.deferUpdate();
+    
+    try {
+        const guildId = interaction.guild.id;
+        const configs = bot.counterConfigs.get(guildId);
+        
+        // Another member may have reset the counters in the meantime
+        if (!configs || configs.length === 0) {
+            return await interaction.editReply({ embeds: [buildNoCountersEmbed(t)], components: [] });
+        }
+        
+        let deletedChannels = 0;
+        let failedDeletions = 0;
+        
+        // Clear configurations for this guild first so deletions aren't self-healed
+        bot.counterConfigs.delete(guildId);
+        
+        // Delete all counter channels and categories, and the stats panel
+        for (const config of configs) {
+            bot.cancelCounterUpdate(config.channelId);
+            bot.counterStatus.delete(config.channelId);
+            
+            try {
+                if (await getDisplayMode(config).remove(bot, interaction.guild, config)) {
+                    deletedChannels++;
+                }
+                
+            } catch (error) {
+                failedDeletions++;
+                await bot.logMessage('error', 'Failed to delete counter channel', {
+                    guild: interaction.guild.name,
+                    channelId: config.channelId,
+                    error: error.message
+                });
+            }
+        }
+        
+        await bot.saveConfigs();
+        
+        await bot.logMessage('info', 'Counter reset completed', {
+            guild: interaction.guild.name,
+            guildId: guildId,
+            deletedChannels: deletedChannels,
+            failedDeletions: failedDeletions
+        });
+        await bot.recordAudit(interaction, `Reset all counters (${deletedChannels} channels deleted)`);
+        
+        const successEmbed = {
+            title: `🔄 ${t('reset.title')}`,
+            description: t('reset.description'),
+            color: 0x00ff00,
+            fields: [
+                {
+                    name: `🗑️ ${t('reset.deleted')}`,
+                    value: deletedChannels.toString(),
+                    inline: true
+                },
+                {
+                    name: `⚠️ ${t('reset.failed')}`,
+                    value: failedDeletions.toString(),
+                    inline: true
+                },
+                {
+                    name: `📋 ${t('reset.nextSteps')}`,
+                    value: t('reset.nextStepsValue'),
+                    inline: false
+                }
+            ],
+            footer: {
+                text: t('reset.footer')
+            },
+            timestamp: new Date().toISOString()
+        };
+        
+        await interaction.editReply({ embeds: [successEmbed], components: [] });
+        
+    } catch (error) {
+        await bot.logMessage('error', 'Counter reset failed', {
+            guild: interaction.guild?.name,
+            guildId: interaction.guild?.id,
+            error: error.message,
+            stack: error.stack
+        });
+        
+        const errorEmbed = {
+            title: `❌ ${t('reset.errorTitle')}`,
+            description: t('reset.errorDescription'),
+            color: 0xff0000,
+            fields: [
+                {
+                    name: t('common.possibleSolutions'),
+                    value: t('reset.errorSolutions'),
+                    inline: false
+                }
+            ],
+            footer: {
+                text: t('common.contactAdmin')
+            }
+        };
+        
+        await interaction.editReply({ embeds: [errorEmbed], components: [] });
+    }
+}
+
+module.exports = {
+    data,
+    execute: handleCounterReset,
+    component: handleResetButton
+};
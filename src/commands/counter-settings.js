@@ -0,0 +1,88 @@
+const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const { SUPPORTED_LANGUAGES, createTranslator, getLanguageName, localizations, resolveLanguage } = require('../i18n');
+const { describeChanges } = require('../audit');
+
+const data = new SlashCommandBuilder()
+    .setName('counter-settings')
+    .setDescription('View or change counter settings for this server')
+    .addBooleanOption(option =>
+        option.setName('auto-recreate')
+            .setDescription('Recreate counter channels and categories when they are deleted')
+            .setRequired(false))
+    .addStringOption(option =>
+        option.setName('language')
+            .setDescription('Language for responses and counter names')
+            .setRequired(false)
+            .addChoices(
+                { name: 'Server locale', name_localizations: localizations('settings.serverLocale'), value: 'auto' },
+                ...SUPPORTED_LANGUAGES.map(language => ({ name: getLanguageName(language), value: language }))
+            ))
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild);
+
+async function handleCounterSettings(interaction, bot) {
+    const autoRecreate = interaction.options.getBoolean('auto-recreate');
+    const language = interaction.options.getString('language');
+    
+    // Check permissions
+    if (!interaction.member.permissions.has(PermissionFlagsBits.ManageGuild)) {
+        return interaction.reply({ 
+            content: createTranslator(bot.getGuildLanguage(interaction.guild))('settings.missingPermission'),
+            ephemeral: true
+        });
+    }
+    
+    const guildId = interaction.guild.id;
+    const changes = {};
+    if (autoRecreate !== null) {
+        changes.autoRecreate = autoRecreate;
+    }
+    if (language) {
+        changes.language = language === 'auto' ? null : language;
+    }
+    
+    if (Object.keys(changes).length > 0) {
+        bot.updateGuildSettings(guildId, changes);
+        await bot.saveConfigs();
+        await bot.logMessage('info', 'Counter settings updated', {
+            guild: interaction.guild.name,
+            guildId: guildId,
+            changes: changes
+        });
+        await bot.recordAudit(interaction, describeChanges(changes));
+        
+        // Rename counters so their labels follow the new language
+        if ('language' in changes) {
+            bot.scheduleGuildUpdate(interaction.guild, 'language');
+        }
+    }
+    
+    // Read after the changes so a new language applies to this reply too
+    const current = bot.getGuildSettings(guildId);
+    const t = createTranslator(bot.getGuildLanguage(interaction.guild));
+    const embed = {
+        title: Object.keys(changes).length > 0 ? `✅ ${t('settings.updatedTitle')}` : `⚙️ ${t('settings.title')}`,
+        color: Object.keys(changes).length > 0 ? 0x00ff00 : 0x0099ff,
+        fields: [
+            {
+                name: `♻️ ${t('settings.autoRecreate')}`,
+                value: current.autoRecreate ? t('settings.autoRecreateOn') : t('settings.autoRecreateOff'),
+                inline: false
+            },
+            {
+                name: `🌐 ${t('settings.language')}`,
+                value: current.language
+                    ? getLanguageName(current.language)
+                    : t('settings.localeLanguage', { language: getLanguageName(resolveLanguage(interaction.guild.preferredLocale)) }),
+                inline: false
+            }
+        ],
+        timestamp: new Date().toISOString()
+    };
+    
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+module.exports = {
+    data,
+    execute: handleCounterSettings
+};
@@ -0,0 +1,439 @@
+const { SlashCommandBuilder, ChannelType } = require('discord.js');
+const { COUNTER_TYPES, getCounterLabel, formatCounterValue, getMissingIntents, isCounterAvailable } = require('../counter-types');
+const { ROLE_MATCH_MODES, buildRoleFilter, validateRoleFilter } = require('../role-filter');
+const { MAX_CHANNEL_NAME_LENGTH, validateTemplate } = require('../templates');
+const { buildGoal, validateGoal, advanceGoal } = require('../goals');
+const { findOrCreateCategory } = require('../channels');
+const { DISPLAY_MODES, DEFAULT_DISPLAY_MODE } = require('../display-modes');
+const { MAX_PANEL_COUNTERS, validatePanelChannel, getPanelConfigs } = require('../panels');
+const { createTranslator, formatNumber, localizations } = require('../i18n');
+const { hasCounterAccess } = require('../access');
+const { describeExternalToken } = require('./helpers');
+const { buildTimeSettings } = require('../time-counters');
+const { MAX_STALE_MINUTES, buildExternalSettings } = require('../external-counters');
+
+const data = new SlashCommandBuilder()
+    .setName('counter-setup')
+    .setDescription('Set up a counter channel')
+    .addStringOption(option =>
+        option.setName('type')
+            .setDescription('Type of counter')
+            .setRequired(true)
+            .addChoices(
+                ...Object.entries(COUNTER_TYPES).map(([value, type]) => ({
+                    name: type.label,
+                    name_localizations: localizations(`counterTypes.${value}`),
+                    value
+                }))
+            ))
+    .addStringOption(option =>
+        option.setName('category')
+            .setDescription('Category name for the counter channel (voice display only)')
+            .setRequired(false))
+    .addStringOption(option =>
+        option.setName('template')
+            .setDescription('Channel name template, e.g. "👥 {label} ∙ {count:compact}"')
+            .setRequired(false)
+            .setMaxLength(MAX_CHANNEL_NAME_LENGTH))
+    .addRoleOption(option =>
+        option.setName('role')
+            .setDescription('Role to count (role-filter type only)')
+            .setRequired(false))
+    .addRoleOption(option =>
+        option.setName('second-role')
+            .setDescription('Additional role to count (role-filter type only)')
+            .setRequired(false))
+    .addStringOption(option =>
+        option.setName('role-match')
+            .setDescription('How members are matched against the roles (default: any)')
+            .setRequired(false)
+            .addChoices(
+                ...Object.entries(ROLE_MATCH_MODES).map(([value, name]) => ({ name, value }))
+            ))
+    .addStringOption(option =>
+        option.setName('bots')
+            .setDescription('Whether bots are counted (default: exclude)')
+            .setRequired(false)
+            .addChoices(
+                { name: 'Exclude bots', value: 'exclude' },
+                { name: 'Include bots', value: 'include' },
+                { name: 'Only bots', value: 'only' }
+            ))
+    .addStringOption(option =>
+        option.setName('presence')
+            .setDescription('Only count members with this status (default: any)')
+            .setRequired(false)
+            .addChoices(
+                { name: 'Any status', value: 'any' },
+                { name: 'Online', value: 'online' },
+                { name: 'Offline', value: 'offline' }
+            ))
+    .addIntegerOption(option =>
+        option.setName('goal')
+            .setDescription('Turn the counter into a goal counter with this target')
+            .setRequired(false)
+            .setMinValue(1))
+    .addIntegerOption(option =>
+        option.setName('goal-step')
+            .setDescription('How far the goal advances when reached (default: the initial goal)')
+            .setRequired(false)
+            .setMinValue(1))
+    .addChannelOption(option =>
+        option.setName('announce-channel')
+            .setDescription('Channel that receives milestone announcements for the goal')
+            .setRequired(false)
+            .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement))
+    .addStringOption(option =>
+        option.setName('display')
+            .setDescription('How the counter is shown (default: voice channel name)')
+            .setRequired(false)
+            .addChoices(
+                ...Object.values(DISPLAY_MODES).map(mode => ({
+                    name: mode.label,
+                    name_localizations: localizations(`displayModes.${mode.key}`),
+                    value: mode.key
+                }))
+            ))
+    .addChannelOption(option =>
+        option.setName('panel-channel')
+            .setDescription('Channel for the stats panel (panel display only, moves an existing panel)')
+            .setRequired(false)
+            .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement))
+    .addStringOption(option =>
+        option.setName('countdown-to')
+            .setDescription('Date to count down to, e.g. "2026-12-31 18:00" (countdown type only)')
+            .setRequired(false)
+            .setMaxLength(40))
+    .addStringOption(option =>
+        option.setName('event')
+            .setDescription('Name of the event counted down to, e.g. "Launch" (countdown type only)')
+            .setRequired(false)
+            .setMaxLength(50))
+    .addStringOption(option =>
+        option.setName('timezone')
+            .setDescription('Time zone for the clock or the countdown date (default: UTC)')
+            .setRequired(false)
+            .setAutocomplete(true))
+    .addIntegerOption(option =>
+        option.setName('stale-after')
+            .setDescription('Minutes without a pushed value until the counter is marked stale (external type only, default: 60)')
+            .setRequired(false)
+            .setMinValue(1)
+            .setMaxValue(MAX_STALE_MINUTES));
+
+// Time zone suggestions matching what has been typed so far
+async function autocompleteTimeZone(interaction) {
+    const focused = interaction.options.getFocused().toLowerCase().replace(/ /g, '_');
+    const matches = Intl.supportedValuesOf('timeZone')
+        .filter(timeZone => timeZone.toLowerCase().includes(focused))
+        .slice(0, 25);
+    
+    await interaction.respond(matches.map(timeZone => ({ name: timeZone, value: timeZone })));
+}
+
+// Panel counters need a channel for the panel unless the server already has one
+function validatePanel(guild, panelChannel, bot, t) {
+    if (!panelChannel && !bot.getGuildSettings(guild.id).panel) {
+        return t('setup.panelChannelRequired');
+    }
+    if (getPanelConfigs(bot, guild.id).length >= MAX_PANEL_COUNTERS) {
+        return t('setup.panelFull', { max: MAX_PANEL_COUNTERS });
+    }
+    
+    return panelChannel ? validatePanelChannel(guild, panelChannel, t) : null;
+}
+
+async function handleCounterSetup(interaction, bot) {
+    const counterType = interaction.options.getString('type');
+    const categoryName = interaction.options.getString('category');
+    const template = interaction.options.getString('template');
+    const roles = ['role', 'second-role']
+        .map(name => interaction.options.getRole(name))
+        .filter(Boolean);
+    const filterOptions = ['role-match', 'bots', 'presence']
+        .map(name => interaction.options.getString(name));
+    const goal = interaction.options.getInteger('goal');
+    const goalStep = interaction.options.getInteger('goal-step');
+    const announceChannel = interaction.options.getChannel('announce-channel');
+    const display = interaction.options.getString('display') || DEFAULT_DISPLAY_MODE;
+    const panelChannel = interaction.options.getChannel('panel-channel');
+    const timeOptions = {
+        countdownTo: interaction.options.getString('countdown-to'),
+        event: interaction.options.getString('event'),
+        timeZone: interaction.options.getString('timezone')
+    };
+    const staleAfter = interaction.options.getInteger('stale-after');
+    const mode = DISPLAY_MODES[display];
+    const language = bot.getGuildLanguage(interaction.guild);
+    const t = createTranslator(language);
+    
+    try {
+        // Check permissions
+        if (!hasCounterAccess(bot, interaction, 'manage')) {
+            return interaction.reply({ 
+                content: t('setup.missingPermission'),
+                ephemeral: true
+            });
+        }
+        
+        const config = {
+            type: counterType
+        };
+        if (template) {
+            config.template = template;
+        }
+        if (display !== DEFAULT_DISPLAY_MODE) {
+            config.display = display;
+        }
+        
+        if (mode.inCategory && !categoryName) {
+            return interaction.reply({
+                content: t('setup.categoryRequired'),
+                ephemeral: true
+            });
+        }
+        if (!mode.inCategory && categoryName) {
+            return interaction.reply({
+                content: t('setup.categoryVoiceOnly'),
+                ephemeral: true
+            });
+        }
+        
+        if (display === 'panel') {
+            const panelError = validatePanel(interaction.guild, panelChannel, bot, t);
+            if (panelError) {
+                return interaction.reply({
+                    content: panelError,
+                    ephemeral: true
+                });
+            }
+        } else if (panelChannel) {
+            return interaction.reply({
+                content: t('setup.panelChannelPanelOnly'),
+                ephemeral: true
+            });
+        }
+        
+        if (counterType === 'role-filter') {
+            config.filter = buildRoleFilter(roles, ...filterOptions);
+            const filterError = validateRoleFilter(config.filter, interaction.guild);
+            if (filterError) {
+                return interaction.reply({
+                    content: t(filterError.key, filterError.vars),
+                    ephemeral: true
+                });
+            }
+        } else if (roles.length > 0 || filterOptions.some(Boolean)) {
+            return interaction.reply({
+                content: t('setup.filterNeedsRoleFilter'),
+                ephemeral: true
+            });
+        }
+        
+        if (!isCounterAvailable(bot.settings, config)) {
+            return interaction.reply({
+                content: t('setup.typeUnavailable', {
+                    type: getCounterLabel(interaction.guild, config, language),
+                    intents: getMissingIntents(bot.settings, config).map(intent => `\`${intent}\``).join(', ')
+                }),
+                ephemeral: true
+            });
+        }
+        
+        if (COUNTER_TYPES[counterType].source === 'time') {
+            const { time, error } = goal ? { error: t('setup.timeGoal') } : buildTimeSettings(counterType, timeOptions, t);
+            if (error) {
+                return interaction.reply({
+                    content: error,
+                    ephemeral: true
+                });
+            }
+            if (Object.keys(time).length > 0) {
+                config.time = time;
+            }
+        } else if (Object.values(timeOptions).some(Boolean)) {
+            return interaction.reply({
+                content: t('setup.timeOptionsNeedTimeType'),
+                ephemeral: true
+            });
+        }
+        
+        // The token is only kept long enough to show it once
+        let externalToken = null;
+        if (COUNTER_TYPES[counterType].source === 'external') {
+            ({ token: externalToken, external: config.external } = buildExternalSettings(staleAfter));
+        } else if (staleAfter) {
+            return interaction.reply({
+                content: t('setup.staleAfterNeedsExternal'),
+                ephemeral: true
+            });
+        }
+        
+        if (goal) {
+            config.goal = buildGoal(goal, goalStep, announceChannel);
+            const goalError = validateGoal(interaction.guild, announceChannel);
+            if (goalError) {
+                return interaction.reply({
+                    content: t(goalError.key, goalError.vars),
+                    ephemeral: true
+                });
+            }
+        } else if (goalStep || announceChannel) {
+            return interaction.reply({
+                content: t('setup.goalOptionsNeedGoal'),
+                ephemeral: true
+            });
+        }
+        
+        if (template) {
+            const templateError = validateTemplate(template, interaction.guild, config, language);
+            if (templateError) {
+                return interaction.reply({
+                    content: t('setup.invalidTemplate', { error: t(templateError.key, templateError.vars) }),
+                    ephemeral: true
+                });
+            }
+        }
+        
+        await interaction.deferReply();
+        
+        const { viewRoles } = bot.getGuildSettings(interaction.guild.id);
+        
+        // Create or find category
+        if (mode.inCategory) {
+            const category = await findOrCreateCategory(interaction.guild, categoryName, viewRoles);
+            config.categoryId = category.id;
+            config.categoryName = category.name;
+        }
+        
+        // Get current count
+        const count = await bot.getCountForType(interaction.guild, counterType, config.filter, config.time, config.external);
+        
+        // Goals the server has already passed are skipped without an announcement
+        if (config.goal) {
+            advanceGoal(config.goal, count);
+        }
+        
+        // Create whatever shows the counter
+        const channelId = await mode.create(bot, interaction.guild, config, count, { language, panelChannel, viewRoles });
+        
+        // Store configuration
+        const guildId = interaction.guild.id;
+        if (!bot.counterConfigs.has(guildId)) {
+            bot.counterConfigs.set(guildId, []);
+        }
+        
+        const stored = {
+            channelId: channelId,
+            ...config
+        };
+        bot.counterConfigs.get(guildId).push(stored);
+        
+        // Panels are drawn from the stored configurations
+        if (!mode.renames) {
+            mode.refresh(bot, interaction.guild);
+        }
+        bot.scheduleNextTimeUpdate(interaction.guild, stored);
+        
+        // Save configurations immediately after setup
+        await bot.saveConfigs();
+        await bot.logMessage('info', 'Counter setup completed', {
+            guild: interaction.guild.name,
+            guildId: guildId,
+            type: counterType,
+            display: display,
+            channelId: channelId,
+            categoryId: config.categoryId
+        });
+        await bot.recordAudit(interaction, `Set up a \`${counterType}\` counter (${display})`);
+        
+        const embed = {
+            title: `✅ ${t('setup.title')}`,
+            description: t('setup.description'),
+            color: 0x00ff00,
+            fields: [
+                {
+                    name: `📊 ${t('setup.type')}`,
+                    value: getCounterLabel(interaction.guild, config, language),
+                    inline: true
+                },
+                {
+                    name: `🖥️ ${t('setup.display')}`,
+                    value: t(`displayModes.${display}`),
+                    inline: true
+                },
+                ...(mode.inCategory ? [{
+                    name: `📁 ${t('setup.category')}`,
+                    value: config.categoryName,
+                    inline: true
+                }] : []),
+                {
+                    name: `🔊 ${t('setup.channel')}`,
+                    value: mode.describeTarget(bot, interaction.guild, stored),
+                    inline: false
+                },
+                {
+                    name: `📈 ${t('setup.count')}`,
+                    value: formatCounterValue(interaction.guild, config, count, language) ?? count.toString(),
+                    inline: true
+                }
+            ],
+            footer: {
+                text: t('setup.footer', { minutes: bot.settings.updateIntervalMinutes })
+            },
+            timestamp: new Date().toISOString()
+        };
+        
+        if (config.goal) {
+            embed.fields.push({
+                name: `🎯 ${t('setup.goal')}`,
+                value: t('setup.goalValue', {
+                    target: formatNumber(config.goal.target, language),
+                    step: formatNumber(config.goal.step, language)
+                }),
+                inline: true
+            });
+        }
+        
+        await interaction.editReply({ embeds: [embed] });
+        
+        if (externalToken) {
+            await interaction.followUp({
+                content: describeExternalToken(bot, stored, externalToken, language),
+                ephemeral: true
+            });
+        }
+        
+    } catch (error) {
+        await bot.logMessage('error', 'Counter setup failed', {
+            guild: interaction.guild?.name,
+            guildId: interaction.guild?.id,
+            error: error.message,
+            stack: error.stack
+        });
+        
+        const errorEmbed = {
+            title: `❌ ${t('setup.errorTitle')}`,
+            description: t('setup.errorDescription'),
+            color: 0xff0000,
+            fields: [
+                {
+                    name: t('common.possibleSolutions'),
+                    value: t('setup.errorSolutions'),
+                    inline: false
+                }
+            ],
+            footer: {
+                text: t('common.contactAdmin')
+            }
+        };
+        
+        await interaction.editReply({ embeds: [errorEmbed] });
+    }
+}
+
+module.exports = {
+    data,
+    execute: handleCounterSetup,
+    autocomplete: autocompleteTimeZone
+};
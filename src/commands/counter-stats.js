@@ -0,0 +1,131 @@
+const { SlashCommandBuilder } = require('discord.js');
+const { getCounterLabel } = require('../counter-types');
+const { STATS_PERIODS } = require('../history');
+const { renderLineChart } = require('../chart');
+const { createTranslator, formatNumber, localizations } = require('../i18n');
+const { handleCounterAutocomplete } = require('./helpers');
+
+const data = new SlashCommandBuilder()
+    .setName('counter-stats')
+    .setDescription('Show member growth for this server with a chart')
+    .addStringOption(option =>
+        option.setName('period')
+            .setDescription('Time period to report on (default: week)')
+            .setRequired(false)
+            .addChoices(
+                ...Object.entries(STATS_PERIODS).map(([value, period]) => ({
+                    name: period.label,
+                    name_localizations: localizations(`stats.periods.${value}`),
+                    value
+                }))
+            ))
+    .addStringOption(option =>
+        option.setName('counter')
+            .setDescription('Chart this counter instead of total members')
+            .setRequired(false)
+            .setAutocomplete(true));
+
+async function showCounterStats(interaction, bot) {
+    const period = interaction.options.getString('period') || 'week';
+    const channelId = interaction.options.getString('counter');
+    const guild = interaction.guild;
+    const language = bot.getGuildLanguage(guild);
+    const t = createTranslator(language);
+    
+    try {
+        const config = channelId ? bot.findCounterConfig(guild.id, channelId) : null;
+        if (channelId && !config) {
+            return interaction.reply({
+                content: t('common.unknownCounter'),
+                ephemeral: true
+            });
+        }
+        
+        await interaction.deferReply();
+        
+        const report = bot.getGuildReport(guild.id, period, channelId);
+        const seriesLabel = config ? getCounterLabel(guild, config, language) : t('stats.totalMembers');
+        const formatValue = (value) => value === null ? t('stats.noData') : formatNumber(value, language);
+        
+        const embed = {
+            title: `📈 ${t('stats.title', { guild: guild.name })}`,
+            description: `${t(`stats.periods.${period}`)} · ${seriesLabel}`,
+            color: 0x0099ff,
+            fields: [
+                {
+                    name: `📥 ${t('stats.joins')}`,
+                    value: formatNumber(report.joins, language),
+                    inline: true
+                },
+                {
+                    name: `📤 ${t('stats.leaves')}`,
+                    value: formatNumber(report.leaves, language),
+                    inline: true
+                },
+                {
+                    name: `📊 ${t('stats.netChange')}`,
+                    value: `${report.net > 0 ? '+' : ''}${formatNumber(report.net, language)}`,
+                    inline: true
+                },
+                {
+                    name: `🟢 ${t('stats.peakOnline')}`,
+                    value: formatValue(report.peakOnline),
+                    inline: true
+                },
+                {
+                    name: `🔢 ${seriesLabel}`,
+                    value: report.first === null ? t('stats.noData') : `${formatValue(report.first)} → ${formatValue(report.last)}`,
+                    inline: true
+                }
+            ],
+            footer: {
+                text: t('stats.footer')
+            },
+            timestamp: new Date().toISOString()
+        };
+        
+        if (report.series.length < 2) {
+            embed.fields.push({
+                name: `⏳ ${t('stats.chart')}`,
+                value: t('stats.notEnoughSamples'),
+                inline: false
+            });
+            return interaction.editReply({ embeds: [embed] });
+        }
+        
+        const chart = renderLineChart(report.series, { timeFormat: STATS_PERIODS[period].timeFormat });
+        embed.image = { url: 'attachment://counter-stats.png' };
+        
+        await interaction.editReply({
+            embeds: [embed],
+            files: [{ attachment: chart, name: 'counter-stats.png' }]
+        });
+    } catch (error) {
+        await bot.logMessage('error', 'Counter statistics failed', {
+            guild: guild?.name,
+            guildId: guild?.id,
+            error: error.message
+        });
+        
+        const errorEmbed = {
+            title: `❌ ${t('stats.errorTitle')}`,
+            description: t('stats.errorDescription'),
+            color: 0xff0000,
+            footer: {
+                text: t('common.contactAdmin')
+            }
+        };
+        
+        if (interaction.deferred) {
+            await interaction.editReply({ embeds: [errorEmbed] });
+        } else {
+            await interaction.reply({ embeds: [errorEmbed], ephemeral: true });
+        }
+    }
+}
+
+module.exports = {
+    data,
+    execute: showCounterStats,
+    autocomplete: handleCounterAutocomplete
+};
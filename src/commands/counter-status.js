@@ -0,0 +1,115 @@
+const { SlashCommandBuilder } = require('discord.js');
+const { hasCounterAccess, describeMissingAccess } = require('../access');
+const { getCounterLabel, formatCounterValue } = require('../counter-types');
+const { getDisplayMode } = require('../display-modes');
+const { getStaleMarker } = require('../external-counters');
+const { createTranslator, formatNumber } = require('../i18n');
+
+const data = new SlashCommandBuilder()
+    .setName('counter-status')
+    .setDescription('List this server\'s active counters with their current values');
+
+async function showCounterStatus(interaction, bot) {
+    const guild = interaction.guild;
+    const configs = bot.counterConfigs.get(guild.id) || [];
+    const language = bot.getGuildLanguage(guild);
+    const t = createTranslator(language);
+    
+    // Check permissions
+    if (!hasCounterAccess(bot, interaction, 'manage')) {
+        return interaction.reply({
+            content: describeMissingAccess('manage', 'status', language),
+            ephemeral: true
+        });
+    }
+    
+    if (configs.length === 0) {
+        return interaction.reply({
+            content: t('common.noCounters'),
+            ephemeral: true
+        });
+    }
+    
+    try {
+        await interaction.deferReply({ ephemeral: true });
+        
+        const lines = [];
+        for (const config of configs) {
+            const status = bot.counterStatus.get(config.channelId) || {};
+            const target = getDisplayMode(config).describeTarget(bot, guild, config, true);
+            const count = await bot.getCountForType(guild, config.type, config.filter, config.time, config.external).catch(() => null);
+            
+            const value = count === null
+                ? t('status.unknown')
+                : formatCounterValue(guild, config, count, language) ?? formatNumber(count, language);
+            let line = `• ${target} - ${getCounterLabel(guild, config, language)} · ${t('status.value', { value })}`;
+            
+            line += status.updatedAt
+                ? ` · ${t('status.updated', { time: `<t:${Math.floor(status.updatedAt / 1000)}:R>` })}`
+                : ` · ${t('status.notUpdated')}`;
+            
+            if (config.external) {
+                line += config.external.pushedAt
+                    ? ` · ${t('status.pushed', { time: `<t:${Math.floor(config.external.pushedAt / 1000)}:R>` })}${getStaleMarker(config)}`
+                    : ` · ${t('status.notPushed')}${getStaleMarker(config)}`;
+            }
+            
+            if (status.error) {
+                line += `\n  ⚠️ ${status.error} (<t:${Math.floor(status.errorAt / 1000)}:R>)`;
+            }
+            
+            lines.push(line);
+        }
+        
+        const embed = {
+            title: `📋 ${t('status.title')}`,
+            description: lines.join('\n').slice(0, 4096),
+            color: 0x0099ff,
+            fields: [
+                {
+                    name: `📊 ${t('status.counters')}`,
+                    value: configs.length.toString(),
+                    inline: true
+                },
+                {
+                    name: `⚠️ ${t('status.withErrors')}`,
+                    value: configs.filter(c => bot.counterStatus.get(c.channelId)?.error).length.toString(),
+                    inline: true
+                }
+            ],
+            footer: {
+                text: t('status.footer')
+            },
+            timestamp: new Date().toISOString()
+        };
+        
+        await interaction.editReply({ embeds: [embed] });
+        
+    } catch (error) {
+        await bot.logMessage('error', 'Counter status failed', {
+            guild: guild?.name,
+            guildId: guild?.id,
+            error: error.message
+        });
+        
+        const errorEmbed = {
+            title: `❌ ${t('status.errorTitle')}`,
+            description: t('status.errorDescription'),
+            color: 0xff0000,
+            footer: {
+                text: t('common.contactAdmin')
+            }
+        };
+        
+        if (interaction.deferred) {
+            await interaction.editReply({ embeds: [errorEmbed] });
+        } else {
+            await interaction.reply({ embeds: [errorEmbed], ephemeral: true });
+        }
+    }
+}
+
+module.exports = {
+    data,
+    execute: showCounterStatus
+};
@@ -0,0 +1,235 @@
+const {
+    SlashCommandBuilder,
+    ActionRowBuilder,
+    StringSelectMenuBuilder,
+    ChannelSelectMenuBuilder,
+    ButtonBuilder,
+    ButtonStyle,
+    ChannelType
+} = require('discord.js');
+const { COUNTER_TYPES, getCounterLabel, isCounterAvailable } = require('../counter-types');
+const { createCounterSet } = require('../presets');
+const { createTranslator } = require('../i18n');
+const { hasCounterAccess } = require('../access');
+
+// Setup wizard
+// One ephemeral message with a select menu of counter types, a select menu of existing
+// categories and create/cancel buttons. The choices so far are kept in the message itself,
+// as the selected options of its menus, so the wizard survives restarts and needs no state
+const DEFAULT_CATEGORY = '📊 Server Stats';
+
+// These types need options only /counter-setup has (roles, a date or a push token)
+const WIZARD_TYPES = Object.keys(COUNTER_TYPES)
+    .filter(type => !['role-filter', 'countdown', 'external'].includes(type))
+    .slice(0, 25); // Discord allows 25 options per select menu
+
+const data = new SlashCommandBuilder()
+    .setName('counter-wizard')
+    .setDescription('Set up counters step by step with menus and buttons');
+
+function buildWizardMessage(guild, { types, categoryId }, language, settings) {
+    const t = createTranslator(language);
+    
+    // Types the configured intents can't count aren't offered
+    const available = WIZARD_TYPES.filter(type => isCounterAvailable(settings, { type }));
+    
+    const embed = {
+        title: `🧙 ${t('wizard.title')}`,
+        description: t('wizard.description'),
+        color: 0x0099ff,
+        fields: [
+            {
+                name: `📊 ${t('wizard.types')}`,
+                value: types.length > 0
+                    ? types.map(type => `• ${getCounterLabel(guild, { type }, language)}`).join('\n')
+                    : t('wizard.noneSelected'),
+                inline: true
+            },
+            {
+                name: `📁 ${t('wizard.category')}`,
+                value: categoryId ? `<#${categoryId}>` : t('wizard.newCategory', { name: DEFAULT_CATEGORY }),
+                inline: true
+            }
+        ]
+    };
+    
+    const typeMenu = new StringSelectMenuBuilder()
+        .setCustomId('counter-wizard:types')
+        .setPlaceholder(t('wizard.typesPlaceholder'))
+        .setMinValues(1)
+        .setMaxValues(available.length)
+        .addOptions(available.map(type => ({
+            label: getCounterLabel(guild, { type }, language).slice(0, 100),
+            value: type,
+            default: types.includes(type)
+        })));
+    
+    const categoryMenu = new ChannelSelectMenuBuilder()
+        .setCustomId('counter-wizard:category')
+        .setPlaceholder(t('wizard.categoryPlaceholder', { name: DEFAULT_CATEGORY }))
+        .setChannelTypes(ChannelType.GuildCategory)
+        .setMinValues(0)
+        .setMaxValues(1);
+    if (categoryId) {
+        categoryMenu.setDefaultChannels(categoryId);
+    }
+    
+    const buttons = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId('counter-wizard:create')
+            .setLabel(t('wizard.create'))
+            .setStyle(ButtonStyle.Success)
+            .setDisabled(types.length === 0),
+        new ButtonBuilder()
+            .setCustomId('counter-wizard:cancel')
+            .setLabel(t('wizard.cancel'))
+            .setStyle(ButtonStyle.Secondary)
+    );
+    
+    return {
+        embeds: [embed],
+        components: [
+            new ActionRowBuilder().addComponents(typeMenu),
+            new ActionRowBuilder().addComponents(categoryMenu),
+            buttons
+        ]
+    };
+}
+
+// The choices made so far, read back from the menus of the wizard message
+function readWizardState(message) {
+    const components = message.components.flatMap(row => row.toJSON().components);
+    const typeMenu = components.find(component => component.custom_id === 'counter-wizard:types');
+    const categoryMenu = components.find(component => component.custom_id === 'counter-wizard:category');
+    
+    return {
+        types: (typeMenu?.options || []).filter(option => option.default).map(option => option.value),
+        categoryId: categoryMenu?.default_values?.[0]?.id ?? null
+    };
+}
+
+async function startWizard(interaction, bot) {
+    const language = bot.getGuildLanguage(interaction.guild);
+    
+    if (!hasCounterAccess(bot, interaction, 'manage')) {
+        return interaction.reply({
+            content: createTranslator(language)('setup.missingPermission'),
+            ephemeral: true
+        });
+    }
+    
+    await interaction.reply({
+        ...buildWizardMessage(interaction.guild, { types: [], categoryId: null }, language, bot.settings),
+        ephemeral: true
+    });
+}
+
+async function createWizardCounters(interaction, bot, { types, categoryId }) {
+    const guild = interaction.guild;
+    const language = bot.getGuildLanguage(guild);
+    const t = createTranslator(language);
+    
+    // Access may have been taken away since the wizard was opened
+    if (!hasCounterAccess(bot, interaction, 'manage')) {
+        return interaction.update({ content: t('setup.missingPermission'), embeds: [], components: [] });
+    }
+    
+    const category = categoryId ? guild.channels.cache.get(categoryId) : null;
+    if (categoryId && !category) {
+        return interaction.reply({ content: t('wizard.categoryDeleted'), ephemeral: true });
+    }
+    
+    await interaction.deferUpdate();
+    
+    try {
+        const configs = types.map(type => ({ type }));
+        const { category: target, created } = await createCounterSet(bot, guild, category || DEFAULT_CATEGORY, configs, language);
+        
+        await bot.saveConfigs();
+        await bot.logMessage('info', 'Counter wizard completed', {
+            guild: guild.name,
+            guildId: guild.id,
+            categoryId: target.id,
+            counters: created.length
+        });
+        await bot.recordAudit(interaction, `Created ${created.length} counters with the setup wizard (${types.join(', ')})`);
+        
+        const embed = {
+            title: `✅ ${t('wizard.createdTitle')}`,
+            description: t('wizard.createdDescription', { count: created.length, category: target.name }),
+            color: 0x00ff00,
+            fields: [
+                {
+                    name: `🔊 ${t('wizard.channels')}`,
+                    value: created.map(config => `• <#${config.channelId}>`).join('\n'),
+                    inline: false
+                }
+            ],
+            footer: {
+                text: t('setup.footer', { minutes: bot.settings.updateIntervalMinutes })
+            },
+            timestamp: new Date().toISOString()
+        };
+        
+        await interaction.editReply({ content: null, embeds: [embed], components: [] });
+        
+    } catch (error) {
+        // Keep whatever was created before the failure
+        await bot.saveConfigs();
+        await bot.logMessage('error', 'Counter wizard failed', {
+            guild: guild.name,
+            guildId: guild.id,
+            error: error.message,
+            stack: error.stack
+        });
+        
+        const errorEmbed = {
+            title: `❌ ${t('setup.errorTitle')}`,
+            description: t('wizard.errorDescription'),
+            color: 0xff0000,
+            fields: [
+                {
+                    name: t('common.possibleSolutions'),
+                    value: t('setup.errorSolutions'),
+                    inline: false
+                }
+            ],
+            footer: {
+                text: t('common.contactAdmin')
+            }
+        };
+        
+        await interaction.editReply({ embeds: [errorEmbed], components: [] });
+    }
+}
+
+// Menus and buttons of the wizard message, plus the start button of the welcome message
+async function handleWizardComponent(interaction, bot) {
+    const [, action] = interaction.customId.split(':');
+    const language = bot.getGuildLanguage(interaction.guild);
+    
+    if (action === 'start') {
+        return startWizard(interaction, bot);
+    }
+    if (action === 'cancel') {
+        return interaction.update({ content: createTranslator(language)('wizard.cancelled'), embeds: [], components: [] });
+    }
+    
+    const state = readWizardState(interaction.message);
+    
+    if (action === 'types') {
+        state.types = interaction.values;
+    } else if (action === 'category') {
+        state.categoryId = interaction.values[0] ?? null;
+    } else if (action === 'create' && state.types.length > 0) {
+        return createWizardCounters(interaction, bot, state);
+    }
+    
+    await interaction.update(buildWizardMessage(interaction.guild, state, language, bot.settings));
+}
+
+module.exports = {
+    data,
+    execute: startWizard,
+    component: handleWizardComponent
+};
@@ -0,0 +1,55 @@
+const { getCounterLabel, getMissingIntents } = require('../counter-types');
+const { DEFAULT_LANGUAGE, createTranslator } = require('../i18n');
+const { getDisplayMode } = require('../display-modes');
+
+// Shared by commands that pick an existing counter
+function describeCounter(bot, guild, config, language = DEFAULT_LANGUAGE) {
+    const name = getDisplayMode(config).describeTarget(bot, guild, config);
+    return `${name} (${getCounterLabel(guild, config, language)})`;
+}
+
+async function handleCounterAutocomplete(interaction, bot) {
+    const focused = interaction.options.getFocused().toLowerCase();
+    const configs = bot.counterConfigs.get(interaction.guild.id) || [];
+    const language = bot.getGuildLanguage(interaction.guild);
+    
+    const choices = configs
+        .map(config => ({
+            name: describeCounter(bot, interaction.guild, config, language).slice(0, 100),
+            value: config.channelId
+        }))
+        .filter(choice => choice.name.toLowerCase().includes(focused))
+        .slice(0, 25);
+    
+    await interaction.respond(choices);
+}
+
+// How to push values to an external counter; the token is only shown in this message
+function describeExternalToken(bot, config, token, language = DEFAULT_LANGUAGE) {
+    const t = createTranslator(language);
+    const url = bot.getStatusServerUrl();
+    const message = t('setup.externalToken', {
+        token,
+        url: `${url || 'http://<statusHost>:<statusPort>'}/counters/${config.channelId}/value`
+    });
+    
+    return url ? message : `${message}\n${t('setup.externalServerOff')}`;
+}
+
+// One line per counter left out of a preset or import for lack of intents
+function describeSkippedCounters(bot, skipped, language = DEFAULT_LANGUAGE) {
+    const t = createTranslator(language);
+    return skipped
+        .map(config => t('common.skippedCounter', {
+            type: config.type,
+            intents: getMissingIntents(bot.settings, config).map(intent => `\`${intent}\``).join(', ')
+        }))
+        .join('\n');
+}
+
+module.exports = {
+    describeCounter,
+    describeExternalToken,
+    describeSkippedCounters,
+    handleCounterAutocomplete
+};
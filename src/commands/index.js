@@ -0,0 +1,31 @@
+const fs = require('fs');
+const path = require('path');
+const { localizeCommand } = require('../i18n');
+
+// Slash commands
+// Every counter-*.js module in this directory exports the command's data (a SlashCommandBuilder),
+// an execute(interaction, bot) handler and optionally an autocomplete(interaction, bot) handler.
+// Commands with buttons or select menus also export a component(interaction, bot) handler; their
+// custom ids are "<command name>:<action>[:<data>]" so clicks are routed back to the command.
+// Name and description translations are added from the catalogs in ../locales
+function loadCommands() {
+    const commands = new Map();
+    
+    for (const file of fs.readdirSync(__dirname).filter(file => /^counter-.+\.js$/.test(file)).sort()) {
+        const command = require(path.join(__dirname, file));
+        localizeCommand(command.data);
+        commands.set(command.data.name, command);
+    }
+    
+    return commands;
+}
+
+// The command a button or select menu belongs to, from its custom id
+function getComponentCommand(interaction) {
+    return interaction.customId.split(':')[0];
+}
+
+module.exports = {
+    loadCommands,
+    getComponentCommand
+};
@@ -0,0 +1,135 @@
+const { SCHEMA_VERSION } = require('./storage');
+const { resolveLanguage } = require('./i18n');
+
+// Per-guild settings
+const DEFAULT_GUILD_SETTINGS = {
+    autoRecreate: false,
+    logChannelId: null,
+    dailySummary: true,
+    language: null, // null follows the server's preferred locale
+    panel: null, // { channelId, messageId } of the stats panel
+    managerRoles: [], // roles that can create, edit and remove counters without "Manage Channels"
+    resetRoles: [], // roles that can reset counters without "Administrator"
+    viewRoles: [] // roles that can see counter channels; empty shows them to everyone
+};
+
+// Counter configurations and per-guild settings, persisted through bot.storage
+function createConfigStore(bot) {
+    // Saving before a successful load would overwrite stored configurations with nothing
+    let configsLoaded = false;
+    
+    // Save configurations to storage
+    async function saveConfigs() {
+        if (!configsLoaded) return;
+        
+        try {
+            const configData = {
+                schemaVersion: SCHEMA_VERSION,
+                counterConfigs: {}
+            };
+            
+            // Add server names to the configuration data
+            const guildIds = new Set([...bot.counterConfigs.keys(), ...bot.guildSettings.keys()]);
+            for (const guildId of guildIds) {
+                const guild = bot.client.guilds.cache.get(guildId);
+                configData.counterConfigs[guildId] = {
+                    serverName: guild ? guild.name : 'Unknown Server',
+                    configs: bot.counterConfigs.get(guildId) || []
+                };
+                
+                if (bot.guildSettings.has(guildId)) {
+                    configData.counterConfigs[guildId].settings = bot.guildSettings.get(guildId);
+                }
+            }
+            
+            await bot.storage.save(configData);
+            await bot.logMessage('info', 'Configurations saved successfully', { backend: bot.storage.name });
+        } catch (error) {
+            await bot.logMessage('error', 'Failed to save configurations', { error: error.message });
+        }
+    }
+    
+    // Load configurations from storage
+    async function loadConfigs() {
+        const configData = await bot.storage.load();
+        
+        bot.counterConfigs.clear();
+        bot.guildSettings.clear();
+        configsLoaded = true;
+        
+        if (!configData) {
+            await bot.logMessage('info', 'No existing configuration found, starting fresh', { backend: bot.storage.name });
+            return;
+        }
+        
+        for (const [guildId, guildData] of Object.entries(configData.counterConfigs)) {
+            if (guildData.configs.length > 0) {
+                bot.counterConfigs.set(guildId, guildData.configs);
+            }
+            if (guildData.settings) {
+                bot.guildSettings.set(guildId, guildData.settings);
+            }
+        }
+        
+        await bot.logMessage('info', 'Configurations loaded successfully', { 
+            backend: bot.storage.name,
+            schemaVersion: configData.schemaVersion,
+            guilds: bot.counterConfigs.size 
+        });
+    }
+    
+    function getGuildSettings(guildId) {
+        return { ...DEFAULT_GUILD_SETTINGS, ...bot.guildSettings.get(guildId) };
+    }
+    
+    function updateGuildSettings(guildId, changes) {
+        bot.guildSettings.set(guildId, { ...bot.guildSettings.get(guildId), ...changes });
+    }
+    
+    // Language for a guild's responses and counter names
+    function getGuildLanguage(guild) {
+        return getGuildSettings(guild.id).language || resolveLanguage(guild.preferredLocale);
+    }
+    
+    // Counter management
+    function findCounterConfig(guildId, channelId) {
+        return (bot.counterConfigs.get(guildId) || []).find(c => c.channelId === channelId);
+    }
+    
+    function removeCounterConfig(guildId, channelId) {
+        const configs = bot.counterConfigs.get(guildId) || [];
+        const removed = configs.find(c => c.channelId === channelId);
+        const remaining = configs.filter(c => c.channelId !== channelId);
+        
+        if (remaining.length > 0) {
+            bot.counterConfigs.set(guildId, remaining);
+        } else {
+            bot.counterConfigs.delete(guildId);
+        }
+        
+        bot.cancelCounterUpdate(channelId);
+        bot.counterStatus.delete(channelId);
+        
+        // Drop the counter's field from the stats panel
+        if (removed?.display === 'panel') {
+            bot.schedulePanelUpdate(guildId);
+        }
+        
+        return Boolean(removed);
+    }
+    
+    return {
+        saveConfigs,
+        loadConfigs,
+        getGuildSettings,
+        updateGuildSettings,
+        getGuildLanguage,
+        findCounterConfig,
+        removeCounterConfig
+    };
+}
+
+module.exports = {
+    DEFAULT_GUILD_SETTINGS,
+    createConfigStore
+};
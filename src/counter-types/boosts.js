@@ -0,0 +1,14 @@
+module.exports = [
+    {
+        key: 'boosts',
+        label: 'Server Boosts',
+        source: 'boosts',
+        count: (guild) => guild.premiumSubscriptionCount || 0
+    },
+    {
+        key: 'boost-tier',
+        label: 'Boost Tier',
+        source: 'boosts',
+        count: (guild) => guild.premiumTier
+    }
+];
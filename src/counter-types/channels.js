@@ -0,0 +1,19 @@
+const { ChannelType } = require('discord.js');
+
+const channelCount = (...channelTypes) => (guild) =>
+    guild.channels.cache.filter(channel => channelTypes.includes(channel.type)).size;
+
+module.exports = [
+    {
+        key: 'text-channels',
+        label: 'Text Channels',
+        source: 'channels',
+        count: channelCount(ChannelType.GuildText, ChannelType.GuildAnnouncement, ChannelType.GuildForum)
+    },
+    {
+        key: 'voice-channels',
+        label: 'Voice Channels',
+        source: 'channels',
+        count: channelCount(ChannelType.GuildVoice, ChannelType.GuildStageVoice)
+    }
+];
@@ -0,0 +1,14 @@
+module.exports = [
+    {
+        key: 'emojis',
+        label: 'Emojis',
+        source: 'expressions',
+        count: (guild) => guild.emojis.cache.size
+    },
+    {
+        key: 'stickers',
+        label: 'Stickers',
+        source: 'expressions',
+        count: (guild) => guild.stickers.cache.size
+    }
+];
@@ -0,0 +1,13 @@
+const { getStaleChange } = require('../external-counters');
+
+// External counters show the last value pushed to the status server; nextChange is when
+// that value goes stale, so the stale marker appears even if nothing is pushed
+module.exports = [
+    {
+        key: 'external',
+        label: 'External Value',
+        source: 'external',
+        count: (guild, { external }) => external?.value ?? 0,
+        nextChange: (guild, config, now) => getStaleChange(config.external, now)
+    }
+];
@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_LANGUAGE, findTranslation } = require('../i18n');
+
+// Counter types available
+// Every other module in this directory exports a list of counter types, each with a key,
+// an English label, the source of events that can change it, a count function and optionally
+// a describe function for labels that depend on the counter's configuration (returning null
+// falls back to the label). Time counters (source "time") also have format and nextChange, see
+// time.js; external counters (source "external") have nextChange for when their value goes stale.
+// Member counters list the privileged intents they need (intents, an array or a function of the
+// config) and, if they can be estimated without them, an approximate function used in limited mode.
+// Translated labels live in the catalogs under counterTypes.<key>
+function loadCounterTypes() {
+    const types = fs.readdirSync(__dirname)
+        .filter(file => file.endsWith('.js') && file !== 'index.js')
+        .sort()
+        .flatMap(file => require(path.join(__dirname, file)));
+    
+    // Member counters come first in command choices and /counter-list
+    const ordered = [
+        ...types.filter(type => type.source === 'members'),
+        ...types.filter(type => type.source !== 'members')
+    ];
+    
+    return Object.fromEntries(ordered.map(({ key, ...type }) => [key, type]));
+}
+
+const COUNTER_TYPES = loadCounterTypes();
+
+function getCounterLabel(guild, config, language = DEFAULT_LANGUAGE) {
+    const counterType = COUNTER_TYPES[config.type];
+    if (!counterType) return config.type;
+    
+    const label = findTranslation(language, `counterTypes.${config.type}`) || counterType.label;
+    return (counterType.describe && counterType.describe(guild, config, language)) || label;
+}
+
+// Intents the counter needs that the bot runs without
+function getMissingIntents(settings, config) {
+    const intents = COUNTER_TYPES[config.type]?.intents || [];
+    const needed = typeof intents === 'function' ? intents(config) : intents;
+    return needed.filter(intent => !settings.intents.includes(intent));
+}
+
+// Why the counter can't be counted with the configured intents, or null if it can
+function getUnavailableReason(settings, config) {
+    const missing = getMissingIntents(settings, config);
+    if (missing.length === 0 || COUNTER_TYPES[config.type].approximate) return null;
+    
+    return `Needs the ${missing.map(intent => `\`${intent}\``).join(' and ')} intent${missing.length === 1 ? '' : 's'}, which the bot runs without`;
+}
+
+function isCounterAvailable(settings, config) {
+    return getUnavailableReason(settings, config) === null;
+}
+
+// Counted from the guild endpoint's estimates because intents are missing
+function isCounterApproximate(settings, config) {
+    return getMissingIntents(settings, config).length > 0 && Boolean(COUNTER_TYPES[config.type]?.approximate);
+}
+
+async function getCountForType(bot, guild, type, filter = null, time = null, external = null) {
+    const counterType = COUNTER_TYPES[type];
+    if (!counterType) return 0;
+    
+    const unavailable = getUnavailableReason(bot.settings, { type, filter });
+    if (unavailable) {
+        throw new Error(unavailable);
+    }
+    if (isCounterApproximate(bot.settings, { type, filter })) {
+        return (await counterType.approximate(guild, { bot })) || 0;
+    }
+    
+    return (await counterType.count(guild, { bot, filter, time, external })) || 0;
+}
+
+// Shown text for counters that format their own value, otherwise null
+function formatCounterValue(guild, config, count, language = DEFAULT_LANGUAGE) {
+    const counterType = COUNTER_TYPES[config.type];
+    return counterType?.format ? counterType.format(guild, config, count, language) : null;
+}
+
+module.exports = {
+    COUNTER_TYPES,
+    getCounterLabel,
+    getMissingIntents,
+    getUnavailableReason,
+    isCounterAvailable,
+    isCounterApproximate,
+    getCountForType,
+    formatCounterValue
+};
@@ -0,0 +1,24 @@
+// Member counters, read from the per-guild statistics cache
+// Without the member list some are approximated from the guild's estimated member and
+// online counts, which include bots
+const MEMBER_LIST = ['GuildMembers'];
+const PRESENCES = ['GuildMembers', 'GuildPresences'];
+
+const memberCount = (key, label, intents, approximate) => ({
+    key,
+    label,
+    source: 'members',
+    intents,
+    count: async (guild, { bot }) => (await bot.getGuildStats(guild)).counts[key],
+    approximate: approximate && (async (guild, { bot }) => approximate(await bot.getApproximateCounts(guild)))
+});
+
+module.exports = [
+    memberCount('members', 'Total Members', MEMBER_LIST, counts => counts.members),
+    memberCount('bots', 'Total Bots', MEMBER_LIST),
+    memberCount('roles', 'Members with Roles', MEMBER_LIST),
+    memberCount('online-members', 'Online Members', PRESENCES, counts => counts.online),
+    memberCount('online-bots', 'Online Bots', PRESENCES),
+    memberCount('offline-members', 'Offline Members', PRESENCES, counts => counts.members - counts.online),
+    memberCount('offline-bots', 'Offline Bots', PRESENCES)
+];
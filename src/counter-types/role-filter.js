@@ -0,0 +1,25 @@
+const { matchesRoleFilter, describeRoleFilter } = require('../role-filter');
+
+module.exports = [
+    {
+        key: 'role-filter',
+        label: 'Members with Specific Roles',
+        source: 'members',
+        intents: (config) => config.filter && config.filter.presence !== 'any'
+            ? ['GuildMembers', 'GuildPresences']
+            : ['GuildMembers'],
+        count: async (guild, { bot, filter }) => {
+            if (!filter) return 0;
+            
+            const stats = await bot.getGuildStats(guild);
+            let count = 0;
+            for (const state of stats.members.values()) {
+                if (matchesRoleFilter(state, filter)) count++;
+            }
+            return count;
+        },
+        describe: (guild, config, language) => config.filter
+            ? describeRoleFilter(guild, config.filter, language)
+            : null
+    }
+];
@@ -0,0 +1,8 @@
+module.exports = [
+    {
+        key: 'role-count',
+        label: 'Total Roles',
+        source: 'roles',
+        count: (guild) => guild.roles.cache.size - 1 // Excludes @everyone
+    }
+];
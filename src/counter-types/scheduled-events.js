@@ -0,0 +1,12 @@
+const { GuildScheduledEventStatus } = require('discord.js');
+
+module.exports = [
+    {
+        key: 'scheduled-events',
+        label: 'Upcoming Events',
+        source: 'scheduled-events',
+        count: (guild) => guild.scheduledEvents.cache.filter(event =>
+            event.status === GuildScheduledEventStatus.Scheduled || event.status === GuildScheduledEventStatus.Active
+        ).size
+    }
+];
@@ -0,0 +1,46 @@
+const { createTranslator } = require('../i18n');
+const {
+    getCountdownMinutes,
+    formatCountdown,
+    getCountdownChange,
+    getClockMinutes,
+    formatClock,
+    getClockChange,
+    getTimeZoneName,
+    getServerAgeDays,
+    formatServerAge,
+    getServerAgeChange
+} = require('../time-counters');
+
+// Time counters have no events; format turns the value into the shown text and
+// nextChange returns when that text changes (null once it never will)
+module.exports = [
+    {
+        key: 'countdown',
+        label: 'Countdown',
+        source: 'time',
+        count: (guild, { time }) => time ? getCountdownMinutes(time) : 0,
+        format: (guild, config, count, language) => formatCountdown(count, language),
+        nextChange: (guild, config, now) => getCountdownChange(config.time, now),
+        describe: (guild, config) => config.time?.event || null
+    },
+    {
+        key: 'clock',
+        label: 'Clock',
+        source: 'time',
+        count: (guild, { time }) => getClockMinutes(time || {}),
+        format: (guild, config, count) => formatClock(count),
+        nextChange: (guild, config, now) => getClockChange(now),
+        describe: (guild, config, language) => createTranslator(language)('timeCounters.clock', {
+            zone: getTimeZoneName(config.time?.timeZone)
+        })
+    },
+    {
+        key: 'server-age',
+        label: 'Server Age',
+        source: 'time',
+        count: (guild) => getServerAgeDays(guild),
+        format: (guild, config, count, language) => formatServerAge(guild, Date.now(), language),
+        nextChange: (guild, config, now) => getServerAgeChange(guild, now)
+    }
+];
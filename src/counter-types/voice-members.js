@@ -0,0 +1,8 @@
+module.exports = [
+    {
+        key: 'voice-members',
+        label: 'In Voice',
+        source: 'voice',
+        count: (guild) => guild.voiceStates.cache.filter(state => state.channelId).size
+    }
+];
@@ -0,0 +1,307 @@
+const { PermissionFlagsBits } = require('discord.js');
+const { COUNTER_TYPES, getCounterLabel, getMissingIntents } = require('./counter-types');
+const { getDisplayMode } = require('./display-modes');
+const { RENAME_LIMIT, RENAME_WINDOW } = require('./scheduler');
+const { isExternalValueStale } = require('./external-counters');
+const { PRIVILEGED_INTENTS } = require('./intents');
+const { createTranslator } = require('./i18n');
+
+// Setup diagnostics
+// Each check returns findings of { level: 'error' | 'warning', problem, fix } in the guild's language;
+// errors stop counters from working, warnings make them show wrong or stale values
+const SOURCE_INTENTS = {
+    'members': 'GuildMembers',
+    'voice': 'GuildVoiceStates',
+    'expressions': 'GuildEmojisAndStickers',
+    'scheduled-events': 'GuildScheduledEvents'
+};
+
+const PRESENCE_TYPES = ['online-members', 'online-bots', 'offline-members', 'offline-bots'];
+
+// What the bot needs on whatever shows a counter, by display mode
+const TARGET_PERMISSIONS = {
+    voice: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.ManageChannels],
+    category: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.ManageChannels],
+    panel: [
+        PermissionFlagsBits.ViewChannel,
+        PermissionFlagsBits.SendMessages,
+        PermissionFlagsBits.EmbedLinks,
+        PermissionFlagsBits.ReadMessageHistory
+    ]
+};
+
+// Creating locked voice channels denies "Connect", which the bot can only do if it has it
+const SERVER_PERMISSIONS = [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.ManageChannels, PermissionFlagsBits.Connect];
+const POSTING_PERMISSIONS = [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages, PermissionFlagsBits.EmbedLinks];
+
+// "ManageChannels" -> "Manage Channels", as the language's client names it
+function formatPermissions(names, t) {
+    return names.map(name => `"${t(`permissions.${name}`)}"`).join(', ');
+}
+
+function needsPresences(config) {
+    return PRESENCE_TYPES.includes(config.type) || Boolean(config.filter && config.filter.presence !== 'any');
+}
+
+function describeTarget(bot, guild, config, language) {
+    return `**${getCounterLabel(guild, config, language)}** (${getDisplayMode(config).describeTarget(bot, guild, config, true)})`;
+}
+
+async function checkIntents(bot, guild, configs, t) {
+    const findings = [];
+    const configured = bot.settings.intents || [];
+    const flags = bot.client.application?.flags;
+    
+    const required = new Set(configs.map(config => SOURCE_INTENTS[COUNTER_TYPES[config.type]?.source]).filter(Boolean));
+    if (configs.some(needsPresences)) {
+        required.add('GuildPresences');
+    }
+    
+    for (const intent of required) {
+        const privileged = PRIVILEGED_INTENTS[intent];
+        
+        // In limited mode counters that are approximated still work, only less precisely
+        const affected = configs.filter(config => getMissingIntents(bot.settings, config).includes(intent));
+        const approximated = affected.length > 0 && affected.every(config => COUNTER_TYPES[config.type].approximate);
+        
+        if (!configured.includes(intent)) {
+            findings.push({
+                level: approximated ? 'warning' : 'error',
+                problem: t(approximated ? 'doctor.intentApproximate' : 'doctor.intentMissing', { intent }),
+                fix: privileged
+                    ? t('doctor.intentFixPortal', { intent, name: privileged.name })
+                    : t('doctor.intentFix', { intent })
+            });
+        } else if (privileged && flags && !privileged.flags.some(flag => flags.has(flag))) {
+            findings.push({
+                level: 'error',
+                problem: t('doctor.intentNotGranted', { name: privileged.name }),
+                fix: t('doctor.intentNotGrantedFix', { name: privileged.name })
+            });
+        }
+    }
+    
+    if (required.has('GuildMembers') && configured.includes('GuildMembers')) {
+        const { counts } = await bot.getGuildStats(guild);
+        const known = counts.members + counts.bots;
+        if (known < guild.memberCount) {
+            findings.push({
+                level: 'warning',
+                problem: t('doctor.membersUnknown', { known, total: guild.memberCount }),
+                fix: t('doctor.membersUnknownFix', { minutes: bot.settings.reconcileIntervalMinutes })
+            });
+        }
+        
+        // The bot itself is online, so nobody online means presences are not arriving
+        if (required.has('GuildPresences') && configured.includes('GuildPresences') && known > 1 &&
+            counts['online-members'] + counts['online-bots'] === 0) {
+            findings.push({
+                level: 'warning',
+                problem: t('doctor.noPresences'),
+                fix: t('doctor.noPresencesFix')
+            });
+        }
+    }
+    
+    return findings;
+}
+
+function checkPermissions(bot, guild, configs, t) {
+    const findings = [];
+    const me = guild.members.me;
+    const { logChannelId, viewRoles } = bot.getGuildSettings(guild.id);
+    
+    if (configs.some(config => getDisplayMode(config).renames)) {
+        // Hiding counter channels from other roles edits their overwrites
+        const missing = me.permissions.missing(viewRoles.length > 0
+            ? [...SERVER_PERMISSIONS, PermissionFlagsBits.ManageRoles]
+            : SERVER_PERMISSIONS);
+        if (missing.length > 0) {
+            findings.push({
+                level: 'error',
+                problem: t('doctor.serverMissing', { permissions: formatPermissions(missing, t) }),
+                fix: t('doctor.serverMissingFix', { permissions: formatPermissions(missing, t) })
+            });
+        }
+    }
+    
+    if (logChannelId) {
+        const channel = guild.channels.cache.get(logChannelId);
+        const missing = channel ? channel.permissionsFor(me).missing(POSTING_PERMISSIONS) : [];
+        if (missing.length > 0) {
+            findings.push({
+                level: 'warning',
+                problem: t('doctor.logMissing', { channel: channel.toString(), permissions: formatPermissions(missing, t) }),
+                fix: t('doctor.logMissingFix', { channel: channel.toString(), permissions: formatPermissions(missing, t) })
+            });
+        }
+    }
+    
+    return findings;
+}
+
+function checkCounters(bot, guild, configs, t, language) {
+    const findings = [];
+    const me = guild.members.me;
+    const { autoRecreate, viewRoles } = bot.getGuildSettings(guild.id);
+    const checkedCategories = new Set();
+    
+    for (const config of configs) {
+        const mode = getDisplayMode(config);
+        const target = describeTarget(bot, guild, config, language);
+        const channel = mode.findChannel(bot, guild, config);
+        
+        // Counters are recreated in their category, and view roles change its overwrites too
+        const category = mode.inCategory ? guild.channels.cache.get(config.categoryId) : null;
+        if (category && !checkedCategories.has(category.id)) {
+            checkedCategories.add(category.id);
+            const missingCategory = category.permissionsFor(me).missing(viewRoles.length > 0
+                ? [PermissionFlagsBits.ManageChannels, PermissionFlagsBits.ManageRoles]
+                : [PermissionFlagsBits.ManageChannels]);
+            if (missingCategory.length > 0) {
+                findings.push({
+                    level: 'error',
+                    problem: t('doctor.categoryMissing', { category: category.name, permissions: formatPermissions(missingCategory, t) }),
+                    fix: t('doctor.categoryMissingFix', { category: category.name, permissions: formatPermissions(missingCategory, t) })
+                });
+            }
+        }
+        
+        if (!channel) {
+            findings.push({
+                level: 'error',
+                problem: t(mode.key === 'panel' ? 'doctor.panelDeleted' : 'doctor.channelDeleted', { target }),
+                fix: autoRecreate && mode.canRecreate
+                    ? t('doctor.recreatedSoon')
+                    : t(mode.canRecreate ? 'doctor.removeOrRecreate' : 'doctor.removeAndMovePanel')
+            });
+            continue;
+        }
+        
+        // A channel overwrite on the bot's role or member beats its server permissions
+        const missing = channel.permissionsFor(me).missing(TARGET_PERMISSIONS[mode.key]);
+        if (missing.length > 0) {
+            findings.push({
+                level: 'error',
+                problem: t('doctor.targetMissing', { target, permissions: formatPermissions(missing, t) }),
+                fix: t('doctor.targetMissingFix', { channel: channel.toString(), permissions: formatPermissions(missing, t) })
+            });
+        }
+        
+        if (mode.inCategory && config.categoryId && !guild.channels.cache.has(config.categoryId)) {
+            findings.push({
+                level: 'warning',
+                problem: t('doctor.categoryDeleted', { target }),
+                fix: t('doctor.categoryDeletedFix')
+            });
+        }
+        
+        const deletedRoles = (config.filter?.roles || []).filter(roleId => !guild.roles.cache.has(roleId));
+        if (deletedRoles.length > 0) {
+            findings.push({
+                level: 'warning',
+                problem: deletedRoles.length === 1
+                    ? t('doctor.roleDeleted', { target })
+                    : t('doctor.rolesDeleted', { target, count: deletedRoles.length }),
+                fix: t('doctor.roleDeletedFix')
+            });
+        }
+        
+        if (config.goal?.announceChannelId) {
+            const announceChannel = guild.channels.cache.get(config.goal.announceChannelId);
+            const missingAnnounce = announceChannel ? announceChannel.permissionsFor(me).missing(POSTING_PERMISSIONS) : [];
+            if (!announceChannel || missingAnnounce.length > 0) {
+                findings.push({
+                    level: 'warning',
+                    problem: announceChannel
+                        ? t('doctor.announceMissing', { target, channel: announceChannel.toString(), permissions: formatPermissions(missingAnnounce, t) })
+                        : t('doctor.announceDeleted', { target }),
+                    fix: announceChannel
+                        ? t('doctor.announceMissingFix', { channel: announceChannel.toString(), permissions: formatPermissions(missingAnnounce, t) })
+                        : t('doctor.announceDeletedFix')
+                });
+            }
+        }
+        
+        if (config.external && bot.settings.statusPort === undefined) {
+            findings.push({
+                level: 'error',
+                problem: t('doctor.statusServerOff', { target }),
+                fix: t('doctor.statusServerOffFix')
+            });
+        } else if (config.external && isExternalValueStale(config.external)) {
+            findings.push({
+                level: 'warning',
+                problem: config.external.pushedAt
+                    ? t('doctor.stale', { target, time: `<t:${Math.floor(config.external.pushedAt / 1000)}:R>` })
+                    : t('doctor.neverPushed', { target }),
+                fix: t('doctor.staleFix')
+            });
+        }
+        
+        const status = bot.counterStatus.get(config.channelId);
+        if (status?.error) {
+            findings.push({
+                level: 'error',
+                problem: t('doctor.updateFailed', { target, time: `<t:${Math.floor(status.errorAt / 1000)}:R>`, error: status.error }),
+                fix: t('doctor.updateFailedFix')
+            });
+        }
+    }
+    
+    return findings;
+}
+
+// Time counters rename whenever their shown value changes, so they use up the rename limit
+// by design as long as it doesn't change more often than the limit allows
+function isExpectedCadence(guild, config, now = Date.now()) {
+    const nextChange = COUNTER_TYPES[config.type]?.nextChange;
+    if (!nextChange) return false;
+    
+    const next = nextChange(guild, config, now);
+    const following = next && nextChange(guild, config, next);
+    return !following || following - next >= RENAME_WINDOW / RENAME_LIMIT;
+}
+
+function checkRateLimits(bot, guild, t, language) {
+    const findings = [];
+    
+    for (const counter of bot.getUpdateQueueStatus(guild.id).counters) {
+        if (counter.renamesInWindow < RENAME_LIMIT) continue;
+        
+        const config = bot.findCounterConfig(guild.id, counter.channelId);
+        if (isExpectedCadence(guild, config)) continue;
+        
+        findings.push({
+            level: 'warning',
+            problem: t('doctor.renamesUsed', {
+                target: describeTarget(bot, guild, config, language),
+                used: counter.renamesInWindow,
+                limit: RENAME_LIMIT,
+                time: `<t:${Math.ceil(counter.nextRenameSlot / 1000)}:R>`
+            }),
+            fix: t('doctor.renamesUsedFix')
+        });
+    }
+    
+    return findings;
+}
+
+// Run every check for a guild, grouped into sections for the report
+async function diagnoseGuild(bot, guild) {
+    const configs = bot.counterConfigs.get(guild.id) || [];
+    const language = bot.getGuildLanguage(guild);
+    const t = createTranslator(language);
+    
+    return [
+        { title: `🔌 ${t('doctor.sections.intents')}`, findings: await checkIntents(bot, guild, configs, t) },
+        { title: `🛡️ ${t('doctor.sections.permissions')}`, findings: checkPermissions(bot, guild, configs, t) },
+        { title: `📊 ${t('doctor.sections.counters')}`, findings: checkCounters(bot, guild, configs, t, language) },
+        { title: `⏳ ${t('doctor.sections.renameLimits')}`, findings: checkRateLimits(bot, guild, t, language) }
+    ];
+}
+
+module.exports = {
+    SOURCE_INTENTS,
+    diagnoseGuild
+};
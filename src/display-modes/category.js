@@ -0,0 +1,35 @@
+const { createCounterCategory } = require('../channels');
+const { createTranslator } = require('../i18n');
+
+// Category named after the counter, with the server's other channels free to sit inside it
+module.exports = {
+    key: 'category',
+    label: 'Category name',
+    renames: true,
+    inCategory: false,
+    canRecreate: true,
+    
+    async create(bot, guild, config, count, { language, position, viewRoles } = {}) {
+        const category = await createCounterCategory(guild, config, count, language, position, viewRoles);
+        return category.id;
+    },
+    
+    findChannel(bot, guild, config) {
+        return guild.channels.cache.get(config.channelId) || null;
+    },
+    
+    describeTarget(bot, guild, config, mention = false) {
+        const category = this.findChannel(bot, guild, config);
+        if (!category) return createTranslator(bot.getGuildLanguage(guild))('targets.deletedCategory');
+        return mention ? `📁 ${category.name}` : category.name;
+    },
+    
+    async remove(bot, guild, config) {
+        const category = this.findChannel(bot, guild, config);
+        if (category) {
+            await category.delete();
+        }
+        
+        return Boolean(category);
+    }
+};
@@ -0,0 +1,26 @@
+// Display modes
+// A display mode decides what shows a counter and how it is updated. Each module in this
+// directory exports one mode:
+// - key, label
+// - renames: updates rename a channel and share Discord's rename rate limit; modes that
+//   don't rename implement refresh(bot, guild) instead
+// - inCategory: the counter's channel sits inside config.categoryId
+// - canRecreate: self-healing may recreate it when its channel is deleted
+// - create(bot, guild, config, count, { language, position, viewRoles, panelChannel }) returning the id
+//   stored as config.channelId
+// - findChannel(bot, guild, config), describeTarget(bot, guild, config, mention) and remove(bot, guild, config)
+const DISPLAY_MODES = Object.fromEntries(
+    [require('./voice'), require('./category'), require('./panel')].map(mode => [mode.key, mode])
+);
+const DEFAULT_DISPLAY_MODE = 'voice';
+
+// Configurations without a display are voice counters, as they were before display modes existed
+function getDisplayMode(config) {
+    return DISPLAY_MODES[config.display] || DISPLAY_MODES[DEFAULT_DISPLAY_MODE];
+}
+
+module.exports = {
+    DISPLAY_MODES,
+    DEFAULT_DISPLAY_MODE,
+    getDisplayMode
+};
@@ -0,0 +1,42 @@
+const { randomUUID } = require('crypto');
+const { createTranslator } = require('../i18n');
+
+// Field of the server's stats panel, one embed message edited in place
+// Panel counters have no channel of their own, so config.channelId is a generated id
+module.exports = {
+    key: 'panel',
+    label: 'Stats panel field',
+    renames: false,
+    inCategory: false,
+    canRecreate: false,
+    
+    async create(bot, guild, config, count, { panelChannel } = {}) {
+        if (panelChannel) {
+            await bot.movePanel(guild, panelChannel);
+        }
+        
+        return `panel-${randomUUID()}`;
+    },
+    
+    findChannel(bot, guild) {
+        const { panel } = bot.getGuildSettings(guild.id);
+        return panel ? guild.channels.cache.get(panel.channelId) || null : null;
+    },
+    
+    describeTarget(bot, guild, config, mention = false) {
+        const t = createTranslator(bot.getGuildLanguage(guild));
+        const channel = this.findChannel(bot, guild, config);
+        if (!channel) return t('targets.deletedPanel');
+        return t('targets.panel', { channel: mention ? channel.toString() : `#${channel.name}` });
+    },
+    
+    refresh(bot, guild) {
+        bot.schedulePanelUpdate(guild.id);
+    },
+    
+    // The panel drops the counter's field on its next update and is deleted with its last counter
+    async remove(bot, guild) {
+        bot.schedulePanelUpdate(guild.id);
+        return false;
+    }
+};
@@ -0,0 +1,41 @@
+const { createCounterChannel } = require('../channels');
+const { createTranslator } = require('../i18n');
+
+// Locked voice channel named after the counter
+module.exports = {
+    key: 'voice',
+    label: 'Voice channel name',
+    renames: true,
+    inCategory: true,
+    canRecreate: true,
+    
+    async create(bot, guild, config, count, { language, position, viewRoles } = {}) {
+        const channel = await createCounterChannel(guild, config, count, language, position, viewRoles);
+        return channel.id;
+    },
+    
+    findChannel(bot, guild, config) {
+        return guild.channels.cache.get(config.channelId) || null;
+    },
+    
+    describeTarget(bot, guild, config, mention = false) {
+        const channel = this.findChannel(bot, guild, config);
+        if (!channel) return createTranslator(bot.getGuildLanguage(guild))('targets.deletedChannel');
+        return mention ? channel.toString() : channel.name;
+    },
+    
+    // Delete the channel and its category once the category is empty, returning whether the channel was deleted
+    async remove(bot, guild, config) {
+        const channel = this.findChannel(bot, guild, config);
+        if (channel) {
+            await channel.delete();
+        }
+        
+        const category = guild.channels.cache.get(config.categoryId);
+        if (category && category.children.cache.size === 0) {
+            await category.delete();
+        }
+        
+        return Boolean(channel);
+    }
+};
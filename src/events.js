@@ -0,0 +1,253 @@
+const { ChannelType, PermissionFlagsBits, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { createTranslator } = require('./i18n');
+const { isPrimaryShard } = require('./sharding');
+const { getComponentCommand } = require('./commands');
+
+// Gateway event handlers
+function registerEvents(bot) {
+    bot.client.once('ready', async () => {
+        console.log(`Bot is ready! Logged in as ${bot.client.user.tag}`);
+        await bot.logMessage('info', `Bot started successfully`, { tag: bot.client.user.tag });
+        
+        // Load existing configurations
+        try {
+            await bot.loadConfigs();
+        } catch (error) {
+            await bot.logMessage('error', 'Failed to load configurations, refusing to start', {
+                backend: bot.storage.name,
+                error: error.message
+            });
+            await bot.client.destroy();
+            process.exit(1);
+        }
+        
+        // Unlike configurations, unreadable history only costs the charts, so startup continues
+        await bot.loadHistory();
+        await bot.loadAudit();
+        
+        // Repair anything that changed while the bot was offline
+        await bot.pruneRemovedGuilds();
+        for (const guildId of bot.counterConfigs.keys()) {
+            await bot.healGuildCounters(bot.client.guilds.cache.get(guildId));
+        }
+        
+        // Time counters went stale while the bot was offline
+        for (const guildId of bot.counterConfigs.keys()) {
+            const guild = bot.client.guilds.cache.get(guildId);
+            if (guild) {
+                bot.scheduleGuildUpdate(guild, 'startup', 'time');
+            }
+        }
+        
+        // Register slash commands, once for all shards
+        if (isPrimaryShard(bot.client)) {
+            await bot.registerCommands();
+        }
+        
+        bot.client.rest.on('rateLimited', (info) => {
+            bot.recordRateLimit();
+            bot.logMessage('warn', 'Discord rate limit hit', {
+                route: info.route,
+                method: info.method,
+                timeToReset: info.timeToReset,
+                global: info.global
+            });
+        });
+        
+        // Periodically update counters, reconcile cached member statistics, sample history and save
+        bot.startIntervals();
+    });
+    
+    bot.client.on('interactionCreate', async (interaction) => {
+        // Buttons and select menus of the wizard, the reset confirmation and the welcome message
+        if (interaction.isMessageComponent()) {
+            await bot.commands.get(getComponentCommand(interaction))?.component?.(interaction, bot);
+            return;
+        }
+        
+        if (!interaction.isAutocomplete() && !interaction.isChatInputCommand()) return;
+        
+        const command = bot.commands.get(interaction.commandName);
+        if (!command) return;
+        
+        if (interaction.isAutocomplete()) {
+            await command.autocomplete?.(interaction, bot);
+            return;
+        }
+        
+        await command.execute(interaction, bot);
+    });
+    
+    bot.client.on('channelDelete', async (channel) => {
+        if (channel.guild) {
+            bot.scheduleGuildHeal(channel.guild);
+        }
+    });
+    
+    bot.client.on('channelUpdate', async (oldChannel, newChannel) => {
+        if (newChannel.guild && oldChannel.parentId !== newChannel.parentId) {
+            bot.scheduleGuildHeal(newChannel.guild);
+        }
+    });
+    
+    // Update counters and post to the activity log when members join/leave
+    bot.client.on('guildMemberAdd', async (member) => {
+        bot.recordMemberEvent(member.guild, 'joins');
+        if (bot.updateMemberStats(member)) {
+            bot.scheduleGuildUpdate(member.guild, 'member-join', 'members');
+        }
+        await bot.postMemberJoin(member);
+    });
+    
+    bot.client.on('guildMemberRemove', async (member) => {
+        bot.recordMemberEvent(member.guild, 'leaves');
+        if (bot.removeMemberStats(member)) {
+            bot.scheduleGuildUpdate(member.guild, 'member-leave', 'members');
+        }
+        await bot.postMemberLeave(member);
+    });
+    
+    // Update counters when a member's roles change
+    bot.client.on('guildMemberUpdate', async (oldMember, newMember) => {
+        if (bot.updateMemberStats(newMember)) {
+            bot.scheduleGuildUpdate(newMember.guild, 'member-update', 'members');
+        }
+    });
+    
+    // Update counters when presence changes
+    bot.client.on('presenceUpdate', async (oldPresence, newPresence) => {
+        if (newPresence?.guild && bot.updatePresenceStats(newPresence.guild, newPresence.userId, newPresence.status)) {
+            bot.scheduleGuildUpdate(newPresence.guild, 'presence', 'members');
+        }
+    });
+    
+    // Update server statistics counters
+    bot.client.on('voiceStateUpdate', async (oldState, newState) => {
+        if (oldState.channelId !== newState.channelId) {
+            bot.scheduleGuildUpdate(newState.guild, 'voice', 'voice');
+        }
+    });
+    
+    bot.client.on('guildUpdate', async (oldGuild, newGuild) => {
+        if (oldGuild.premiumSubscriptionCount !== newGuild.premiumSubscriptionCount ||
+            oldGuild.premiumTier !== newGuild.premiumTier) {
+            bot.scheduleGuildUpdate(newGuild, 'boost', 'boosts');
+        }
+    });
+    
+    for (const event of ['channelCreate', 'channelDelete']) {
+        bot.client.on(event, async (channel) => {
+            if (channel.guild) {
+                bot.scheduleGuildUpdate(channel.guild, event, 'channels');
+            }
+        });
+    }
+    
+    for (const event of ['roleCreate', 'roleDelete']) {
+        bot.client.on(event, async (role) => bot.scheduleGuildUpdate(role.guild, event, 'roles'));
+    }
+    
+    for (const event of ['emojiCreate', 'emojiDelete', 'stickerCreate', 'stickerDelete']) {
+        bot.client.on(event, async (expression) => {
+            if (expression.guild) {
+                bot.scheduleGuildUpdate(expression.guild, event, 'expressions');
+            }
+        });
+    }
+    
+    for (const event of ['guildScheduledEventCreate', 'guildScheduledEventUpdate', 'guildScheduledEventDelete']) {
+        bot.client.on(event, async (...args) => {
+            const scheduledEvent = args[args.length - 1];
+            if (scheduledEvent?.guild) {
+                bot.scheduleGuildUpdate(scheduledEvent.guild, event, 'scheduled-events');
+            }
+        });
+    }
+    
+    // Clean up when the bot is removed from a guild
+    bot.client.on('guildDelete', async (guild) => {
+        bot.dropGuildStats(guild.id);
+        await bot.pruneRemovedGuilds();
+    });
+    
+    // Send welcome message when bot joins a server
+    bot.client.on('guildCreate', async (guild) => {
+        try {
+            await bot.logMessage('info', 'Bot joined new server', {
+                guild: guild.name,
+                guildId: guild.id,
+                memberCount: guild.memberCount
+            });
+            
+            // Find a suitable channel to send welcome message
+            const channel = guild.channels.cache.find(channel => 
+                channel.type === ChannelType.GuildText && 
+                channel.permissionsFor(guild.members.me)?.has([
+                    PermissionFlagsBits.SendMessages,
+                    PermissionFlagsBits.ViewChannel
+                ])
+            );
+            
+            if (channel) {
+                const t = createTranslator(bot.getGuildLanguage(guild));
+                const welcomeEmbed = {
+                    title: `🎉 ${t('welcome.title')}`,
+                    description: t('welcome.description'),
+                    color: 0x00ff00,
+                    fields: [
+                        {
+                            name: `📊 ${t('welcome.commands')}`,
+                            value: t('welcome.commandsValue'),
+                            inline: false
+                        },
+                        {
+                            name: `🔧 ${t('welcome.types')}`,
+                            value: t('welcome.typesValue'),
+                            inline: false
+                        },
+                        {
+                            name: `⚙️ ${t('welcome.permissions')}`,
+                            value: t('welcome.permissionsValue'),
+                            inline: false
+                        }
+                    ],
+                    footer: {
+                        text: t('welcome.footer')
+                    },
+                    timestamp: new Date().toISOString()
+                };
+                
+                // Opens the setup wizard for whoever clicks it, if they may manage counters
+                const wizardButton = new ActionRowBuilder().addComponents(
+                    new ButtonBuilder()
+                        .setCustomId('counter-wizard:start')
+                        .setLabel(t('welcome.startWizard'))
+                        .setStyle(ButtonStyle.Primary)
+                );
+                
+                await channel.send({ embeds: [welcomeEmbed], components: [wizardButton] });
+                
+                await bot.logMessage('info', 'Welcome message sent', {
+                    guild: guild.name,
+                    channel: channel.name
+                });
+            } else {
+                await bot.logMessage('warn', 'No suitable channel found to send welcome message', {
+                    guild: guild.name,
+                    guildId: guild.id
+                });
+            }
+            
+        } catch (error) {
+            await bot.logMessage('error', 'Failed to send welcome message', {
+                guild: guild.name,
+                guildId: guild.id,
+                error: error.message
+            });
+        }
+    });
+}
+
+module.exports = {
+    registerEvents
+};
@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+
+// External counters
+// Their value is pushed by outside tooling (a game server, a CI job) through the status server:
+//   POST /counters/<channelId>/value with "Authorization: Bearer <token>" and a number as the body
+// Each counter has its own token. Only its SHA-256 hash is stored on the config as
+// { tokenHash, staleMinutes, value, pushedAt }, so the token is shown once when it is created.
+// A counter whose value hasn't been pushed for staleMinutes is marked with STALE_MARKER
+const MINUTE = 60 * 1000;
+const DEFAULT_STALE_MINUTES = 60;
+const MAX_STALE_MINUTES = 7 * 24 * 60;
+const MAX_PUSH_SIZE = 1024;
+const STALE_MARKER = '⚠️';
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// A new token for a counter, returned once together with the hash that is stored
+function createExternalToken() {
+    const token = crypto.randomBytes(24).toString('base64url');
+    return { token, tokenHash: hashToken(token) };
+}
+
+function buildExternalSettings(staleMinutes) {
+    const { token, tokenHash } = createExternalToken();
+    return {
+        token,
+        external: {
+            tokenHash,
+            staleMinutes: staleMinutes || DEFAULT_STALE_MINUTES,
+            value: null,
+            pushedAt: null
+        }
+    };
+}
+
+function matchesToken(external, token) {
+    if (!external?.tokenHash || !token) return false;
+    
+    const expected = Buffer.from(external.tokenHash, 'hex');
+    const actual = Buffer.from(hashToken(token), 'hex');
+    // timingSafeEqual throws on buffers of different lengths
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// Counters that never received a value count as stale
+function isExternalValueStale(external, now = Date.now()) {
+    if (!external?.pushedAt) return true;
+    
+    return now - external.pushedAt >= external.staleMinutes * MINUTE;
+}
+
+// Appended to the shown text of counters whose value is stale, empty for everything else
+function getStaleMarker(config, now = Date.now()) {
+    return config.external && isExternalValueStale(config.external, now) ? ` ${STALE_MARKER}` : '';
+}
+
+// When a fresh value goes stale, so the marker is shown without waiting for a push
+function getStaleChange(external, now = Date.now()) {
+    if (isExternalValueStale(external, now)) return null;
+    
+    return external.pushedAt + external.staleMinutes * MINUTE;
+}
+
+// A plain number ("1234") or JSON ({ "value": 1234 }), returning the number or null
+function parsePushedValue(body) {
+    const text = body.trim();
+    
+    let value = text;
+    if (text.startsWith('{')) {
+        try {
+            value = JSON.parse(text).value;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    if (typeof value === 'string') {
+        value = /^-?\d+(\.\d+)?$/.test(value) ? Number(value) : null;
+    }
+    
+    return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+function createExternalCounters(bot) {
+    // Channel ids are unique across guilds, so the counter is found without knowing its guild
+    function findExternalCounter(channelId) {
+        for (const [guildId, configs] of bot.counterConfigs) {
+            const config = configs.find(c => c.channelId === channelId && c.external);
+            if (config) return { guildId, config };
+        }
+        return null;
+    }
+    
+    // Store a pushed value and queue the counter's update, returning when it is due
+    // The value is saved with the configurations on the next save interval
+    function pushExternalValue(guildId, config, value) {
+        config.external.value = value;
+        config.external.pushedAt = Date.now();
+        
+        bot.scheduleCounterUpdate(guildId, config.channelId, 'external');
+        return bot.getPendingUpdate(config.channelId)?.dueAt ?? Date.now();
+    }
+    
+    return {
+        findExternalCounter,
+        pushExternalValue
+    };
+}
+
+module.exports = {
+    DEFAULT_STALE_MINUTES,
+    MAX_STALE_MINUTES,
+    MAX_PUSH_SIZE,
+    STALE_MARKER,
+    createExternalToken,
+    buildExternalSettings,
+    matchesToken,
+    isExternalValueStale,
+    getStaleMarker,
+    getStaleChange,
+    parsePushedValue,
+    createExternalCounters
+};
@@ -0,0 +1,113 @@
+const { PermissionFlagsBits } = require('discord.js');
+const { getCounterLabel } = require('./counter-types');
+const { createTranslator, formatNumber } = require('./i18n');
+
+// Goal counters
+// A goal is stored on the config as { target, step, announceChannelId, lastAnnounced }
+function buildGoal(target, step, announceChannel) {
+    return {
+        target: target,
+        step: step || target,
+        announceChannelId: announceChannel ? announceChannel.id : null,
+        lastAnnounced: null
+    };
+}
+
+// Returns null if milestones can be announced or the catalog key and variables of the problem
+function validateGoal(guild, announceChannel) {
+    if (!announceChannel) return null;
+    
+    const permissions = announceChannel.permissionsFor(guild.members.me);
+    if (!permissions?.has([PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages, PermissionFlagsBits.EmbedLinks])) {
+        return { key: 'goals.missingPermissions', vars: { channel: announceChannel.toString() } };
+    }
+    
+    return null;
+}
+
+// Move the target past the current count, returning the highest milestone crossed or null
+function advanceGoal(goal, count) {
+    if (count < goal.target) return null;
+    
+    let milestone = goal.target;
+    while (count >= goal.target) {
+        milestone = goal.target;
+        goal.target += goal.step;
+    }
+    
+    return milestone;
+}
+
+async function checkGoal(bot, guild, config, count) {
+    const milestone = advanceGoal(config.goal, count);
+    if (milestone === null) return;
+    
+    // Persist before announcing so a restart never announces the same milestone twice
+    const shouldAnnounce = config.goal.announceChannelId && milestone !== config.goal.lastAnnounced;
+    config.goal.lastAnnounced = milestone;
+    await bot.saveConfigs();
+    
+    await bot.logMessage('info', 'Counter goal reached', {
+        guild: guild.name,
+        guildId: guild.id,
+        channelId: config.channelId,
+        milestone: milestone,
+        nextGoal: config.goal.target
+    });
+    
+    if (!shouldAnnounce) return;
+    
+    try {
+        const channel = guild.channels.cache.get(config.goal.announceChannelId);
+        if (!channel) {
+            await bot.logMessage('warn', 'Milestone announcement channel not found', {
+                guild: guild.name,
+                channelId: config.goal.announceChannelId
+            });
+            return;
+        }
+        
+        const language = bot.getGuildLanguage(guild);
+        const t = createTranslator(language);
+        const milestoneEmbed = {
+            title: `🎉 ${t('goals.title')}`,
+            description: t('goals.description', {
+                guild: guild.name,
+                milestone: formatNumber(milestone, language),
+                label: getCounterLabel(guild, config, language)
+            }),
+            color: 0xffd700,
+            fields: [
+                {
+                    name: `📈 ${t('goals.current')}`,
+                    value: formatNumber(count, language),
+                    inline: true
+                },
+                {
+                    name: `🎯 ${t('goals.next')}`,
+                    value: formatNumber(config.goal.target, language),
+                    inline: true
+                }
+            ],
+            footer: {
+                text: t('goals.footer')
+            },
+            timestamp: new Date().toISOString()
+        };
+        
+        await channel.send({ embeds: [milestoneEmbed] });
+    } catch (error) {
+        await bot.logMessage('error', 'Failed to send milestone announcement', {
+            guild: guild.name,
+            channelId: config.goal.announceChannelId,
+            error: error.message
+        });
+    }
+}
+
+module.exports = {
+    buildGoal,
+    validateGoal,
+    advanceGoal,
+    checkGoal
+};
@@ -0,0 +1,166 @@
+const { findOrCreateCategory } = require('./channels');
+const { getDisplayMode } = require('./display-modes');
+
+// Self-healing of counter channels and categories
+// Channel events are coalesced per guild so that deleting a category (which also
+// updates every child channel) is inspected once, after all the events have arrived
+const HEAL_DELAY = 3 * 1000;
+const DEFAULT_CATEGORY_NAME = 'Server Stats';
+
+function createHealer(bot) {
+    const pendingHeals = new Map(); // guildId -> timer
+    
+    function scheduleGuildHeal(guild) {
+        if (!bot.counterConfigs.has(guild.id) || pendingHeals.has(guild.id)) return;
+        
+        pendingHeals.set(guild.id, setTimeout(() => {
+            pendingHeals.delete(guild.id);
+            healGuildCounters(guild);
+        }, HEAL_DELAY));
+    }
+    
+    async function healGuildCounters(guild) {
+        const configs = bot.counterConfigs.get(guild.id);
+        if (!configs || !guild.available) return;
+        
+        const { autoRecreate, viewRoles } = bot.getGuildSettings(guild.id);
+        let changed = false;
+        
+        // Counters that shared a deleted category end up together in its replacement
+        const recreatedCategories = new Map(); // old categoryId -> new category
+        const recreateCategory = async (config) => {
+            if (!recreatedCategories.has(config.categoryId)) {
+                const name = config.categoryName || DEFAULT_CATEGORY_NAME;
+                recreatedCategories.set(config.categoryId, await findOrCreateCategory(guild, name, viewRoles));
+            }
+            return recreatedCategories.get(config.categoryId);
+        };
+        
+        for (const config of [...configs]) {
+            try {
+                const mode = getDisplayMode(config);
+                const channel = mode.findChannel(bot, guild, config);
+                const category = guild.channels.cache.get(config.categoryId);
+                
+                if (!channel) {
+                    if (!autoRecreate || !mode.canRecreate) {
+                        bot.removeCounterConfig(guild.id, config.channelId);
+                        changed = true;
+                        await bot.logMessage('info', 'Pruned counter for deleted channel', {
+                            guild: guild.name,
+                            guildId: guild.id,
+                            channelId: config.channelId,
+                            type: config.type
+                        });
+                        continue;
+                    }
+                    
+                    const oldChannelId = config.channelId;
+                    if (mode.inCategory) {
+                        const parent = category || await recreateCategory(config);
+                        config.categoryId = parent.id;
+                        config.categoryName = parent.name;
+                    }
+                    
+                    const count = await bot.getCountForType(guild, config.type, config.filter, config.time, config.external);
+                    const newChannelId = await mode.create(bot, guild, config, count, {
+                        language: bot.getGuildLanguage(guild),
+                        viewRoles
+                    });
+                    
+                    bot.cancelCounterUpdate(oldChannelId);
+                    bot.counterStatus.delete(oldChannelId);
+                    config.channelId = newChannelId;
+                    changed = true;
+                    
+                    await bot.logMessage('info', 'Recreated deleted counter channel', {
+                        guild: guild.name,
+                        guildId: guild.id,
+                        display: mode.key,
+                        oldChannelId: oldChannelId,
+                        channelId: newChannelId,
+                        categoryId: config.categoryId
+                    });
+                    continue;
+                }
+                
+                if (!mode.inCategory || channel.parentId === config.categoryId) continue;
+                
+                if (channel.parentId) {
+                    // Moved into another category by an admin - follow it
+                    config.categoryId = channel.parentId;
+                    config.categoryName = channel.parent?.name;
+                } else if (!category && autoRecreate) {
+                    // Category was deleted and the channel left without a parent
+                    const parent = await recreateCategory(config);
+                    await channel.setParent(parent.id, { lockPermissions: false });
+                    config.categoryId = parent.id;
+                    config.categoryName = parent.name;
+                } else {
+                    config.categoryId = null;
+                }
+                
+                changed = true;
+                await bot.logMessage('info', 'Counter category updated', {
+                    guild: guild.name,
+                    guildId: guild.id,
+                    channelId: config.channelId,
+                    categoryId: config.categoryId
+                });
+                
+            } catch (error) {
+                await bot.logMessage('error', 'Counter self-healing failed', {
+                    guild: guild.name,
+                    guildId: guild.id,
+                    channelId: config.channelId,
+                    error: error.message
+                });
+            }
+        }
+        
+        if (changed) {
+            await bot.saveConfigs();
+        }
+    }
+    
+    // Drop configurations for guilds the bot is no longer in
+    async function pruneRemovedGuilds() {
+        const guildIds = new Set([...bot.counterConfigs.keys(), ...bot.guildSettings.keys()]);
+        const removed = [...guildIds].filter(guildId => !bot.client.guilds.cache.has(guildId));
+        
+        for (const guildId of removed) {
+            for (const config of bot.counterConfigs.get(guildId) || []) {
+                bot.cancelCounterUpdate(config.channelId);
+                bot.counterStatus.delete(config.channelId);
+            }
+            bot.counterConfigs.delete(guildId);
+            bot.guildSettings.delete(guildId);
+            bot.dropGuildHistory(guildId);
+            bot.dropGuildAudit(guildId);
+        }
+        
+        if (removed.length > 0) {
+            await bot.logMessage('info', 'Pruned configurations for removed guilds', { guilds: removed });
+            await bot.saveConfigs();
+        }
+    }
+    
+    function cancelAllHeals() {
+        for (const timer of pendingHeals.values()) {
+            clearTimeout(timer);
+        }
+        pendingHeals.clear();
+    }
+    
+    return {
+        scheduleGuildHeal,
+        healGuildCounters,
+        pruneRemovedGuilds,
+        cancelAllHeals
+    };
+}
+
+module.exports = {
+    HEAL_DELAY,
+    createHealer
+};
@@ -0,0 +1,180 @@
+const { HISTORY_SCHEMA_VERSION } = require('./storage');
+const { isCounterAvailable } = require('./counter-types');
+
+// Historical statistics
+// Every guild with counters gets a sample of its member counts and counter values on each
+// history interval, plus hourly join/leave buckets fed by member events
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const MAX_CHART_POINTS = 200;
+
+const STATS_PERIODS = {
+    day: { label: 'Last 24 Hours', duration: DAY, timeFormat: 'time' },
+    week: { label: 'Last 7 Days', duration: 7 * DAY, timeFormat: 'date' },
+    month: { label: 'Last 30 Days', duration: 30 * DAY, timeFormat: 'date' }
+};
+
+function createEmptyHistory() {
+    return {
+        samples: [], // { time, members, online, counters: { [channelId]: value } }
+        hours: {} // hour start -> { joins, leaves }
+    };
+}
+
+// Thin a series out to at most maxPoints, always keeping the newest point
+function downsample(series, maxPoints = MAX_CHART_POINTS) {
+    if (series.length <= maxPoints) return series;
+    
+    const step = (series.length - 1) / (maxPoints - 1);
+    return Array.from({ length: maxPoints }, (_, i) => series[Math.round(i * step)]);
+}
+
+function createHistoryRecorder(bot) {
+    let history = {}; // guildId -> { samples, hours }
+    
+    // Like configurations, history is never saved over before it has been loaded
+    let historyLoaded = false;
+    
+    function getHistory(guildId) {
+        if (!history[guildId]) {
+            history[guildId] = createEmptyHistory();
+        }
+        return history[guildId];
+    }
+    
+    async function loadHistory() {
+        try {
+            const data = await bot.storage.history.load();
+            history = data ? data.guilds : {};
+            
+            await bot.logMessage('info', 'Statistics history loaded', { guilds: Object.keys(history).length });
+        } catch (error) {
+            history = {};
+            await bot.logMessage('error', 'Failed to load statistics history, starting empty', { error: error.message });
+        }
+        
+        historyLoaded = true;
+    }
+    
+    async function saveHistory() {
+        if (!historyLoaded) return;
+        
+        try {
+            await bot.storage.history.save({
+                schemaVersion: HISTORY_SCHEMA_VERSION,
+                guilds: history
+            });
+        } catch (error) {
+            await bot.logMessage('error', 'Failed to save statistics history', { error: error.message });
+        }
+    }
+    
+    // kind is 'joins' or 'leaves'; also kept for guilds without counters that post an activity log summary
+    function recordMemberEvent(guild, kind) {
+        if (!bot.counterConfigs.has(guild.id) && !bot.getGuildSettings(guild.id).logChannelId) return;
+        
+        const hour = Math.floor(Date.now() / HOUR) * HOUR;
+        const buckets = getHistory(guild.id).hours;
+        buckets[hour] = buckets[hour] || { joins: 0, leaves: 0 };
+        buckets[hour][kind]++;
+    }
+    
+    async function recordGuildSample(guild) {
+        const counters = {};
+        
+        for (const config of bot.counterConfigs.get(guild.id) || []) {
+            if (!isCounterAvailable(bot.settings, config)) continue;
+            
+            counters[config.channelId] = await bot.getCountForType(guild, config.type, config.filter, config.time, config.external);
+        }
+        
+        // Approximated in limited mode, like the counters
+        getHistory(guild.id).samples.push({
+            time: Date.now(),
+            members: await bot.getCountForType(guild, 'members'),
+            online: await bot.getCountForType(guild, 'online-members'),
+            counters
+        });
+    }
+    
+    function pruneHistory() {
+        const cutoff = Date.now() - bot.settings.historyRetentionDays * DAY;
+        
+        for (const guildHistory of Object.values(history)) {
+            guildHistory.samples = guildHistory.samples.filter(sample => sample.time >= cutoff);
+            for (const hour of Object.keys(guildHistory.hours)) {
+                if (Number(hour) < cutoff) delete guildHistory.hours[hour];
+            }
+        }
+    }
+    
+    async function sampleAllGuilds() {
+        for (const guildId of bot.counterConfigs.keys()) {
+            const guild = bot.client.guilds.cache.get(guildId);
+            if (!guild) continue;
+            
+            try {
+                await recordGuildSample(guild);
+            } catch (error) {
+                await bot.logMessage('error', 'Failed to record statistics sample', {
+                    guild: guild.name,
+                    guildId: guildId,
+                    error: error.message
+                });
+            }
+        }
+        
+        pruneHistory();
+    }
+    
+    function dropGuildHistory(guildId) {
+        delete history[guildId];
+    }
+    
+    // Growth over a period, and the series to chart: a counter's values, or total members by default
+    function getGuildReport(guildId, period, channelId = null) {
+        const since = Date.now() - STATS_PERIODS[period].duration;
+        const guildHistory = history[guildId] || createEmptyHistory();
+        const samples = guildHistory.samples.filter(sample => sample.time >= since);
+        
+        let joins = 0;
+        let leaves = 0;
+        for (const [hour, bucket] of Object.entries(guildHistory.hours)) {
+            if (Number(hour) + HOUR <= since) continue;
+            joins += bucket.joins;
+            leaves += bucket.leaves;
+        }
+        
+        const series = channelId
+            ? samples
+                .filter(sample => sample.counters[channelId] !== undefined)
+                .map(sample => ({ time: sample.time, value: sample.counters[channelId] }))
+            : samples.map(sample => ({ time: sample.time, value: sample.members }));
+        
+        return {
+            joins,
+            leaves,
+            net: joins - leaves,
+            peakOnline: samples.length > 0 ? Math.max(...samples.map(sample => sample.online)) : null,
+            first: series.length > 0 ? series[0].value : null,
+            last: series.length > 0 ? series[series.length - 1].value : null,
+            series: downsample(series)
+        };
+    }
+    
+    return {
+        loadHistory,
+        saveHistory,
+        recordMemberEvent,
+        recordGuildSample,
+        sampleAllGuilds,
+        dropGuildHistory,
+        getGuildReport
+    };
+}
+
+module.exports = {
+    STATS_PERIODS,
+    downsample,
+    createHistoryRecorder
+};
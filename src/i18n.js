@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+
+// Translation catalogs
+// Every locales/<language>.json file is a catalog of nested keys; its "language" entry names the
+// language and lists the Discord locales it serves. Missing keys fall back to English
+const LOCALES_DIR = path.join(__dirname, 'locales');
+const DEFAULT_LANGUAGE = 'en';
+const PLACEHOLDER = /\{(\w+)\}/g;
+
+function loadCatalogs() {
+    return Object.fromEntries(fs.readdirSync(LOCALES_DIR)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .map(file => [path.basename(file, '.json'), require(path.join(LOCALES_DIR, file))]));
+}
+
+const CATALOGS = loadCatalogs();
+const SUPPORTED_LANGUAGES = Object.keys(CATALOGS);
+
+// Look up a key in one catalog without falling back, returning null if it is missing
+function findTranslation(language, key) {
+    let value = CATALOGS[language];
+    for (const part of key.split('.')) {
+        if (value === undefined || value === null) return null;
+        value = value[part];
+    }
+    
+    return typeof value === 'string' ? value : null;
+}
+
+// Placeholders without a matching variable are left alone, so counter
+// name templates like {count} can appear in translated help text
+function translate(language, key, vars = {}) {
+    const text = findTranslation(language, key) ?? findTranslation(DEFAULT_LANGUAGE, key) ?? key;
+    return text.replace(PLACEHOLDER, (match, name) => name in vars ? String(vars[name]) : match);
+}
+
+function createTranslator(language) {
+    return (key, vars) => translate(language, key, vars);
+}
+
+function getLanguageName(language) {
+    return CATALOGS[language]?.language?.name || language;
+}
+
+// Group digits the way the language does, e.g. 1,234 in English and 1.234 in German
+function formatNumber(value, language = DEFAULT_LANGUAGE) {
+    const locale = (CATALOGS[language] || CATALOGS[DEFAULT_LANGUAGE]).language.discordLocales[0];
+    return value.toLocaleString(locale);
+}
+
+// Map a Discord locale (e.g. "es-419") to a supported language
+function resolveLanguage(locale) {
+    const language = SUPPORTED_LANGUAGES.find(lang => CATALOGS[lang].language.discordLocales.includes(locale));
+    return language || DEFAULT_LANGUAGE;
+}
+
+// Discord localization map ({ locale: text }) for a key, covering every translated language but the default
+function localizations(key) {
+    const result = {};
+    for (const language of SUPPORTED_LANGUAGES) {
+        if (language === DEFAULT_LANGUAGE) continue;
+        
+        const text = findTranslation(language, key);
+        if (!text) continue;
+        
+        for (const locale of CATALOGS[language].language.discordLocales) {
+            result[locale] = text;
+        }
+    }
+    
+    return result;
+}
+
+// Add name and description localizations to a slash command and its options
+// from the catalogs' commands.<command name> entries
+function localizeCommand(data) {
+    const key = `commands.${data.name}`;
+    data.setNameLocalizations(localizations(`${key}.name`));
+    data.setDescriptionLocalizations(localizations(`${key}.description`));
+    
+    for (const option of data.options) {
+        option.setDescriptionLocalizations(localizations(`${key}.options.${option.name}`));
+    }
+    
+    return data;
+}
+
+module.exports = {
+    DEFAULT_LANGUAGE,
+    SUPPORTED_LANGUAGES,
+    findTranslation,
+    translate,
+    createTranslator,
+    getLanguageName,
+    formatNumber,
+    resolveLanguage,
+    localizations,
+    localizeCommand
+};
@@ -0,0 +1,56 @@
+const { ApplicationFlags, ApplicationFlagsBitField, GatewayIntentBits, IntentsBitField, Routes } = require('discord.js');
+
+// Gateway intents
+// GuildMembers and GuildPresences are privileged: Discord refuses the login when they are requested
+// without being enabled for the application in the Developer Portal. Configured privileged intents
+// the application hasn't been granted are dropped before logging in, and the bot runs in limited
+// mode: member counters are approximated from the guild endpoint where possible, see counter-types
+const PRIVILEGED_INTENTS = {
+    GuildMembers: {
+        name: 'Server Members Intent',
+        flags: [ApplicationFlags.GatewayGuildMembers, ApplicationFlags.GatewayGuildMembersLimited]
+    },
+    GuildPresences: {
+        name: 'Presence Intent',
+        flags: [ApplicationFlags.GatewayPresence, ApplicationFlags.GatewayPresenceLimited]
+    }
+};
+
+// Privileged intents in the list that the application flags don't grant
+function getDeniedIntents(intents, flags) {
+    return intents.filter(intent => PRIVILEGED_INTENTS[intent] &&
+        !PRIVILEGED_INTENTS[intent].flags.some(flag => flags.has(flag)));
+}
+
+// Drop denied privileged intents from the settings and the client before it logs in
+// If the application can't be fetched the configured intents are kept, as before
+async function applyGrantedIntents(client, settings, logMessage) {
+    if (!settings.intents.some(intent => PRIVILEGED_INTENTS[intent])) return;
+    
+    let flags;
+    try {
+        client.rest.setToken(settings.token);
+        const application = await client.rest.get(Routes.currentApplication());
+        flags = new ApplicationFlagsBitField(application.flags ?? 0);
+    } catch (error) {
+        await logMessage('warn', 'Could not check which privileged intents are enabled', { error: error.message });
+        return;
+    }
+    
+    const denied = getDeniedIntents(settings.intents, flags);
+    if (denied.length === 0) return;
+    
+    settings.intents = settings.intents.filter(intent => !denied.includes(intent));
+    client.options.intents = new IntentsBitField(settings.intents.map(name => GatewayIntentBits[name])).freeze();
+    
+    await logMessage('warn', 'Privileged intents are not enabled for this application, running in limited mode', {
+        intents: denied,
+        fix: `Enable the ${denied.map(intent => PRIVILEGED_INTENTS[intent].name).join(' and ')} in the Discord Developer Portal, then restart the bot`
+    });
+}
+
+module.exports = {
+    PRIVILEGED_INTENTS,
+    getDeniedIntents,
+    applyGrantedIntents
+};
@@ -0,0 +1,117 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Logging
+// Entries below the configured level are dropped. The log file is rotated to
+// "<file>.<timestamp>" once it grows past its size limit or gets older than its
+// rotation interval, and rotated files older than the retention period are deleted
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const HOUR = 60 * 60 * 1000;
+
+// Errors have no enumerable properties, so JSON.stringify would write them as {}
+function serializeValue(key, value) {
+    if (value instanceof Error) {
+        return { name: value.name, message: value.message, stack: value.stack };
+    }
+    return value;
+}
+
+function createLogger({ file, level = 'info', maxSizeMb = 10, rotateHours = 24, retentionDays = 14 }) {
+    const minLevel = LOG_LEVELS.indexOf(level);
+    const maxBytes = maxSizeMb * 1024 * 1024;
+    
+    // Writes are chained so rotation never happens in the middle of another write
+    let writing = Promise.resolve();
+    let fileSize = null;
+    let fileStartedAt = null;
+    
+    async function readFileState() {
+        try {
+            const stats = await fs.stat(file);
+            fileSize = stats.size;
+            fileStartedAt = stats.birthtimeMs || stats.mtimeMs;
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            fileSize = 0;
+            fileStartedAt = Date.now();
+        }
+    }
+    
+    async function pruneRotatedFiles() {
+        const dir = path.dirname(file);
+        const prefix = `${path.basename(file)}.`;
+        const cutoff = Date.now() - retentionDays * 24 * HOUR;
+        
+        for (const name of await fs.readdir(dir)) {
+            if (!name.startsWith(prefix)) continue;
+            
+            const rotatedFile = path.join(dir, name);
+            const stats = await fs.stat(rotatedFile);
+            if (stats.mtimeMs < cutoff) {
+                await fs.unlink(rotatedFile);
+            }
+        }
+    }
+    
+    async function rotate() {
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        
+        // Two rotations within a millisecond would otherwise overwrite each other
+        let rotatedFile = `${file}.${stamp}`;
+        for (let n = 1; await fs.access(rotatedFile).then(() => true, () => false); n++) {
+            rotatedFile = `${file}.${stamp}-${n}`;
+        }
+        await fs.rename(file, rotatedFile);
+        fileSize = 0;
+        fileStartedAt = Date.now();
+        await pruneRotatedFiles();
+    }
+    
+    async function writeLine(line) {
+        if (fileSize === null) {
+            await readFileState();
+        }
+        
+        const tooLarge = fileSize > 0 && fileSize + Buffer.byteLength(line) > maxBytes;
+        const tooOld = fileSize > 0 && Date.now() - fileStartedAt > rotateHours * HOUR;
+        if (tooLarge || tooOld) {
+            await rotate();
+        }
+        
+        await fs.appendFile(file, line);
+        fileSize += Buffer.byteLength(line);
+    }
+    
+    function logMessage(level, message, data = null) {
+        if (LOG_LEVELS.indexOf(level) < minLevel) return writing;
+        
+        const timestamp = new Date().toISOString();
+        const logEntry = {
+            timestamp,
+            level,
+            message,
+            data
+        };
+        
+        console.log(`[${timestamp}] ${level.toUpperCase()}: ${message}`, data ? data : '');
+        
+        // Write to log file
+        const logLine = JSON.stringify(logEntry, serializeValue) + '\n';
+        writing = writing
+            .then(() => writeLine(logLine))
+            .catch(error => {
+                // The size is re-read on the next write in case the failure left it wrong
+                fileSize = null;
+                console.error('Failed to write to log file:', error);
+            });
+        
+        return writing;
+    }
+    
+    return logMessage;
+}
+
+module.exports = {
+    LOG_LEVELS,
+    createLogger
+};
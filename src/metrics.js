@@ -0,0 +1,126 @@
+const { Status } = require('discord.js');
+const { getDisplayMode } = require('./display-modes');
+
+// Metrics
+// Counted since the process started and rendered in the Prometheus text format
+// for the status server's /metrics endpoint
+const LATENCY_BUCKETS = [1, 5, 15, 60, 300, 600, 1800]; // seconds
+
+function createMetrics(bot) {
+    const startedAt = Date.now();
+    const renames = { success: 0, failure: 0 };
+    const latency = {
+        buckets: LATENCY_BUCKETS.map(() => 0),
+        sum: 0,
+        count: 0
+    };
+    let discordRateLimits = 0;
+    let renameDeferrals = 0;
+    let lastUpdatePassAt = null;
+    
+    // result is 'success' or 'failure'
+    function recordRenameResult(result) {
+        renames[result]++;
+    }
+    
+    // Time from an update being queued to the counter showing the new value
+    function recordUpdateLatency(ms) {
+        const seconds = ms / 1000;
+        LATENCY_BUCKETS.forEach((bound, index) => {
+            if (seconds <= bound) latency.buckets[index]++;
+        });
+        latency.sum += seconds;
+        latency.count++;
+    }
+    
+    function recordRateLimit() {
+        discordRateLimits++;
+    }
+    
+    function recordRenameDeferral() {
+        renameDeferrals++;
+    }
+    
+    // Called by the scheduler once the update interval has queued every counter's update
+    function recordUpdatePass() {
+        lastUpdatePassAt = Date.now();
+    }
+    
+    // Unhealthy when the gateway is down or the update interval has stopped running
+    function getHealth() {
+        const connected = bot.client.ws?.status === Status.Ready;
+        const maxPassAge = 2 * bot.settings.updateIntervalMinutes * 60 * 1000;
+        const passAge = Date.now() - (lastUpdatePassAt ?? startedAt);
+        
+        return {
+            healthy: connected && passAge <= maxPassAge,
+            gatewayConnected: connected,
+            lastUpdatePass: lastUpdatePassAt ? new Date(lastUpdatePassAt).toISOString() : null,
+            uptimeSeconds: Math.floor((Date.now() - startedAt) / 1000)
+        };
+    }
+    
+    async function renderMetrics() {
+        const lines = [];
+        const metric = (name, type, help, samples) => {
+            lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+            for (const [labels, value] of samples) {
+                lines.push(`${name}${labels} ${value}`);
+            }
+        };
+        
+        const countersByType = new Map();
+        for (const configs of bot.counterConfigs.values()) {
+            for (const config of configs) {
+                const key = `{type="${config.type}",display="${getDisplayMode(config).key}"}`;
+                countersByType.set(key, (countersByType.get(key) || 0) + 1);
+            }
+        }
+        
+        metric('counter_bot_up', 'gauge', 'Whether the gateway connection is ready', [['', bot.client.ws?.status === Status.Ready ? 1 : 0]]);
+        metric('counter_bot_gateway_ping_seconds', 'gauge', 'Gateway heartbeat latency', [['', (bot.client.ws?.ping ?? -1) / 1000]]);
+        metric('counter_bot_guilds', 'gauge', 'Guilds the bot is in', [['', bot.client.guilds.cache.size]]);
+        metric('counter_bot_counters', 'gauge', 'Configured counters', [...countersByType]);
+        metric('counter_bot_pending_updates', 'gauge', 'Counter updates waiting to run', [['', bot.countPendingUpdates()]]);
+        metric('counter_bot_renames_total', 'counter', 'Counter channel renames by result', [
+            ['{result="success"}', renames.success],
+            ['{result="failure"}', renames.failure]
+        ]);
+        metric('counter_bot_discord_rate_limits_total', 'counter', 'Rate limits reported by the Discord API', [['', discordRateLimits]]);
+        metric('counter_bot_rename_deferrals_total', 'counter', 'Updates deferred by the channel rename limit', [['', renameDeferrals]]);
+        metric('counter_bot_update_latency_seconds', 'histogram', 'Time from a counter update being queued to it finishing', [
+            ...LATENCY_BUCKETS.map((bound, index) => [`_bucket{le="${bound}"}`, latency.buckets[index]]),
+            ['_bucket{le="+Inf"}', latency.count],
+            ['_sum', latency.sum],
+            ['_count', latency.count]
+        ]);
+        metric('counter_bot_last_update_pass_timestamp_seconds', 'gauge', 'When the update interval last ran', [
+            ['', lastUpdatePassAt ? Math.floor(lastUpdatePassAt / 1000) : 0]
+        ]);
+        
+        const cluster = await bot.getClusterStats();
+        metric('counter_bot_cluster_shards', 'gauge', 'Shards by whether they answered the stats request', [
+            ['{state="answered"}', cluster.shardCount - cluster.missingShards],
+            ['{state="missing"}', cluster.missingShards]
+        ]);
+        metric('counter_bot_cluster_guilds', 'gauge', 'Guilds across all shards', [['', cluster.guilds]]);
+        metric('counter_bot_cluster_counters', 'gauge', 'Counters across all shards', [['', cluster.counters]]);
+        
+        return lines.join('\n') + '\n';
+    }
+    
+    return {
+        recordRenameResult,
+        recordUpdateLatency,
+        recordRateLimit,
+        recordRenameDeferral,
+        recordUpdatePass,
+        getHealth,
+        renderMetrics
+    };
+}
+
+module.exports = {
+    LATENCY_BUCKETS,
+    createMetrics
+};
@@ -0,0 +1,216 @@
+const { PermissionFlagsBits } = require('discord.js');
+const { getCounterLabel, formatCounterValue, isCounterAvailable } = require('./counter-types');
+const { formatCount, renderCounterName } = require('./templates');
+const { createTranslator } = require('./i18n');
+const { getStaleMarker } = require('./external-counters');
+
+// Stats panels
+// A guild's panel counters share one embed message, stored in the guild settings as
+// { channelId, messageId }. Editing a message isn't limited like renaming a channel, but
+// every counter update would otherwise edit it, so edits are coalesced per guild
+const PANEL_UPDATE_INTERVAL = 15 * 1000;
+const MAX_PANEL_COUNTERS = 25; // Discord allows 25 fields per embed
+const UNKNOWN_MESSAGE = 10008;
+
+function validatePanelChannel(guild, channel, t) {
+    const permissions = channel.permissionsFor(guild.members.me);
+    if (!permissions?.has([
+        PermissionFlagsBits.ViewChannel,
+        PermissionFlagsBits.SendMessages,
+        PermissionFlagsBits.EmbedLinks,
+        PermissionFlagsBits.ReadMessageHistory
+    ])) {
+        return t('panel.missingPermissions', { channel: channel.toString() });
+    }
+    
+    return null;
+}
+
+function getPanelConfigs(bot, guildId) {
+    return (bot.counterConfigs.get(guildId) || []).filter(config => config.display === 'panel');
+}
+
+function createPanelManager(bot) {
+    const pendingUpdates = new Map(); // guildId -> timer
+    const lastUpdates = new Map(); // guildId -> time of the last edit
+    
+    function schedulePanelUpdate(guildId) {
+        if (pendingUpdates.has(guildId)) return;
+        
+        const delay = Math.max(0, (lastUpdates.get(guildId) || 0) + PANEL_UPDATE_INTERVAL - Date.now());
+        pendingUpdates.set(guildId, setTimeout(() => {
+            pendingUpdates.delete(guildId);
+            const guild = bot.client.guilds.cache.get(guildId);
+            if (guild) {
+                updatePanel(guild);
+            }
+        }, delay));
+    }
+    
+    async function buildPanelEmbed(guild, configs) {
+        const language = bot.getGuildLanguage(guild);
+        const t = createTranslator(language);
+        const fields = [];
+        
+        for (const config of configs) {
+            if (!isCounterAvailable(bot.settings, config)) {
+                fields.push({
+                    name: getCounterLabel(guild, config, language),
+                    value: `⚠️ ${t('panel.unavailable')}`,
+                    inline: true
+                });
+                continue;
+            }
+            
+            const count = await bot.getCountForType(guild, config.type, config.filter, config.time, config.external);
+            bot.counterStatus.set(config.channelId, { value: count, updatedAt: Date.now() });
+            
+            // Templates and goals read better as a line of text than as a bare number
+            fields.push({
+                name: getCounterLabel(guild, config, language),
+                value: config.template || config.goal
+                    ? renderCounterName(guild, config, count, language)
+                    : (formatCounterValue(guild, config, count, language) ?? formatCount(count, 'comma', language)) + getStaleMarker(config),
+                inline: true
+            });
+        }
+        
+        return {
+            title: `📊 ${t('panel.title', { guild: guild.name })}`,
+            color: 0x0099ff,
+            fields,
+            footer: {
+                text: t('panel.footer')
+            },
+            timestamp: new Date().toISOString()
+        };
+    }
+    
+    async function fetchPanelMessage(channel, messageId) {
+        if (!messageId) return null;
+        
+        try {
+            return await channel.messages.fetch(messageId);
+        } catch (error) {
+            // Deleted panels are posted again; anything else is worth retrying later
+            if (error.code === UNKNOWN_MESSAGE) return null;
+            throw error;
+        }
+    }
+    
+    // Edit the panel message in place, posting and pinning a new one if it was deleted
+    async function updatePanel(guild) {
+        clearTimeout(pendingUpdates.get(guild.id));
+        pendingUpdates.delete(guild.id);
+        
+        const { panel } = bot.getGuildSettings(guild.id);
+        if (!panel) return;
+        
+        const configs = getPanelConfigs(bot, guild.id);
+        const channel = guild.channels.cache.get(panel.channelId);
+        if (!channel) {
+            if (configs.length > 0) {
+                bot.scheduleGuildHeal(guild);
+            } else {
+                bot.updateGuildSettings(guild.id, { panel: null });
+                await bot.saveConfigs();
+            }
+            return;
+        }
+        
+        lastUpdates.set(guild.id, Date.now());
+        
+        try {
+            const message = await fetchPanelMessage(channel, panel.messageId);
+            
+            // The panel goes with its last counter
+            if (configs.length === 0) {
+                if (message) {
+                    await message.delete();
+                }
+                bot.updateGuildSettings(guild.id, { panel: null });
+                await bot.saveConfigs();
+                return;
+            }
+            
+            const embed = await buildPanelEmbed(guild, configs);
+            if (message) {
+                await message.edit({ embeds: [embed] });
+                return;
+            }
+            
+            const sent = await channel.send({ embeds: [embed] });
+            // Pinning needs "Manage Messages"; the panel works without it
+            await sent.pin().catch(() => {});
+            bot.updateGuildSettings(guild.id, { panel: { channelId: channel.id, messageId: sent.id } });
+            await bot.saveConfigs();
+            
+            await bot.logMessage('info', 'Stats panel posted', {
+                guild: guild.name,
+                guildId: guild.id,
+                channelId: channel.id,
+                messageId: sent.id
+            });
+        } catch (error) {
+            for (const config of configs) {
+                bot.counterStatus.set(config.channelId, {
+                    ...bot.counterStatus.get(config.channelId),
+                    error: error.message,
+                    errorAt: Date.now()
+                });
+            }
+            await bot.logMessage('error', 'Stats panel update failed', {
+                guild: guild.name,
+                guildId: guild.id,
+                channelId: panel.channelId,
+                error: error.message
+            });
+        }
+    }
+    
+    // Point the panel at another channel; the old message is deleted and the next update posts a new one
+    async function movePanel(guild, channel) {
+        const { panel } = bot.getGuildSettings(guild.id);
+        if (panel?.channelId === channel.id) return;
+        
+        const oldChannel = panel ? guild.channels.cache.get(panel.channelId) : null;
+        if (oldChannel) {
+            try {
+                const message = await fetchPanelMessage(oldChannel, panel.messageId);
+                if (message) {
+                    await message.delete();
+                }
+            } catch (error) {
+                await bot.logMessage('warn', 'Failed to delete old stats panel', {
+                    guild: guild.name,
+                    channelId: oldChannel.id,
+                    error: error.message
+                });
+            }
+        }
+        
+        bot.updateGuildSettings(guild.id, { panel: { channelId: channel.id, messageId: null } });
+    }
+    
+    function cancelAllPanelUpdates() {
+        for (const timer of pendingUpdates.values()) {
+            clearTimeout(timer);
+        }
+        pendingUpdates.clear();
+    }
+    
+    return {
+        schedulePanelUpdate,
+        updatePanel,
+        movePanel,
+        cancelAllPanelUpdates
+    };
+}
+
+module.exports = {
+    PANEL_UPDATE_INTERVAL,
+    MAX_PANEL_COUNTERS,
+    validatePanelChannel,
+    getPanelConfigs,
+    createPanelManager
+};
@@ -0,0 +1,415 @@
+const { ChannelType } = require('discord.js');
+const { COUNTER_TYPES, isCounterAvailable } = require('./counter-types');
+const { ROLE_MATCH_MODES, validateRoleFilter } = require('./role-filter');
+const { MAX_CHANNEL_NAME_LENGTH, validateTemplate } = require('./templates');
+const { advanceGoal } = require('./goals');
+const { findOrCreateCategory, createCounterChannel } = require('./channels');
+const { DISPLAY_MODES, DEFAULT_DISPLAY_MODE, getDisplayMode } = require('./display-modes');
+const { validatePanelChannel } = require('./panels');
+const { isValidTimeZone } = require('./time-counters');
+const { DEFAULT_LANGUAGE, createTranslator, findTranslation } = require('./i18n');
+
+// Counter presets
+// Bundles of counters created together in one category, in the order listed
+// Translated labels, descriptions and category names live in the catalogs under presets.<key>
+const PRESETS = {
+    'basic': {
+        label: 'Basic',
+        description: 'Members, bots and boosts',
+        category: '📊 Server Stats',
+        counters: ['members', 'bots', 'boosts']
+    },
+    'presence': {
+        label: 'Full Presence',
+        description: 'Members, who is online or offline and who is in voice',
+        category: '🟢 Presence',
+        counters: ['members', 'online-members', 'offline-members', 'online-bots', 'voice-members']
+    },
+    'community': {
+        label: 'Community',
+        description: 'Members, activity, boosts and the size of the server',
+        category: '🏠 Community',
+        counters: ['members', 'online-members', 'voice-members', 'boosts', 'boost-tier',
+            'text-channels', 'voice-channels', 'role-count', 'scheduled-events']
+    }
+};
+
+// Exported counter setups
+// { format, version, guild, exportedAt, categories: [{ name, counters: [{ type, template, filter, goal, time }] }],
+//   counters: [{ type, display, ... }], panel: { channel } }
+// Voice channel counters are grouped by category; category name and panel counters don't sit in a
+// category and are listed in counters with their display. Role filters and the panel reference
+// roles and channels by name and goals drop their announcement channel, since ids only mean
+// something in the guild they came from. Version 1 exports had voice channel counters only
+const EXPORT_FORMAT = 'slash-counter-export';
+const EXPORT_VERSION = 2;
+const MAX_IMPORT_COUNTERS = 25;
+const MAX_IMPORT_SIZE = 64 * 1024;
+
+// A preset's label, description or category name in the language, falling back to English
+function getPresetText(key, field, language = DEFAULT_LANGUAGE) {
+    return findTranslation(language, `presets.${key}.${field}`) || PRESETS[key][field];
+}
+
+// Counters the configured intents can't count are left out of presets and imports
+function splitAvailableCounters(settings, configs) {
+    return {
+        available: configs.filter(config => isCounterAvailable(settings, config)),
+        skipped: configs.filter(config => !isCounterAvailable(settings, config))
+    };
+}
+
+// Create counters in a category, registering each one as soon as its channel exists
+// so a failure part way through leaves the counters created so far working
+// The category is a name (found or created) or an existing category channel
+async function createCounterSet(bot, guild, categoryOrName, configs, language) {
+    const { viewRoles } = bot.getGuildSettings(guild.id);
+    const category = typeof categoryOrName === 'string'
+        ? await findOrCreateCategory(guild, categoryOrName, viewRoles)
+        : categoryOrName;
+    const firstPosition = category.children.cache.size;
+    const created = [];
+    
+    for (const [index, base] of configs.entries()) {
+        const config = {
+            ...base,
+            categoryId: category.id,
+            categoryName: category.name
+        };
+        
+        const count = await bot.getCountForType(guild, config.type, config.filter, config.time, config.external);
+        if (config.goal) {
+            advanceGoal(config.goal, count);
+        }
+        
+        const channel = await createCounterChannel(guild, config, count, language, firstPosition + index, viewRoles);
+        
+        if (!bot.counterConfigs.has(guild.id)) {
+            bot.counterConfigs.set(guild.id, []);
+        }
+        const stored = { channelId: channel.id, ...config };
+        bot.counterConfigs.get(guild.id).push(stored);
+        bot.scheduleNextTimeUpdate(guild, stored);
+        created.push(stored);
+    }
+    
+    return { category, created };
+}
+
+// Create counters that are shown outside a category, one after another like createCounterSet
+// The panel channel is only needed when the guild has no stats panel yet
+async function createDisplayCounters(bot, guild, configs, language, panelChannel = null) {
+    const { viewRoles } = bot.getGuildSettings(guild.id);
+    const created = [];
+    
+    for (const config of configs) {
+        const mode = getDisplayMode(config);
+        const count = await bot.getCountForType(guild, config.type, config.filter, config.time, config.external);
+        if (config.goal) {
+            advanceGoal(config.goal, count);
+        }
+        
+        const channelId = await mode.create(bot, guild, config, count, { language, panelChannel, viewRoles });
+        
+        if (!bot.counterConfigs.has(guild.id)) {
+            bot.counterConfigs.set(guild.id, []);
+        }
+        const stored = { channelId, ...config };
+        bot.counterConfigs.get(guild.id).push(stored);
+        if (!mode.renames) {
+            mode.refresh(bot, guild);
+        }
+        bot.scheduleNextTimeUpdate(guild, stored);
+        created.push(stored);
+    }
+    
+    return created;
+}
+
+function exportCounter(guild, config) {
+    const counter = { type: config.type };
+    
+    if (config.display) {
+        counter.display = config.display;
+    }
+    if (config.template) {
+        counter.template = config.template;
+    }
+    if (config.filter) {
+        counter.filter = {
+            ...config.filter,
+            roles: config.filter.roles
+                .map(roleId => guild.roles.cache.get(roleId)?.name)
+                .filter(Boolean)
+        };
+    }
+    if (config.goal) {
+        counter.goal = {
+            target: config.goal.target,
+            step: config.goal.step
+        };
+    }
+    if (config.time) {
+        counter.time = { ...config.time };
+    }
+    
+    return counter;
+}
+
+// External counters aren't exported since their tokens can't be carried over, nor countdowns that
+// have ended, nor panel counters whose panel channel is gone
+function exportGuildCounters(bot, guild) {
+    const { panel } = bot.getGuildSettings(guild.id);
+    const panelChannel = panel ? guild.channels.cache.get(panel.channelId) : null;
+    const position = (config) => guild.channels.cache.get(config.channelId)?.position ?? 0;
+    const configs = (bot.counterConfigs.get(guild.id) || [])
+        .filter(config => !config.external && !hasCountdownEnded(config.time))
+        .filter(config => config.display !== 'panel' || panelChannel);
+    const categories = [];
+    
+    // Counters outside categories keep the order they were set up in, which is also the panel's order
+    const counters = configs
+        .filter(config => !getDisplayMode(config).inCategory)
+        .map(config => exportCounter(guild, config));
+    
+    const voiceConfigs = configs
+        .filter(config => getDisplayMode(config).inCategory)
+        .sort((a, b) => position(a) - position(b));
+    for (const config of voiceConfigs) {
+        const name = guild.channels.cache.get(config.categoryId)?.name || config.categoryName || 'Counters';
+        let category = categories.find(c => c.name === name);
+        if (!category) {
+            category = { name, counters: [] };
+            categories.push(category);
+        }
+        
+        category.counters.push(exportCounter(guild, config));
+    }
+    
+    return {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        guild: guild.name,
+        exportedAt: new Date().toISOString(),
+        categories,
+        counters,
+        ...(counters.some(counter => counter.display === 'panel') ? { panel: { channel: panelChannel.name } } : {})
+    };
+}
+
+function isPositiveInteger(value) {
+    return Number.isInteger(value) && value > 0;
+}
+
+function hasCountdownEnded(time, now = Date.now()) {
+    return Boolean(time?.target) && time.target <= now;
+}
+
+// Time settings of an exported time counter, returning { time } or { error }
+function importTime(type, time = {}, t) {
+    if (typeof time !== 'object' || time === null) {
+        return { error: t('import.errors.timeObject') };
+    }
+    
+    const imported = {};
+    if (time.timeZone !== undefined) {
+        if (type === 'server-age') {
+            return { error: t('setup.timeZoneNotUsed') };
+        }
+        if (typeof time.timeZone !== 'string' || !isValidTimeZone(time.timeZone)) {
+            return { error: t('import.errors.unknownTimeZone', { timeZone: time.timeZone }) };
+        }
+        imported.timeZone = time.timeZone;
+    }
+    
+    if (type === 'countdown') {
+        if (!isPositiveInteger(time.target)) {
+            return { error: t('import.errors.countdownTarget') };
+        }
+        if (hasCountdownEnded(time)) {
+            return { error: t('import.errors.countdownEnded') };
+        }
+        imported.target = time.target;
+        if (time.event !== undefined) {
+            if (typeof time.event !== 'string' || !time.event.trim()) {
+                return { error: t('import.errors.eventText') };
+            }
+            imported.event = time.event.trim();
+        }
+    }
+    
+    return { time: imported };
+}
+
+// Turn one exported counter into a config for this guild, returning { config } or { error }
+function importCounter(guild, counter, language) {
+    const t = createTranslator(language);
+    
+    if (!counter || !COUNTER_TYPES[counter.type]) {
+        return { error: t('import.errors.unknownType', { type: counter?.type }) };
+    }
+    if (COUNTER_TYPES[counter.type].source === 'external') {
+        return { error: t('import.errors.external') };
+    }
+    
+    const config = { type: counter.type };
+    
+    if (counter.display !== undefined) {
+        if (!DISPLAY_MODES[counter.display]) {
+            return { error: t('import.errors.unknownOption', { option: 'display', value: counter.display }) };
+        }
+        if (counter.display !== DEFAULT_DISPLAY_MODE) {
+            config.display = counter.display;
+        }
+    }
+    
+    if (counter.type === 'role-filter') {
+        const filter = counter.filter || {};
+        const names = Array.isArray(filter.roles) ? filter.roles : [];
+        const roles = names.map(name => guild.roles.cache.find(role => role.name === name));
+        
+        const missing = names.filter((name, index) => !roles[index]);
+        if (missing.length > 0) {
+            return { error: t(missing.length === 1 ? 'import.errors.roleNotFound' : 'import.errors.rolesNotFound', { roles: missing.join(', ') }) };
+        }
+        if (filter.roleMatch && !ROLE_MATCH_MODES[filter.roleMatch]) {
+            return { error: t('import.errors.unknownOption', { option: 'roleMatch', value: filter.roleMatch }) };
+        }
+        if (filter.bots && !['exclude', 'include', 'only'].includes(filter.bots)) {
+            return { error: t('import.errors.unknownOption', { option: 'bots', value: filter.bots }) };
+        }
+        if (filter.presence && !['any', 'online', 'offline'].includes(filter.presence)) {
+            return { error: t('import.errors.unknownOption', { option: 'presence', value: filter.presence }) };
+        }
+        
+        config.filter = {
+            roles: roles.map(role => role.id),
+            roleMatch: filter.roleMatch || 'any',
+            bots: filter.bots || 'exclude',
+            presence: filter.presence || 'any'
+        };
+        const filterError = validateRoleFilter(config.filter, guild);
+        if (filterError) return { error: t(filterError.key, filterError.vars) };
+    }
+    
+    if (counter.goal) {
+        if (!isPositiveInteger(counter.goal.target) || (counter.goal.step !== undefined && !isPositiveInteger(counter.goal.step))) {
+            return { error: t('import.errors.goalNumbers') };
+        }
+        config.goal = {
+            target: counter.goal.target,
+            step: counter.goal.step || counter.goal.target,
+            announceChannelId: null,
+            lastAnnounced: null
+        };
+    }
+    
+    if (COUNTER_TYPES[counter.type].source === 'time') {
+        if (counter.goal) {
+            return { error: t('setup.timeGoal') };
+        }
+        const { time, error } = importTime(counter.type, counter.time, t);
+        if (error) return { error };
+        if (Object.keys(time).length > 0) {
+            config.time = time;
+        }
+    }
+    
+    if (counter.template !== undefined) {
+        if (typeof counter.template !== 'string') {
+            return { error: t('setup.invalidTemplate', { error: t('import.errors.templateText') }) };
+        }
+        const templateError = validateTemplate(counter.template, guild, config, language);
+        if (templateError) return { error: t('setup.invalidTemplate', { error: t(templateError.key, templateError.vars) }) };
+        config.template = counter.template;
+    }
+    
+    return { config };
+}
+
+// Validate an exported setup and map it onto this guild
+// Returns { categories: [{ name, configs }], configs, panel } or { error } describing the first problem
+// found in the language. configs are the counters outside categories; panel is { name, channel } for
+// the channel the export's panel was in, channel being null if this guild has none of that name
+function parseCounterImport(data, guild, language = DEFAULT_LANGUAGE) {
+    const t = createTranslator(language);
+    
+    if (!data || data.format !== EXPORT_FORMAT) {
+        return { error: t('import.errors.notExport') };
+    }
+    if (!Number.isInteger(data.version) || data.version < 1 || data.version > EXPORT_VERSION) {
+        return { error: t('import.errors.version', { version: data.version, supported: EXPORT_VERSION }) };
+    }
+    if (!Array.isArray(data.categories) || (data.counters !== undefined && !Array.isArray(data.counters))) {
+        return { error: t('import.errors.empty') };
+    }
+    
+    const total = data.categories.reduce((sum, category) => sum + (Array.isArray(category.counters) ? category.counters.length : 0), 0) +
+        (data.counters || []).length;
+    if (total === 0) {
+        return { error: t('import.errors.empty') };
+    }
+    if (total > MAX_IMPORT_COUNTERS) {
+        return { error: t('import.errors.tooMany', { total, max: MAX_IMPORT_COUNTERS }) };
+    }
+    
+    const categories = [];
+    for (const [categoryIndex, category] of data.categories.entries()) {
+        if (typeof category.name !== 'string' || !category.name.trim() || category.name.length > MAX_CHANNEL_NAME_LENGTH) {
+            return { error: t('import.errors.categoryName', { index: categoryIndex + 1, max: MAX_CHANNEL_NAME_LENGTH }) };
+        }
+        
+        const configs = [];
+        for (const [counterIndex, counter] of (category.counters || []).entries()) {
+            const { config, error } = importCounter(guild, counter, language);
+            if (error) {
+                return { error: t('import.errors.counter', { category: category.name, index: counterIndex + 1, error }) };
+            }
+            if (!getDisplayMode(config).inCategory) {
+                return { error: t('import.errors.counter', { category: category.name, index: counterIndex + 1, error: t('import.errors.notInCategory') }) };
+            }
+            configs.push(config);
+        }
+        
+        if (configs.length > 0) {
+            categories.push({ name: category.name, configs });
+        }
+    }
+    
+    const configs = [];
+    for (const [counterIndex, counter] of (data.counters || []).entries()) {
+        const { config, error } = importCounter(guild, counter, language);
+        const placeError = !error && getDisplayMode(config).inCategory ? t('import.errors.needsCategory') : null;
+        if (error || placeError) {
+            return { error: t('import.errors.uncategorized', { index: counterIndex + 1, error: error || placeError }) };
+        }
+        configs.push(config);
+    }
+    
+    let panel = null;
+    if (configs.some(config => config.display === 'panel')) {
+        if (typeof data.panel?.channel !== 'string') {
+            return { error: t('import.errors.panelChannelName') };
+        }
+        const channel = guild.channels.cache.find(c => c.type === ChannelType.GuildText && c.name === data.panel.channel) || null;
+        const panelError = channel && validatePanelChannel(guild, channel, t);
+        if (panelError) return { error: panelError };
+        panel = { name: data.panel.channel, channel };
+    }
+    
+    return { categories, configs, panel };
+}
+
+module.exports = {
+    PRESETS,
+    getPresetText,
+    EXPORT_FORMAT,
+    EXPORT_VERSION,
+    MAX_IMPORT_COUNTERS,
+    MAX_IMPORT_SIZE,
+    splitAvailableCounters,
+    createCounterSet,
+    createDisplayCounters,
+    exportGuildCounters,
+    parseCounterImport
+};
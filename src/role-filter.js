@@ -0,0 +1,75 @@
+const { DEFAULT_LANGUAGE, createTranslator } = require('./i18n');
+
+// Role filter counters
+// A filter is stored on the config as { roles, roleMatch, bots, presence }
+const ROLE_MATCH_MODES = {
+    'any': 'Has any of the roles',
+    'all': 'Has all of the roles',
+    'none': 'Has none of the roles'
+};
+
+function buildRoleFilter(roles, roleMatch, bots, presence) {
+    return {
+        roles: roles.map(role => role.id),
+        roleMatch: roleMatch || 'any',
+        bots: bots || 'exclude',
+        presence: presence || 'any'
+    };
+}
+
+// Returns null if the filter is usable or the catalog key of the problem
+function validateRoleFilter(filter, guild) {
+    if (filter.roles.length === 0) {
+        return { key: 'roleFilter.roleRequired' };
+    }
+    if (filter.roles.includes(guild.id)) {
+        return { key: 'roleFilter.noEveryone' };
+    }
+    return null;
+}
+
+function matchesRoleFilter(state, filter) {
+    if (filter.bots === 'exclude' && state.bot) return false;
+    if (filter.bots === 'only' && !state.bot) return false;
+    if (filter.presence === 'online' && !state.online) return false;
+    if (filter.presence === 'offline' && state.online) return false;
+    
+    const matched = filter.roles.filter(roleId => state.roleIds.includes(roleId)).length;
+    switch (filter.roleMatch) {
+        case 'all':
+            return matched === filter.roles.length;
+        case 'none':
+            return matched === 0;
+        default:
+            return matched > 0;
+    }
+}
+
+// Human readable label for a role filter, e.g. "Online Moderators / Admins"
+function describeRoleFilter(guild, filter, language = DEFAULT_LANGUAGE) {
+    const t = createTranslator(language);
+    const names = filter.roles.map(roleId => guild.roles.cache.get(roleId)?.name || t('roleFilter.deletedRole'));
+    let label = names.join(filter.roleMatch === 'all' ? ' & ' : ' / ');
+    
+    if (filter.roleMatch === 'none') {
+        label = t('roleFilter.without', { roles: label });
+    }
+    if (filter.presence === 'online') {
+        label = t('roleFilter.online', { roles: label });
+    } else if (filter.presence === 'offline') {
+        label = t('roleFilter.offline', { roles: label });
+    }
+    if (filter.bots === 'only') {
+        label = t('roleFilter.bots', { roles: label });
+    }
+    
+    return label;
+}
+
+module.exports = {
+    ROLE_MATCH_MODES,
+    buildRoleFilter,
+    validateRoleFilter,
+    matchesRoleFilter,
+    describeRoleFilter
+};
@@ -0,0 +1,262 @@
+const { COUNTER_TYPES, getUnavailableReason } = require('./counter-types');
+const { renderCounterName } = require('./templates');
+const { checkGoal } = require('./goals');
+const { getDisplayMode } = require('./display-modes');
+
+// Counter update scheduling
+// Discord allows 2 renames per channel every 10 minutes, so updates are
+// coalesced into one pending entry per channel and deferred until a rename slot is free.
+// Display modes that don't rename a channel hand the new value to their own refresh instead.
+// Time counters are updated whenever their shown value changes, within the same limit
+const RENAME_LIMIT = 2;
+const RENAME_WINDOW = 10 * 60 * 1000;
+const UPDATE_DEBOUNCE = 5 * 1000;
+
+function createUpdateScheduler(bot) {
+    const pendingUpdates = new Map(); // channelId -> { guildId, dueAt, reasons, queuedAt, timer }
+    const renameHistory = new Map(); // channelId -> timestamps of renames inside the window
+    
+    function getRecentRenames(channelId) {
+        const cutoff = Date.now() - RENAME_WINDOW;
+        const history = (renameHistory.get(channelId) || []).filter(time => time > cutoff);
+        
+        if (history.length > 0) {
+            renameHistory.set(channelId, history);
+        } else {
+            renameHistory.delete(channelId);
+        }
+        
+        return history;
+    }
+    
+    function getNextRenameTime(channelId) {
+        const history = getRecentRenames(channelId);
+        if (history.length < RENAME_LIMIT) return Date.now();
+        
+        return history[history.length - RENAME_LIMIT] + RENAME_WINDOW;
+    }
+    
+    function recordRename(channelId) {
+        const history = getRecentRenames(channelId);
+        history.push(Date.now());
+        renameHistory.set(channelId, history);
+    }
+    
+    function scheduleCounterUpdate(guildId, channelId, reason, delay = UPDATE_DEBOUNCE) {
+        const dueAt = Math.max(Date.now() + delay, getNextRenameTime(channelId));
+        const pending = pendingUpdates.get(channelId);
+        
+        if (pending) {
+            pending.reasons.add(reason);
+            
+            // An earlier update already covers this event
+            if (pending.dueAt <= dueAt) return;
+            
+            clearTimeout(pending.timer);
+        }
+        
+        const entry = pending || {
+            guildId,
+            reasons: new Set([reason]),
+            queuedAt: Date.now()
+        };
+        
+        entry.dueAt = dueAt;
+        entry.timer = setTimeout(() => runCounterUpdate(channelId), dueAt - Date.now());
+        pendingUpdates.set(channelId, entry);
+    }
+    
+    function cancelCounterUpdate(channelId) {
+        const pending = pendingUpdates.get(channelId);
+        if (pending) {
+            clearTimeout(pending.timer);
+            pendingUpdates.delete(channelId);
+        }
+    }
+    
+    // Time counters have no events, so each update queues the next one for when the shown
+    // value changes; scheduleCounterUpdate still holds it back until a rename slot is free
+    function scheduleNextTimeUpdate(guild, config) {
+        const nextChange = COUNTER_TYPES[config.type]?.nextChange?.(guild, config, Date.now());
+        if (!nextChange) return;
+        
+        scheduleCounterUpdate(guild.id, config.channelId, 'time', Math.max(nextChange - Date.now(), 0));
+    }
+    
+    async function runCounterUpdate(channelId) {
+        const entry = pendingUpdates.get(channelId);
+        if (!entry) return;
+        clearTimeout(entry.timer);
+        pendingUpdates.delete(channelId);
+        
+        const guild = bot.client.guilds.cache.get(entry.guildId);
+        const config = bot.findCounterConfig(entry.guildId, channelId);
+        if (!guild || !config) return;
+        
+        try {
+            const mode = getDisplayMode(config);
+            const channel = mode.findChannel(bot, guild, config);
+            if (!channel) {
+                bot.scheduleGuildHeal(guild);
+                return;
+            }
+            
+            // Counters the configured intents can't count keep their last value
+            const unavailable = getUnavailableReason(bot.settings, config);
+            if (unavailable) {
+                bot.counterStatus.set(channelId, {
+                    ...bot.counterStatus.get(channelId),
+                    error: unavailable,
+                    errorAt: Date.now()
+                });
+                return;
+            }
+            
+            const count = await bot.getCountForType(guild, config.type, config.filter, config.time, config.external);
+            if (config.goal) {
+                await checkGoal(bot, guild, config, count);
+            }
+            
+            if (!mode.renames) {
+                bot.counterStatus.set(channelId, { value: count, updatedAt: Date.now() });
+                bot.recordUpdateLatency(Date.now() - entry.queuedAt);
+                scheduleNextTimeUpdate(guild, config);
+                mode.refresh(bot, guild);
+                return;
+            }
+            
+            const newName = renderCounterName(guild, config, count, bot.getGuildLanguage(guild));
+            
+            // Skip no-op renames so they don't use up the rate limit
+            if (channel.name === newName) {
+                bot.counterStatus.set(channelId, { value: count, updatedAt: Date.now() });
+                bot.recordUpdateLatency(Date.now() - entry.queuedAt);
+                scheduleNextTimeUpdate(guild, config);
+                return;
+            }
+            
+            if (getNextRenameTime(channelId) > Date.now()) {
+                scheduleCounterUpdate(entry.guildId, channelId, 'rate-limit', 0);
+                bot.recordRenameDeferral();
+                await bot.logMessage('debug', 'Counter update deferred by rename rate limit', {
+                    guild: guild.name,
+                    channelId: channelId,
+                    nextUpdate: new Date(pendingUpdates.get(channelId).dueAt).toISOString()
+                });
+                return;
+            }
+            
+            // Record the slot before renaming so concurrent updates see it
+            recordRename(channelId);
+            
+            await channel.setName(newName);
+            bot.counterStatus.set(channelId, { value: count, updatedAt: Date.now() });
+            bot.recordRenameResult('success');
+            bot.recordUpdateLatency(Date.now() - entry.queuedAt);
+            scheduleNextTimeUpdate(guild, config);
+            await bot.logMessage('debug', 'Counter updated', {
+                guild: guild.name,
+                channel: newName,
+                type: config.type,
+                reasons: [...entry.reasons]
+            });
+            
+        } catch (error) {
+            bot.counterStatus.set(channelId, {
+                ...bot.counterStatus.get(channelId),
+                error: error.message,
+                errorAt: Date.now()
+            });
+            bot.recordRenameResult('failure');
+            await bot.logMessage('error', 'Counter update failed', {
+                guild: guild.name,
+                channelId: channelId,
+                type: config.type,
+                error: error.message
+            });
+        }
+    }
+    
+    // Snapshot of the update queue for a guild
+    function getUpdateQueueStatus(guildId) {
+        const configs = bot.counterConfigs.get(guildId) || [];
+        
+        const counters = configs.map(config => {
+            const pending = pendingUpdates.get(config.channelId);
+            return {
+                channelId: config.channelId,
+                type: config.type,
+                pendingSince: pending ? pending.queuedAt : null,
+                nextUpdate: pending ? pending.dueAt : null,
+                reasons: pending ? [...pending.reasons] : [],
+                renamesInWindow: getRecentRenames(config.channelId).length,
+                nextRenameSlot: getNextRenameTime(config.channelId)
+            };
+        });
+        
+        return {
+            depth: counters.filter(c => c.nextUpdate !== null).length,
+            totalDepth: pendingUpdates.size,
+            counters
+        };
+    }
+    
+    // Schedule updates for a guild's counters, optionally only those fed by the given event source
+    function scheduleGuildUpdate(guild, reason, source = null) {
+        const configs = bot.counterConfigs.get(guild.id);
+        if (!configs) return;
+        
+        for (const config of configs) {
+            if (source && COUNTER_TYPES[config.type]?.source !== source) continue;
+            scheduleCounterUpdate(guild.id, config.channelId, reason);
+        }
+    }
+    
+    // The pass is recorded once every counter's update is queued; individual update failures show up
+    // in the counter status and the rename metrics rather than in the health check
+    function updateAllCounters() {
+        for (const guildId of bot.counterConfigs.keys()) {
+            const guild = bot.client.guilds.cache.get(guildId);
+            if (!guild) continue;
+            
+            scheduleGuildUpdate(guild, 'interval');
+        }
+        
+        bot.recordUpdatePass();
+    }
+    
+    function getPendingUpdate(channelId) {
+        return pendingUpdates.get(channelId) || null;
+    }
+    
+    function countPendingUpdates() {
+        return pendingUpdates.size;
+    }
+    
+    function cancelAllUpdates() {
+        for (const channelId of [...pendingUpdates.keys()]) {
+            cancelCounterUpdate(channelId);
+        }
+    }
+    
+    return {
+        scheduleCounterUpdate,
+        cancelCounterUpdate,
+        cancelAllUpdates,
+        runCounterUpdate,
+        scheduleNextTimeUpdate,
+        scheduleGuildUpdate,
+        updateAllCounters,
+        getUpdateQueueStatus,
+        getPendingUpdate,
+        countPendingUpdates,
+        getNextRenameTime
+    };
+}
+
+module.exports = {
+    RENAME_LIMIT,
+    RENAME_WINDOW,
+    UPDATE_DEBOUNCE,
+    createUpdateScheduler
+};
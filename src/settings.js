@@ -0,0 +1,163 @@
+const { existsSync, readFileSync } = require('fs');
+const path = require('path');
+const { GatewayIntentBits } = require('discord.js');
+
+// Settings
+// Resolved in order of precedence from environment variables, the settings file's
+// section for the current environment, its "default" section, then built-in defaults
+const ROOT_DIR = path.join(__dirname, '..');
+
+const SETTING_DEFINITIONS = {
+    token: { env: 'DISCORD_TOKEN', type: 'string', required: true },
+    commandGuildId: { env: 'COMMAND_GUILD_ID', type: 'snowflake' },
+    intents: {
+        env: 'INTENTS',
+        type: 'intents',
+        default: ['Guilds', 'GuildMembers', 'GuildPresences', 'GuildVoiceStates', 'GuildEmojisAndStickers', 'GuildScheduledEvents']
+    },
+    updateIntervalMinutes: { env: 'UPDATE_INTERVAL_MINUTES', type: 'number', default: 5 },
+    saveIntervalMinutes: { env: 'SAVE_INTERVAL_MINUTES', type: 'number', default: 10 },
+    reconcileIntervalMinutes: { env: 'RECONCILE_INTERVAL_MINUTES', type: 'number', default: 60 },
+    logFile: { env: 'LOG_FILE', type: 'path', default: 'bot.log' },
+    logLevel: { env: 'LOG_LEVEL', type: 'enum', values: ['debug', 'info', 'warn', 'error'], default: 'info' },
+    logMaxSizeMb: { env: 'LOG_MAX_SIZE_MB', type: 'number', default: 10 },
+    logRotateHours: { env: 'LOG_ROTATE_HOURS', type: 'number', default: 24 },
+    logRetentionDays: { env: 'LOG_RETENTION_DAYS', type: 'number', default: 14 },
+    storageBackend: { env: 'STORAGE_BACKEND', type: 'enum', values: ['json', 'sqlite'], default: 'json' },
+    dataFile: { env: 'DATA_FILE', type: 'path', default: 'config.json' },
+    sqliteFile: { env: 'SQLITE_FILE', type: 'path', default: 'counters.db' },
+    historyFile: { env: 'HISTORY_FILE', type: 'path', default: 'history.json' },
+    historyIntervalMinutes: { env: 'HISTORY_INTERVAL_MINUTES', type: 'number', default: 15 },
+    historyRetentionDays: { env: 'HISTORY_RETENTION_DAYS', type: 'number', default: 90 },
+    auditFile: { env: 'AUDIT_FILE', type: 'path', default: 'audit.json' },
+    auditRetentionDays: { env: 'AUDIT_RETENTION_DAYS', type: 'number', default: 90 },
+    statusPort: { env: 'STATUS_PORT', type: 'port' },
+    statusHost: { env: 'STATUS_HOST', type: 'string', default: '127.0.0.1' },
+    totalShards: { env: 'TOTAL_SHARDS', type: 'shards', default: 'auto' }
+};
+
+// Convert a raw setting value, throwing an Error with a readable message if it is invalid
+function parseSetting(definition, value) {
+    switch (definition.type) {
+        case 'string':
+        case 'path': {
+            if (typeof value !== 'string' || !value.trim()) {
+                throw new Error('must be a non-empty string');
+            }
+            return definition.type === 'path' ? path.resolve(ROOT_DIR, value) : value.trim();
+        }
+        
+        case 'snowflake': {
+            const id = String(value).trim();
+            if (!/^\d{17,20}$/.test(id)) {
+                throw new Error(`"${value}" is not a valid Discord ID`);
+            }
+            return id;
+        }
+        
+        case 'number': {
+            const number = Number(value);
+            if (!Number.isFinite(number) || number <= 0) {
+                throw new Error(`"${value}" is not a positive number`);
+            }
+            return number;
+        }
+        
+        case 'port': {
+            const port = Number(value);
+            if (!Number.isInteger(port) || port < 1 || port > 65535) {
+                throw new Error(`"${value}" is not a valid port`);
+            }
+            return port;
+        }
+        
+        case 'shards': {
+            if (value === 'auto') return value;
+            
+            const count = Number(value);
+            if (!Number.isInteger(count) || count < 1) {
+                throw new Error(`"${value}" must be "auto" or a whole number of shards`);
+            }
+            return count;
+        }
+        
+        case 'enum': {
+            if (!definition.values.includes(value)) {
+                throw new Error(`"${value}" must be one of: ${definition.values.join(', ')}`);
+            }
+            return value;
+        }
+        
+        case 'intents': {
+            const names = Array.isArray(value) ? value : String(value).split(',');
+            const trimmed = names.map(name => String(name).trim()).filter(Boolean);
+            const unknown = trimmed.filter(name => !(name in GatewayIntentBits) || !isNaN(Number(name)));
+            if (unknown.length > 0) {
+                throw new Error(`unknown intents: ${unknown.join(', ')}`);
+            }
+            return trimmed;
+        }
+        
+        default:
+            throw new Error(`has unsupported type "${definition.type}"`);
+    }
+}
+
+// Throws an Error listing every problem if the settings are invalid
+function loadSettings(env = process.env) {
+    const environment = env.BOT_ENV || env.NODE_ENV || 'production';
+    const settingsFile = env.SETTINGS_FILE || path.join(ROOT_DIR, 'settings.json');
+    const errors = [];
+    let fileSettings = {};
+    
+    if (existsSync(settingsFile)) {
+        try {
+            const parsed = JSON.parse(readFileSync(settingsFile, 'utf8'));
+            fileSettings = { ...parsed.default, ...parsed[environment] };
+            
+            for (const section of ['default', environment]) {
+                for (const key of Object.keys(parsed[section] || {})) {
+                    if (!(key in SETTING_DEFINITIONS)) {
+                        errors.push(`Unknown setting "${key}" in the "${section}" section of ${settingsFile}`);
+                    }
+                }
+            }
+        } catch (error) {
+            errors.push(`Could not read ${settingsFile}: ${error.message}`);
+        }
+    }
+    
+    const resolved = { environment };
+    
+    for (const [name, definition] of Object.entries(SETTING_DEFINITIONS)) {
+        const source = env[definition.env] !== undefined
+            ? `environment variable ${definition.env}`
+            : `setting "${name}"`;
+        const value = env[definition.env] ?? fileSettings[name] ?? definition.default;
+        
+        if (value === undefined || value === null || value === '') {
+            if (definition.required) {
+                errors.push(`Missing ${name}: set ${definition.env} or "${name}" in ${path.basename(settingsFile)}`);
+            }
+            continue;
+        }
+        
+        try {
+            resolved[name] = parseSetting(definition, value);
+        } catch (error) {
+            errors.push(`Invalid ${source}: ${error.message}`);
+        }
+    }
+    
+    if (errors.length > 0) {
+        throw new Error(`Invalid configuration for environment "${environment}":\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    }
+    
+    return resolved;
+}
+
+module.exports = {
+    SETTING_DEFINITIONS,
+    parseSetting,
+    loadSettings
+};
@@ -0,0 +1,110 @@
+const path = require('path');
+const { ShardingManager, ShardClientUtil } = require('discord.js');
+
+// Sharding
+// Under the shard manager each shard runs index.js in its own process with its own client.
+// A process only loads, updates and saves the guilds of its own shards, so the shared
+// SQLite database is the only state the processes have in common
+const ENTRY_FILE = path.join(__dirname, '..', 'index.js');
+
+// Without a shard manager the single process owns every guild
+function createGuildOwnership(client) {
+    if (!client.shard) return () => true;
+    
+    return (guildId) => client.shard.ids.includes(ShardClientUtil.shardIdForGuildId(guildId, client.shard.count));
+}
+
+// Work done once for the whole bot, such as registering commands, runs on the first shard
+function isPrimaryShard(client) {
+    return !client.shard || client.shard.ids.includes(0);
+}
+
+// Each shard process writes its own log file, since rotation can't be shared between processes
+function getShardLogFile(file, client) {
+    if (!client.shard) return file;
+    
+    const { dir, name, ext } = path.parse(file);
+    return path.join(dir, `${name}.shard-${client.shard.ids.join('-')}${ext}`);
+}
+
+function createShardStats(bot) {
+    function getLocalStats() {
+        let counters = 0;
+        for (const configs of bot.counterConfigs.values()) {
+            counters += configs.length;
+        }
+        
+        return {
+            shards: bot.client.shard ? bot.client.shard.ids : [0],
+            guilds: bot.client.guilds.cache.size,
+            counters,
+            healthy: bot.getHealth().healthy
+        };
+    }
+    
+    // broadcastEval only hands each shard its client, so the stats are reached through it
+    bot.client.getCounterStats = getLocalStats;
+    
+    // Totals across every shard; shards that don't answer are left out and counted as missing
+    async function getClusterStats() {
+        if (!bot.client.shard) {
+            return { ...getLocalStats(), shardCount: 1, missingShards: 0 };
+        }
+        
+        let perShard = [];
+        try {
+            perShard = await bot.client.shard.broadcastEval(client => client.getCounterStats?.() ?? null);
+        } catch (error) {
+            await bot.logMessage('warn', 'Failed to gather stats from other shards', { error: error.message });
+            perShard = [getLocalStats()];
+        }
+        
+        const answered = perShard.filter(Boolean);
+        return {
+            shards: answered.flatMap(stats => stats.shards),
+            guilds: answered.reduce((sum, stats) => sum + stats.guilds, 0),
+            counters: answered.reduce((sum, stats) => sum + stats.counters, 0),
+            healthy: answered.every(stats => stats.healthy),
+            shardCount: bot.client.shard.count,
+            missingShards: bot.client.shard.count - answered.flatMap(stats => stats.shards).length
+        };
+    }
+    
+    return {
+        getLocalStats,
+        getClusterStats
+    };
+}
+
+// Spawn the shards; rejects when the settings can't be sharded
+async function startShardManager(settings, logMessage) {
+    // Several processes can't share the JSON files without overwriting each other's guilds
+    if (settings.storageBackend !== 'sqlite') {
+        throw new Error('Sharding needs the SQLite storage backend: set STORAGE_BACKEND=sqlite');
+    }
+    
+    const manager = new ShardingManager(ENTRY_FILE, {
+        token: settings.token,
+        totalShards: settings.totalShards
+    });
+    
+    manager.on('shardCreate', (shard) => {
+        logMessage('info', 'Shard launched', { shard: shard.id });
+        
+        shard.on('death', (child) => {
+            logMessage('error', 'Shard process exited', { shard: shard.id, exitCode: child.exitCode });
+        });
+    });
+    
+    const shards = await manager.spawn();
+    await logMessage('info', 'All shards launched', { shards: shards.size });
+    return manager;
+}
+
+module.exports = {
+    createGuildOwnership,
+    isPrimaryShard,
+    getShardLogFile,
+    createShardStats,
+    startShardManager
+};
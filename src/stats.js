@@ -0,0 +1,216 @@
+// Per-guild member statistics
+// Seeded once from a full member fetch, then kept current from gateway events
+// and periodically reconciled against a fresh fetch to correct drift
+const ONLINE_STATUSES = ['online', 'idle', 'dnd'];
+
+// Without the GuildMembers intent there is no member list to fetch, so counters use the
+// estimates the guild endpoint returns instead, refetched at most this often
+const APPROXIMATE_COUNTS_MAX_AGE = 60 * 1000;
+
+function getMemberState(member, status = member.presence?.status) {
+    return {
+        bot: member.user.bot,
+        roleIds: member.roles.cache.filter(role => role.id !== member.guild.id).map(role => role.id),
+        online: ONLINE_STATUSES.includes(status)
+    };
+}
+
+// Counter types a single member contributes to
+function getMemberCounterTypes(state) {
+    const types = [state.bot ? 'bots' : 'members'];
+    
+    if (!state.bot && state.roleIds.length > 0) {
+        types.push('roles');
+    }
+    
+    const presence = state.online ? 'online' : 'offline';
+    types.push(`${presence}-${state.bot ? 'bots' : 'members'}`);
+    
+    return types;
+}
+
+const MEMBER_COUNT_TYPES = ['members', 'bots', 'roles', 'online-members', 'online-bots', 'offline-members', 'offline-bots'];
+
+function createEmptyCounts() {
+    return Object.fromEntries(MEMBER_COUNT_TYPES.map(type => [type, 0]));
+}
+
+// Replace a member's state, returning true if any count changed
+function applyMemberState(stats, memberId, newState) {
+    const oldState = stats.members.get(memberId);
+    const oldTypes = oldState ? getMemberCounterTypes(oldState) : [];
+    const newTypes = newState ? getMemberCounterTypes(newState) : [];
+    
+    if (newState) {
+        stats.members.set(memberId, newState);
+    } else {
+        stats.members.delete(memberId);
+    }
+    
+    for (const type of oldTypes) stats.counts[type]--;
+    for (const type of newTypes) stats.counts[type]++;
+    
+    // Role changes matter to role filter counters even when the built-in counts don't move
+    const oldRoles = oldState ? oldState.roleIds : [];
+    const newRoles = newState ? newState.roleIds : [];
+    const rolesChanged = oldRoles.length !== newRoles.length || oldRoles.some(roleId => !newRoles.includes(roleId));
+    
+    return rolesChanged || oldTypes.length !== newTypes.length || oldTypes.some((type, i) => type !== newTypes[i]);
+}
+
+function createStatsCache(bot) {
+    const guildStats = new Map(); // guildId -> { counts, members, seededAt, reconciledAt }
+    const statsSeeding = new Map(); // guildId -> pending seed promise
+    const approximateCounts = new Map(); // guildId -> { fetchedAt, counts: promise of { members, online } }
+    
+    async function buildGuildStats(guild) {
+        const members = await guild.members.fetch();
+        const stats = {
+            counts: createEmptyCounts(),
+            members: new Map(),
+            seededAt: Date.now(),
+            reconciledAt: Date.now()
+        };
+        
+        for (const member of members.values()) {
+            applyMemberState(stats, member.id, getMemberState(member));
+        }
+        
+        return stats;
+    }
+    
+    async function getGuildStats(guild) {
+        if (guildStats.has(guild.id)) {
+            return guildStats.get(guild.id);
+        }
+        
+        // Share a single fetch between counters that ask at the same time
+        if (!statsSeeding.has(guild.id)) {
+            const seeding = buildGuildStats(guild)
+                .then(stats => {
+                    guildStats.set(guild.id, stats);
+                    return stats;
+                })
+                .finally(() => statsSeeding.delete(guild.id));
+            statsSeeding.set(guild.id, seeding);
+        }
+        
+        return statsSeeding.get(guild.id);
+    }
+    
+    // Estimates of all members and online members, bots included, shared between counters
+    async function getApproximateCounts(guild) {
+        const cached = approximateCounts.get(guild.id);
+        if (cached && Date.now() - cached.fetchedAt < APPROXIMATE_COUNTS_MAX_AGE) {
+            return cached.counts;
+        }
+        
+        const entry = {
+            fetchedAt: Date.now(),
+            counts: bot.client.guilds.fetch({ guild: guild.id, withCounts: true, force: true })
+                .then(fetched => ({
+                    members: fetched.approximateMemberCount ?? guild.memberCount,
+                    online: fetched.approximatePresenceCount ?? 0
+                }))
+        };
+        approximateCounts.set(guild.id, entry);
+        
+        // Let the next counter retry instead of sharing the failure
+        entry.counts.catch(() => {
+            if (approximateCounts.get(guild.id) === entry) {
+                approximateCounts.delete(guild.id);
+            }
+        });
+        
+        return entry.counts;
+    }
+    
+    // Incremental updates; each returns true if counters need refreshing.
+    // Guilds that haven't been seeded yet are left alone - they are built on demand.
+    function updateMemberStats(member) {
+        const stats = guildStats.get(member.guild.id);
+        if (!stats) return true;
+        
+        // Keep the known presence if this event didn't carry one
+        const state = getMemberState(member);
+        if (!member.presence && stats.members.has(member.id)) {
+            state.online = stats.members.get(member.id).online;
+        }
+        
+        return applyMemberState(stats, member.id, state);
+    }
+    
+    function removeMemberStats(member) {
+        const stats = guildStats.get(member.guild.id);
+        if (!stats) return true;
+        
+        return applyMemberState(stats, member.id, null);
+    }
+    
+    function updatePresenceStats(guild, userId, status) {
+        const stats = guildStats.get(guild.id);
+        if (!stats) return true;
+        
+        const state = stats.members.get(userId);
+        if (!state) return false;
+        
+        return applyMemberState(stats, userId, { ...state, online: ONLINE_STATUSES.includes(status) });
+    }
+    
+    async function reconcileAllStats() {
+        for (const [guildId, stats] of guildStats.entries()) {
+            const guild = bot.client.guilds.cache.get(guildId);
+            if (!guild) {
+                guildStats.delete(guildId);
+                continue;
+            }
+            
+            try {
+                const fresh = await buildGuildStats(guild);
+                const drift = Object.keys(fresh.counts)
+                    .filter(type => fresh.counts[type] !== stats.counts[type])
+                    .reduce((result, type) => ({ ...result, [type]: fresh.counts[type] - stats.counts[type] }), {});
+                
+                fresh.seededAt = stats.seededAt;
+                guildStats.set(guildId, fresh);
+                
+                if (Object.keys(drift).length > 0) {
+                    await bot.logMessage('info', 'Member statistics drift corrected', {
+                        guild: guild.name,
+                        guildId: guildId,
+                        drift: drift
+                    });
+                    bot.scheduleGuildUpdate(guild, 'reconcile');
+                }
+            } catch (error) {
+                await bot.logMessage('error', 'Member statistics reconciliation failed', {
+                    guild: guild.name,
+                    guildId: guildId,
+                    error: error.message
+                });
+            }
+        }
+    }
+    
+    function dropGuildStats(guildId) {
+        guildStats.delete(guildId);
+        approximateCounts.delete(guildId);
+    }
+    
+    return {
+        getGuildStats,
+        getApproximateCounts,
+        updateMemberStats,
+        removeMemberStats,
+        updatePresenceStats,
+        reconcileAllStats,
+        dropGuildStats
+    };
+}
+
+module.exports = {
+    ONLINE_STATUSES,
+    MEMBER_COUNT_TYPES,
+    getMemberState,
+    createStatsCache
+};
@@ -0,0 +1,169 @@
+const http = require('http');
+const { MAX_PUSH_SIZE, matchesToken, parsePushedValue } = require('./external-counters');
+
+// Status server
+// An optional HTTP server for monitoring and external counters:
+// - GET /health: 200 when healthy, 503 otherwise, with the details as JSON
+// - GET /metrics: Prometheus metrics
+// - GET /counters: counter configurations and settings per guild as JSON
+// - POST /counters/<channelId>/value: push the value of an external counter (see external-counters.js)
+// It is only started when statusPort is set, and listens on statusHost (localhost by default)
+// Metrics are per process, plus guild and counter totals across all shards
+const PUSH_PATH = /^\/counters\/([\w-]+)\/value$/;
+
+function createStatusServer(bot) {
+    let server = null;
+    let address = null;
+    
+    function sendJson(response, status, body) {
+        response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+        response.end(JSON.stringify(body, null, 2));
+    }
+    
+    function describeGuilds() {
+        const guilds = {};
+        for (const [guildId, configs] of bot.counterConfigs) {
+            guilds[guildId] = {
+                name: bot.client.guilds.cache.get(guildId)?.name ?? null,
+                settings: bot.getGuildSettings(guildId),
+                // External counters are listed without their token hash
+                counters: configs.map(({ external, ...config }) => ({
+                    ...config,
+                    ...(external && { external: { ...external, tokenHash: undefined } }),
+                    status: bot.counterStatus.get(config.channelId) || null
+                }))
+            };
+        }
+        return guilds;
+    }
+    
+    // Anything past MAX_PUSH_SIZE is read but dropped, so the client still gets the response
+    function readBody(request) {
+        return new Promise((resolve, reject) => {
+            let body = '';
+            let tooLarge = false;
+            request.setEncoding('utf8');
+            request.on('data', chunk => {
+                tooLarge = tooLarge || body.length + chunk.length > MAX_PUSH_SIZE;
+                if (!tooLarge) body += chunk;
+            });
+            request.on('end', () => tooLarge
+                ? reject(Object.assign(new Error('Body too large'), { status: 413 }))
+                : resolve(body));
+            request.on('error', reject);
+        });
+    }
+    
+    // The counter is only found on the shard that owns its guild
+    async function handlePush(request, response, channelId) {
+        if (request.method !== 'POST') {
+            response.writeHead(405, { Allow: 'POST' });
+            return response.end();
+        }
+        
+        const counter = bot.findExternalCounter(channelId);
+        const token = request.headers.authorization?.match(/^Bearer (\S+)$/)?.[1];
+        // Unknown counters get the same answer as wrong tokens, so channel ids can't be probed
+        if (!counter || !matchesToken(counter.config.external, token)) {
+            return sendJson(response, 401, { error: 'Invalid token' });
+        }
+        
+        let body;
+        try {
+            body = await readBody(request);
+        } catch (error) {
+            return sendJson(response, error.status || 400, { error: error.message });
+        }
+        
+        const value = parsePushedValue(body);
+        if (value === null) {
+            return sendJson(response, 400, { error: 'Send a number, either as the body or as {"value": <number>}' });
+        }
+        
+        const dueAt = bot.pushExternalValue(counter.guildId, counter.config, value);
+        await bot.logMessage('debug', 'External counter value pushed', { guildId: counter.guildId, channelId, value });
+        return sendJson(response, 202, { channelId, value, nextUpdate: new Date(dueAt).toISOString() });
+    }
+    
+    async function handleRequest(request, response) {
+        const { pathname } = new URL(request.url, 'http://localhost');
+        
+        const push = pathname.match(PUSH_PATH);
+        if (push) {
+            return handlePush(request, response, push[1]);
+        }
+        
+        if (request.method !== 'GET' && request.method !== 'HEAD') {
+            response.writeHead(405, { Allow: 'GET, HEAD' });
+            return response.end();
+        }
+        
+        switch (pathname) {
+            case '/health': {
+                const health = bot.getHealth();
+                return sendJson(response, health.healthy ? 200 : 503, health);
+            }
+            
+            case '/metrics': {
+                const metrics = await bot.renderMetrics();
+                response.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+                return response.end(metrics);
+            }
+            
+            case '/counters':
+                return sendJson(response, 200, { guilds: describeGuilds() });
+            
+            default:
+                return sendJson(response, 404, { error: 'Not found' });
+        }
+    }
+    
+    // Resolves with the port once listening, so a port of 0 picks a free one
+    // Each shard process listens on statusPort plus its shard id
+    function startStatusServer() {
+        if (server || bot.settings.statusPort === undefined) return Promise.resolve(null);
+        
+        const port = bot.settings.statusPort && bot.settings.statusPort + (bot.client.shard?.ids[0] ?? 0);
+        
+        server = http.createServer(async (request, response) => {
+            try {
+                await handleRequest(request, response);
+            } catch (error) {
+                bot.logMessage('error', 'Status request failed', { path: request.url, error: error.message });
+                sendJson(response, 500, { error: 'Internal error' });
+            }
+        });
+        
+        return new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port, bot.settings.statusHost, () => {
+                const { port } = server.address();
+                address = { host: bot.settings.statusHost, port };
+                bot.logMessage('info', 'Status server listening', { host: bot.settings.statusHost, port });
+                resolve(port);
+            });
+        });
+    }
+    
+    function stopStatusServer() {
+        server?.close();
+        server?.closeAllConnections();
+        server = null;
+        address = null;
+    }
+    
+    // Base URL of the running server, or null when it isn't listening
+    function getStatusServerUrl() {
+        return address ? `http://${address.host}:${address.port}` : null;
+    }
+    
+    return {
+        startStatusServer,
+        stopStatusServer,
+        getStatusServerUrl
+    };
+}
+
+module.exports = {
+    createStatusServer
+};
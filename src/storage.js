@@ -0,0 +1,328 @@
+const fs = require('fs').promises;
+
+// Storage backends
+// A backend exposes load() and save(data), where data is
+// { schemaVersion, counterConfigs: { [guildId]: { serverName, configs, settings } } },
+// plus history and audit stores with the same interface for { schemaVersion, guilds: { [guildId]: data } }
+const SCHEMA_VERSION = 2;
+const HISTORY_SCHEMA_VERSION = 1;
+const AUDIT_SCHEMA_VERSION = 1;
+const BACKUP_COUNT = 3;
+const BACKUP_INTERVAL = 60 * 60 * 1000;
+
+// Bring data from any earlier format up to the current schema
+function migrateConfigData(raw) {
+    const data = {
+        schemaVersion: SCHEMA_VERSION,
+        counterConfigs: {}
+    };
+    
+    for (const [guildId, guildData] of Object.entries(raw.counterConfigs || {})) {
+        // Handle both old format (direct configs array) and new format (object with serverName and configs)
+        if (Array.isArray(guildData)) {
+            data.counterConfigs[guildId] = { serverName: 'Unknown Server', configs: guildData };
+        } else if (guildData && Array.isArray(guildData.configs)) {
+            data.counterConfigs[guildId] = guildData;
+        }
+    }
+    
+    return data;
+}
+
+function migrateHistoryData(raw) {
+    return {
+        schemaVersion: HISTORY_SCHEMA_VERSION,
+        guilds: raw.guilds || {}
+    };
+}
+
+function migrateAuditData(raw) {
+    return {
+        schemaVersion: AUDIT_SCHEMA_VERSION,
+        guilds: raw.guilds || {}
+    };
+}
+
+function createJsonStorage(file, logMessage, migrate = migrateConfigData) {
+    let writing = Promise.resolve();
+    
+    const backupPath = (index) => `${file}.bak.${index}`;
+    
+    async function readDataFile(filePath) {
+        const contents = await fs.readFile(filePath, 'utf8');
+        
+        // The file ships empty; treat that as no configuration rather than corruption
+        if (!contents.trim()) return null;
+        
+        return migrate(JSON.parse(contents));
+    }
+    
+    async function rotateBackups() {
+        try {
+            const newest = await fs.stat(backupPath(1));
+            if (Date.now() - newest.mtimeMs < BACKUP_INTERVAL) return;
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        
+        for (let index = BACKUP_COUNT - 1; index >= 1; index--) {
+            await fs.rename(backupPath(index), backupPath(index + 1)).catch(error => {
+                if (error.code !== 'ENOENT') throw error;
+            });
+        }
+        
+        await fs.copyFile(file, backupPath(1)).catch(error => {
+            if (error.code !== 'ENOENT') throw error;
+        });
+    }
+    
+    async function writeAtomically(data) {
+        const tempFile = `${file}.tmp`;
+        const handle = await fs.open(tempFile, 'w');
+        try {
+            await handle.writeFile(JSON.stringify(data, null, 2));
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        
+        await rotateBackups();
+        await fs.rename(tempFile, file);
+    }
+    
+    return {
+        name: 'json',
+        
+        async load() {
+            try {
+                return await readDataFile(file);
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                
+                // Keep the unreadable file for inspection and fall back to the newest good backup
+                const corruptFile = `${file}.corrupt-${Date.now()}`;
+                await fs.rename(file, corruptFile);
+                await logMessage('error', 'Configuration file is corrupt, trying backups', {
+                    error: error.message,
+                    movedTo: corruptFile
+                });
+                
+                for (let index = 1; index <= BACKUP_COUNT; index++) {
+                    try {
+                        const data = await readDataFile(backupPath(index));
+                        await logMessage('warn', 'Configuration restored from backup', { backup: backupPath(index) });
+                        return data;
+                    } catch (backupError) {
+                        continue;
+                    }
+                }
+                
+                throw new Error('Configuration file and all backups are unreadable');
+            }
+        },
+        
+        save(data) {
+            // Serialize writes so two saves never share the temp file
+            writing = writing.catch(() => {}).then(() => writeAtomically(data));
+            return writing;
+        }
+    };
+}
+
+// Keep only the guilds this process owns, see createSqliteStorage
+function filterOwnedGuilds(guilds, ownsGuild) {
+    return Object.fromEntries(Object.entries(guilds).filter(([guildId]) => ownsGuild(guildId)));
+}
+
+// A per-guild store kept in its own table, imported from its JSON file the first time it is loaded
+function createSqliteGuildStore(db, { table, versionKey, jsonFile, migrate, description }, ownsGuild, logMessage) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS ${table} (
+            guild_id TEXT PRIMARY KEY,
+            data TEXT NOT NULL
+        );
+    `);
+    
+    const replaceAll = db.transaction((data) => {
+        db.prepare(`DELETE FROM ${table} WHERE owns_guild(guild_id)`).run();
+        
+        const insertGuild = db.prepare(`INSERT OR REPLACE INTO ${table} (guild_id, data) VALUES (?, ?)`);
+        for (const [guildId, guildData] of Object.entries(data.guilds)) {
+            insertGuild.run(guildId, JSON.stringify(guildData));
+        }
+        
+        db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)').run(versionKey, String(data.schemaVersion));
+    });
+    
+    return {
+        name: 'sqlite',
+        
+        async load() {
+            const version = db.prepare('SELECT value FROM meta WHERE key = ?').get(versionKey);
+            
+            if (!version) {
+                const data = await createJsonStorage(jsonFile, logMessage, migrate).load();
+                if (data) {
+                    replaceAll(data);
+                    await logMessage('info', `Migrated ${description} from JSON to SQLite`, {
+                        guilds: Object.keys(data.guilds).length
+                    });
+                    data.guilds = filterOwnedGuilds(data.guilds, ownsGuild);
+                }
+                return data;
+            }
+            
+            const data = {
+                schemaVersion: Number(version.value),
+                guilds: {}
+            };
+            
+            for (const row of db.prepare(`SELECT guild_id, data FROM ${table} WHERE owns_guild(guild_id)`).all()) {
+                data.guilds[row.guild_id] = JSON.parse(row.data);
+            }
+            
+            return data;
+        },
+        
+        async save(data) {
+            replaceAll(data);
+        }
+    };
+}
+
+// Under the shard manager several processes share the database, each owning some guilds.
+// ownsGuild(guildId) limits loading and saving to this process' guilds, so a save never
+// deletes or overwrites rows another shard wrote
+function createSqliteStorage(file, jsonFile, historyFile, auditFile, logMessage, ownsGuild = () => true) {
+    // Only required when selected so the JSON backend works without the native module
+    const Database = require('better-sqlite3');
+    const db = new Database(file);
+    
+    db.pragma('journal_mode = WAL');
+    db.pragma('busy_timeout = 5000');
+    db.function('owns_guild', { deterministic: true }, (guildId) => ownsGuild(guildId) ? 1 : 0);
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS meta (
+            key TEXT PRIMARY KEY,
+            value TEXT NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS guilds (
+            guild_id TEXT PRIMARY KEY,
+            server_name TEXT,
+            settings TEXT
+        );
+        CREATE TABLE IF NOT EXISTS counters (
+            channel_id TEXT PRIMARY KEY,
+            guild_id TEXT NOT NULL,
+            position INTEGER NOT NULL,
+            config TEXT NOT NULL
+        );
+    `);
+    
+    const replaceAll = db.transaction((data) => {
+        db.prepare('DELETE FROM counters WHERE owns_guild(guild_id)').run();
+        db.prepare('DELETE FROM guilds WHERE owns_guild(guild_id)').run();
+        
+        const insertGuild = db.prepare('INSERT OR REPLACE INTO guilds (guild_id, server_name, settings) VALUES (?, ?, ?)');
+        const insertCounter = db.prepare('INSERT OR REPLACE INTO counters (channel_id, guild_id, position, config) VALUES (?, ?, ?, ?)');
+        
+        for (const [guildId, guildData] of Object.entries(data.counterConfigs)) {
+            insertGuild.run(guildId, guildData.serverName, guildData.settings ? JSON.stringify(guildData.settings) : null);
+            guildData.configs.forEach((config, position) => {
+                insertCounter.run(config.channelId, guildId, position, JSON.stringify(config));
+            });
+        }
+        
+        db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)').run('schemaVersion', String(data.schemaVersion));
+    });
+    
+    return {
+        name: 'sqlite',
+        
+        async load() {
+            const version = db.prepare('SELECT value FROM meta WHERE key = ?').get('schemaVersion');
+            
+            // First start on SQLite: import the existing JSON configuration
+            if (!version) {
+                const data = await createJsonStorage(jsonFile, logMessage).load();
+                if (data) {
+                    replaceAll(data);
+                    await logMessage('info', 'Migrated configuration from JSON to SQLite', {
+                        guilds: Object.keys(data.counterConfigs).length
+                    });
+                    data.counterConfigs = filterOwnedGuilds(data.counterConfigs, ownsGuild);
+                }
+                return data;
+            }
+            
+            const data = {
+                schemaVersion: Number(version.value),
+                counterConfigs: {}
+            };
+            
+            for (const row of db.prepare('SELECT guild_id, server_name, settings FROM guilds WHERE owns_guild(guild_id)').all()) {
+                data.counterConfigs[row.guild_id] = {
+                    serverName: row.server_name,
+                    configs: []
+                };
+                if (row.settings) {
+                    data.counterConfigs[row.guild_id].settings = JSON.parse(row.settings);
+                }
+            }
+            
+            for (const row of db.prepare('SELECT guild_id, config FROM counters WHERE owns_guild(guild_id) ORDER BY guild_id, position').all()) {
+                data.counterConfigs[row.guild_id]?.configs.push(JSON.parse(row.config));
+            }
+            
+            return data;
+        },
+        
+        async save(data) {
+            replaceAll(data);
+        },
+        
+        history: createSqliteGuildStore(db, {
+            table: 'history',
+            versionKey: 'historySchemaVersion',
+            jsonFile: historyFile,
+            migrate: migrateHistoryData,
+            description: 'statistics history'
+        }, ownsGuild, logMessage),
+        
+        audit: createSqliteGuildStore(db, {
+            table: 'audit',
+            versionKey: 'auditSchemaVersion',
+            jsonFile: auditFile,
+            migrate: migrateAuditData,
+            description: 'audit trail'
+        }, ownsGuild, logMessage)
+    };
+}
+
+// ownsGuild is only passed by shards, which the shard manager only starts with the SQLite backend
+function createStorage(settings, logMessage, ownsGuild) {
+    switch (settings.storageBackend) {
+        case 'json':
+            return {
+                ...createJsonStorage(settings.dataFile, logMessage),
+                history: createJsonStorage(settings.historyFile, logMessage, migrateHistoryData),
+                audit: createJsonStorage(settings.auditFile, logMessage, migrateAuditData)
+            };
+        case 'sqlite':
+            return createSqliteStorage(settings.sqliteFile, settings.dataFile, settings.historyFile, settings.auditFile, logMessage, ownsGuild);
+        default:
+            throw new Error(`Unknown storage backend "${settings.storageBackend}" (expected "json" or "sqlite")`);
+    }
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    HISTORY_SCHEMA_VERSION,
+    AUDIT_SCHEMA_VERSION,
+    migrateConfigData,
+    migrateHistoryData,
+    migrateAuditData,
+    createJsonStorage,
+    createSqliteStorage,
+    createStorage
+};
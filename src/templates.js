@@ -0,0 +1,124 @@
+const { COUNTER_TYPES, getCounterLabel, formatCounterValue } = require('./counter-types');
+const { DEFAULT_LANGUAGE, formatNumber } = require('./i18n');
+const { getStaleMarker } = require('./external-counters');
+
+// Counter name templates
+const DEFAULT_TEMPLATE = '{label}: {count}';
+const DEFAULT_GOAL_TEMPLATE = 'Goal: {count:comma} / {goal:comma}';
+const MAX_CHANNEL_NAME_LENGTH = 100;
+const TEMPLATE_PLACEHOLDER = /\{(\w+)(?::([\w]+))?\}/g;
+const TEMPLATE_VARIABLES = ['count', 'goal', 'label', 'type', 'guild'];
+const NUMERIC_VARIABLES = ['count', 'goal'];
+
+// Format a number according to a template format specifier
+// Supported: compact (1.2k), comma (1,234, grouped the way the language does), padN (zero-padded to N digits)
+function formatCount(count, format, language = DEFAULT_LANGUAGE) {
+    if (!format) return count.toString();
+    
+    if (format === 'compact') {
+        const units = [
+            { value: 1e9, suffix: 'b' },
+            { value: 1e6, suffix: 'm' },
+            { value: 1e3, suffix: 'k' }
+        ];
+        const unit = units.find(u => Math.abs(count) >= u.value);
+        if (!unit) return count.toString();
+        
+        const scaled = Math.floor((count / unit.value) * 10) / 10;
+        return `${scaled.toFixed(1).replace(/\.0$/, '')}${unit.suffix}`;
+    }
+    
+    if (format === 'comma') {
+        return formatNumber(count, language);
+    }
+    
+    const padMatch = format.match(/^pad(\d+)$/);
+    if (padMatch) {
+        return count.toString().padStart(parseInt(padMatch[1], 10), '0');
+    }
+    
+    return count.toString();
+}
+
+function isValidCountFormat(format) {
+    return format === 'compact' || format === 'comma' || /^pad([1-9]|1\d|20)$/.test(format);
+}
+
+function getTemplate(config) {
+    return config.template || (config.goal ? DEFAULT_GOAL_TEMPLATE : DEFAULT_TEMPLATE);
+}
+
+// Build a channel name from the counter's template
+function renderCounterName(guild, config, count, language = DEFAULT_LANGUAGE) {
+    const template = getTemplate(config);
+    const values = {
+        label: getCounterLabel(guild, config, language),
+        type: config.type,
+        guild: guild.name
+    };
+    
+    const name = template.replace(TEMPLATE_PLACEHOLDER, (match, variable, format) => {
+        if (variable === 'count') return formatCounterValue(guild, config, count, language) ?? formatCount(count, format, language);
+        if (variable === 'goal') return config.goal ? formatCount(config.goal.target, format, language) : match;
+        return variable in values ? values[variable] : match;
+    });
+    
+    const marker = getStaleMarker(config);
+    return name.slice(0, MAX_CHANNEL_NAME_LENGTH - marker.length) + marker;
+}
+
+// Validate a template, returning null if it is usable or the catalog key and variables of the problem
+function validateTemplate(template, guild, config, language = DEFAULT_LANGUAGE) {
+    if (!template || !template.trim()) {
+        return { key: 'templates.empty' };
+    }
+    
+    let hasCount = false;
+    for (const [match, variable, format] of template.matchAll(TEMPLATE_PLACEHOLDER)) {
+        if (!TEMPLATE_VARIABLES.includes(variable)) {
+            return { key: 'templates.unknownPlaceholder', vars: { placeholder: match, available: TEMPLATE_VARIABLES.map(v => `{${v}}`).join(', ') } };
+        }
+        if (format && !NUMERIC_VARIABLES.includes(variable)) {
+            return { key: 'templates.formatUnsupported', vars: { placeholder: match } };
+        }
+        if (format && variable === 'count' && COUNTER_TYPES[config.type]?.format) {
+            return { key: 'templates.timeFormatUnsupported', vars: { placeholder: match } };
+        }
+        if (variable === 'goal' && !config.goal) {
+            return { key: 'templates.goalOnly' };
+        }
+        if (format && !isValidCountFormat(format)) {
+            return { key: 'templates.unknownFormat', vars: { format } };
+        }
+        if (variable === 'count') hasCount = true;
+    }
+    
+    if (!hasCount) {
+        return { key: 'templates.countRequired' };
+    }
+    
+    // Render with a large sample count so names still fit as the server grows
+    const sample = template.replace(TEMPLATE_PLACEHOLDER, (match, variable, format) => {
+        if (variable === 'count' && COUNTER_TYPES[config.type]?.format) return '9999d 23h';
+        if (NUMERIC_VARIABLES.includes(variable)) return formatCount(1234567890, format, language);
+        if (variable === 'label') return getCounterLabel(guild, config, language);
+        if (variable === 'type') return config.type;
+        return guild.name;
+    });
+    
+    if (sample.length > MAX_CHANNEL_NAME_LENGTH) {
+        return { key: 'templates.tooLong', vars: { length: sample.length, max: MAX_CHANNEL_NAME_LENGTH } };
+    }
+    
+    return null;
+}
+
+module.exports = {
+    DEFAULT_TEMPLATE,
+    DEFAULT_GOAL_TEMPLATE,
+    MAX_CHANNEL_NAME_LENGTH,
+    formatCount,
+    getTemplate,
+    renderCounterName,
+    validateTemplate
+};
@@ -0,0 +1,223 @@
+const { DEFAULT_LANGUAGE, createTranslator } = require('./i18n');
+
+// Time counters
+// Countdown, clock and server age counters derive their value from the time instead of events.
+// Their settings are stored on the config as { target, event, timeZone }; the value is a number
+// (minutes left, minutes past midnight or days) and the counter type formats it for display.
+// Each type also reports when its displayed text next changes so updates can be scheduled then
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Discord allows two renames per channel every 10 minutes, so nothing shown changes faster
+const TIME_STEP = 5 * MINUTE;
+
+const DEFAULT_TIME_ZONE = 'UTC';
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Milliseconds the time zone is ahead of UTC at the given moment
+function getTimeZoneOffset(timeZone, time) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    }).formatToParts(time).map(part => [part.type, Number(part.value)]));
+    
+    const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return local - Math.floor(time / 1000) * 1000;
+}
+
+// Parse "2026-12-31", "2026-12-31 18:00" (in the time zone), an ISO date with an offset or a
+// Discord timestamp like <t:1798761600:R>, returning epoch milliseconds or null
+function parseCountdownDate(text, timeZone = DEFAULT_TIME_ZONE) {
+    const value = text.trim();
+    
+    const timestamp = value.match(/^<t:(\d+)(?::\w)?>$/);
+    if (timestamp) {
+        return Number(timestamp[1]) * 1000;
+    }
+    
+    const local = value.match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2}))?$/);
+    if (local) {
+        const [, year, month, day, hour = '0', minute = '0'] = local;
+        const guess = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute));
+        const date = new Date(guess);
+        if (date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day) || Number(hour) > 23 || Number(minute) > 59) {
+            return null;
+        }
+        
+        // Correct the guess by the offset, then again in case the first correction crossed a DST change
+        const first = guess - getTimeZoneOffset(timeZone, guess);
+        return guess - getTimeZoneOffset(timeZone, first);
+    }
+    
+    if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/.test(value)) {
+        const parsed = Date.parse(value);
+        return Number.isNaN(parsed) ? null : parsed;
+    }
+    
+    return null;
+}
+
+// Build a counter's time settings from the setup options, or return an error message
+function buildTimeSettings(type, { countdownTo, event, timeZone }, t, now = Date.now()) {
+    if (timeZone && !isValidTimeZone(timeZone)) {
+        return { error: t('setup.invalidTimeZone', { timeZone }) };
+    }
+    
+    const time = {};
+    if (timeZone) {
+        time.timeZone = new Intl.DateTimeFormat('en-US', { timeZone }).resolvedOptions().timeZone;
+    }
+    
+    if (type === 'countdown') {
+        if (!countdownTo) {
+            return { error: t('setup.countdownRequired') };
+        }
+        
+        const target = parseCountdownDate(countdownTo, time.timeZone);
+        if (target === null) {
+            return { error: t('setup.invalidCountdownDate', { date: countdownTo }) };
+        }
+        if (target <= now) {
+            return { error: t('setup.countdownInPast') };
+        }
+        
+        time.target = target;
+        if (event) {
+            time.event = event.trim();
+        }
+    } else if (countdownTo || event) {
+        return { error: t('setup.countdownOptionsNeedCountdown') };
+    }
+    
+    if (type === 'server-age' && timeZone) {
+        return { error: t('setup.timeZoneNotUsed') };
+    }
+    
+    return { time };
+}
+
+// Time left rounded up to what is shown: whole hours more than a day out, else TIME_STEP
+function getCountdownStep(remaining) {
+    return remaining > DAY ? HOUR : TIME_STEP;
+}
+
+function getCountdownMinutes(time, now = Date.now()) {
+    const remaining = time.target - now;
+    if (remaining <= 0) return 0;
+    
+    const step = getCountdownStep(remaining);
+    return Math.ceil(remaining / step) * step / MINUTE;
+}
+
+function formatCountdown(minutes, language = DEFAULT_LANGUAGE) {
+    const t = createTranslator(language);
+    if (minutes <= 0) return t('timeCounters.ended');
+    
+    const days = Math.floor(minutes / (24 * 60));
+    const hours = Math.floor(minutes / 60) % 24;
+    const rest = minutes % 60;
+    
+    if (minutes > 24 * 60) {
+        return [t('timeCounters.days', { n: days }), t('timeCounters.hours', { n: hours })].join(' ');
+    }
+    
+    const parts = [];
+    if (minutes >= 60) parts.push(t('timeCounters.hours', { n: Math.floor(minutes / 60) }));
+    if (rest > 0 || minutes < 60) parts.push(t('timeCounters.minutes', { n: rest }));
+    return parts.join(' ');
+}
+
+function getCountdownChange(time, now = Date.now()) {
+    const remaining = time.target - now;
+    if (remaining <= 0) return null;
+    
+    const step = getCountdownStep(remaining);
+    const shown = Math.ceil(remaining / step) * step;
+    return time.target - (shown - step);
+}
+
+// Minutes past midnight in the time zone, rounded down to TIME_STEP
+function getClockMinutes(time, now = Date.now()) {
+    const local = now + getTimeZoneOffset(time.timeZone || DEFAULT_TIME_ZONE, now);
+    const minutes = Math.floor((local % DAY) / MINUTE);
+    return minutes - minutes % (TIME_STEP / MINUTE);
+}
+
+function formatClock(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function getClockChange(now = Date.now()) {
+    return Math.floor(now / TIME_STEP) * TIME_STEP + TIME_STEP;
+}
+
+// "Europe/Berlin" -> "Berlin", "America/Argentina/Buenos_Aires" -> "Buenos Aires"
+function getTimeZoneName(timeZone = DEFAULT_TIME_ZONE) {
+    return timeZone.split('/').pop().replace(/_/g, ' ');
+}
+
+// Whole days since the server was created
+function getServerAgeDays(guild, now = Date.now()) {
+    return Math.max(0, Math.floor((now - guild.createdTimestamp) / DAY));
+}
+
+// Calendar years and months, then days, e.g. "2y 3mo" or "5mo 12d"
+function formatServerAge(guild, now = Date.now(), language = DEFAULT_LANGUAGE) {
+    const t = createTranslator(language);
+    const created = new Date(guild.createdTimestamp);
+    const today = new Date(now);
+    
+    let months = (today.getUTCFullYear() - created.getUTCFullYear()) * 12 + today.getUTCMonth() - created.getUTCMonth();
+    if (today.getUTCDate() < created.getUTCDate()) months--;
+    months = Math.max(0, months);
+    
+    const years = Math.floor(months / 12);
+    if (years > 0) {
+        return [t('timeCounters.years', { n: years }), t('timeCounters.months', { n: months % 12 })].join(' ');
+    }
+    
+    const monthStart = new Date(created);
+    monthStart.setUTCMonth(created.getUTCMonth() + months);
+    const days = Math.max(0, Math.floor((now - monthStart.getTime()) / DAY));
+    
+    return months > 0
+        ? [t('timeCounters.months', { n: months }), t('timeCounters.days', { n: days })].join(' ')
+        : t('timeCounters.days', { n: days });
+}
+
+function getServerAgeChange(guild, now = Date.now()) {
+    return guild.createdTimestamp + (getServerAgeDays(guild, now) + 1) * DAY;
+}
+
+module.exports = {
+    TIME_STEP,
+    DEFAULT_TIME_ZONE,
+    isValidTimeZone,
+    parseCountdownDate,
+    buildTimeSettings,
+    getCountdownMinutes,
+    formatCountdown,
+    getCountdownChange,
+    getClockMinutes,
+    formatClock,
+    getClockChange,
+    getTimeZoneName,
+    getServerAgeDays,
+    formatServerAge,
+    getServerAgeChange
+};
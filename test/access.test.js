@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PermissionFlagsBits } = require('discord.js');
+const { createTestBot, createFakeGuild, createFakeInteraction, findRole } = require('./fixtures');
+
+test('access roles let members without the Discord permission manage and reset counters', async (t) => {
+    const { bot, client } = await createTestBot();
+    t.after(() => bot.destroy());
+    const guild = createFakeGuild(client, { roles: ['Stats Team', 'Other'] });
+    const statsTeam = findRole(guild, 'Stats Team').id;
+    
+    const denied = createFakeInteraction(guild, 'counter-setup', { type: 'members', category: 'Stats' }, { permitted: false, roles: [statsTeam] });
+    await client.emit('interactionCreate', denied);
+    assert.match(denied.replies[0].content, /counter manager role/);
+    
+    await client.emit('interactionCreate', createFakeInteraction(guild, 'counter-access', { access: 'manage', role: findRole(guild, 'Stats Team') }));
+    assert.deepStrictEqual(bot.getGuildSettings(guild.id).managerRoles, [statsTeam]);
+    
+    await client.emit('interactionCreate', createFakeInteraction(guild, 'counter-setup', { type: 'members', category: 'Stats' }, { permitted: false, roles: [statsTeam] }));
+    assert.strictEqual(bot.counterConfigs.get(guild.id).length, 1);
+    
+    // Managing counters doesn't grant resetting them
+    const reset = createFakeInteraction(guild, 'counter-reset', {}, { permitted: false, roles: [statsTeam] });
+    await client.emit('interactionCreate', reset);
+    assert.match(reset.replies[0].content, /counter reset role/);
+    
+    const other = createFakeInteraction(guild, 'counter-edit', { counter: bot.counterConfigs.get(guild.id)[0].channelId, template: '{count}' }, {
+        permitted: false,
+        roles: [findRole(guild, 'Other').id]
+    });
+    await client.emit('interactionCreate', other);
+    assert.match(other.replies[0].content, /\/counter-access/);
+});
+
+test('counter-status and counter-queue follow the manager access', async (t) => {
+    const { bot, client } = await createTestBot();
+    t.after(() => bot.destroy());
+    const guild = createFakeGuild(client, { roles: ['Stats Team'] });
+    const statsTeam = findRole(guild, 'Stats Team').id;
+    await client.emit('interactionCreate', createFakeInteraction(guild, 'counter-setup', { type: 'members', category: 'Stats' }));
+    
+    for (const [name, action] of [['counter-status', 'view counter status'], ['counter-queue', 'view the update queue']]) {
+        const denied = createFakeInteraction(guild, name, {}, { permitted: false, roles: [statsTeam] });
+        await client.emit('interactionCreate', denied);
+        assert.strictEqual(denied.replies[0].content,
+            `You need "Manage Channels" permission or a role allowed by \`/counter-access\` to ${action}.`);
+    }
+    
+    await client.emit('interactionCreate', createFakeInteraction(guild, 'counter-access', { access: 'manage', role: findRole(guild, 'Stats Team') }));
+    
+    for (const name of ['counter-status', 'counter-queue']) {
+        const allowed = createFakeInteraction(guild, name, {}, { permitted: false, roles: [statsTeam] });
+        await client.emit('interactionCreate', allowed);
+        assert.strictEqual(allowed.replies[0].embeds.length, 1);
+    }
+});
+
+test('view roles hide new and existing counter channels from everyone else', async (t) => {
+    const { bot, client } = await createTestBot();
+    t.after(() => bot.destroy());
+    const guild = createFakeGuild(client, { roles: ['Members'] });
+    const membersRole = findRole(guild, 'Members');
+    
+    await client.emit('interactionCreate', createFakeInteraction(guild, 'counter-setup', { type: 'members', category: 'Stats' }));
+    const [existing] = bot.counterConfigs.get(guild.id);
+    const existingChannel = guild.channels.cache.get(existing.channelId);
+    assert.deepStrictEqual(existingChannel.permissionOverwrites.list.map(o => o.deny), [[PermissionFlagsBits.Connect]]);
+    
+    const interaction = createFakeInteraction(guild, 'counter-access', { access: 'view', role: membersRole });
+    await client.emit('interactionCreate', interaction);
+    
+    const overwrites = existingChannel.permissionOverwrites.list;
+    assert.deepStrictEqual(overwrites.map(o => o.id), [guild.roles.everyone, membersRole.id, guild.members.me.id]);
+    assert.deepStrictEqual(overwrites[0].deny, [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.Connect]);
+    assert.deepStrictEqual(existingChannel.parent.permissionOverwrites.list, overwrites);
+    assert.strictEqual(interaction.replies[0].embeds[0].fields.at(-1).value, '2');
+    
+    await client.emit('interactionCreate', createFakeInteraction(guild, 'counter-setup', { type: 'bots', category: 'Other Stats' }));
+    const created = guild.channels.cache.get(bot.counterConfigs.get(guild.id)[1].channelId);
+    assert.deepStrictEqual(created.permissionOverwrites.list.map(o => o.id), [guild.roles.everyone, membersRole.id, guild.members.me.id]);
+    assert.deepStrictEqual(created.parent.permissionOverwrites.list.map(o => o.id), [guild.roles.everyone, membersRole.id, guild.members.me.id]);
+});
+
+test('category counters never lock the channels inside them when view roles change', async (t) => {
+    const { bot, client } = await createTestBot();
+    t.after(() => bot.destroy());
+    const guild = createFakeGuild(client, { roles: ['Members'] });
+    const membersRole = findRole(guild, 'Members');
+    
+    await client.emit('interactionCreate', createFakeInteraction(guild, 'counter-setup', { type: 'members', display: 'category' }));
+    const category = guild.channels.cache.get(bot.counterConfigs.get(guild.id)[0].channelId);
+    assert.deepStrictEqual(category.permissionOverwrites.list, []);
+    
+    await client.emit('interactionCreate', createFakeInteraction(guild, 'counter-access', { access: 'view', role: membersRole }));
+    const overwrites = category.permissionOverwrites.list;
+    assert.deepStrictEqual(overwrites.map(o => o.id), [guild.roles.everyone, membersRole.id, guild.members.me.id]);
+    assert.deepStrictEqual(overwrites[0].deny, [PermissionFlagsBits.ViewChannel]);
+    
+    await client.emit('interactionCreate', createFakeInteraction(guild, 'counter-access', { access: 'view', clear: true }));
+    assert.deepStrictEqual(category.permissionOverwrites.list, []);
+});
+
+test('counter-access validates its options and needs Administrator', async (t) => {
+    const { bot, client } = await createTestBot();
+    t.after(() => bot.destroy());
+    const guild = createFakeGuild(client, { roles: ['Members'] });
+    
+    const notAdmin = createFakeInteraction(guild, 'counter-access', { access: 'reset', role: findRole(guild, 'Members') }, { permitted: false });
+    await client.emit('interactionCreate', notAdmin);
+    assert.match(notAdmin.replies[0].content, /Administrator/);
+    
+    const cases = [
+        [{ role: findRole(guild, 'Members') }, /Pick which `access`/],
+        [{ access: 'manage' }, /Pick a `role`/],
+        [{ access: 'manage', role: guild.roles.everyone }, /other than @everyone/]
+    ];
+    for (const [options, expected] of cases) {
+        const interaction = createFakeInteraction(guild, 'counter-access', options);
+        await client.emit('interactionCreate', interaction);
+        assert.match(interaction.replies[0].content, expected);
+    }
+    
+    guild.members.me.permissions.denied.push(PermissionFlagsBits.ManageRoles);
+    const noManageRoles = createFakeInteraction(guild, 'counter-access', { access: 'view', role: findRole(guild, 'Members') });
+    await client.emit('interactionCreate', noManageRoles);
+    assert.match(noManageRoles.replies[0].content, /Manage Roles/);
+    
+    assert.deepStrictEqual(bot.getGuildSettings(guild.id).resetRoles, []);
+    assert.deepStrictEqual(bot.getGuildSettings(guild.id).viewRoles, []);
+});
+
+test('counter-access and missing access replies follow the server language', async (t) => {
+    const { bot, client } = await createTestBot();
+    t.after(() => bot.destroy());
+    const guild = createFakeGuild(client, { roles: ['Mitglieder'], preferredLocale: 'de' });
+    
+    const overview = createFakeInteraction(guild, 'counter-access');
+    await client.emit('interactionCreate', overview);
+    const [embed] = overview.replies[0].embeds;
+    assert.strictEqual(embed.title, '🔐 Zählerzugriff');
+    assert.deepStrictEqual(embed.fields.map(field => field.value), ['Nur Mitglieder mit "Kanäle verwalten"', 'Nur Mitglieder mit "Administrator"', 'Alle']);
+    
+    const edit = createFakeInteraction(guild, 'counter-edit', { counter: '1', type: 'bots' }, { permitted: false });
+    await client.emit('interactionCreate', edit);
+    assert.strictEqual(edit.replies[0].content, 'Du brauchst die Berechtigung "Kanäle verwalten" oder eine mit `/counter-access` erlaubte Rolle, um Zähler zu bearbeiten.');
+});
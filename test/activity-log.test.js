@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { formatDuration } = require('../src/activity-log');
+const { createTestBot, createFakeGuild, createFakeChannel, createFakeInteraction, addFakeMember } = require('./fixtures');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+async function setupLog() {
+    const { bot, client, storage } = await createTestBot();
+    const guild = createFakeGuild(client, { members: [{}, {}] });
+    const logChannel = createFakeChannel(guild, { name: 'member-log' });
+    
+    await client.emit('interactionCreate', createFakeInteraction(guild, 'counter-log', { channel: logChannel }));
+    
+    return { bot, client, storage, guild, logChannel };
+}
+
+test('formatDuration uses the two largest units', () => {
+    assert.strictEqual(formatDuration(30 * 1000), 'less than a minute');
+    assert.strictEqual(formatDuration(5 * MINUTE), '5 minutes');
+    assert.strictEqual(formatDuration(DAY + 3 * 60 * MINUTE + 5 * MINUTE), '1 day, 3 hours');
+    assert.strictEqual(formatDuration(400 * DAY), '1 year, 1 month');
+    assert.strictEqual(formatDuration(365 * DAY + 5 * DAY), '1 year');
+});
+
+test('counter-log stores the channel alongside the guild settings', async (t) => {
+    const { bot, storage, guild, logChannel } = await setupLog();
+    t.after(() => bot.destroy());
+    
+    assert.strictEqual(bot.getGuildSettings(guild.id).logChannelId, logChannel.id);
+    assert.strictEqual(storage.data.counterConfigs[guild.id].settings.logChannelId, logChannel.id);
+});
+
+test('joins and leaves are posted to the log channel', async (t) => {
+    const { bot, client, guild, logChannel } = await setupLog();
+    t.after(() => bot.destroy());
+    
+    const member = addFakeMember(guild, { accountAgeDays: 2 });
+    await client.emit('guildMemberAdd', member);
+    
+    const [join] = logChannel.sent[0].embeds;
+    assert.strictEqual(join.title, '📥 Member Joined');
+    assert.match(join.fields[0].value, /2 days/);
+    assert.match(join.fields[0].value, /New account/);
+    assert.strictEqual(join.fields[1].value, '#3');
+    
+    const veteran = addFakeMember(guild, { joinedDaysAgo: 45 });
+    guild.members.cache.delete(veteran.id);
+    await client.emit('guildMemberRemove', veteran);
+    
+    const [leave] = logChannel.sent[1].embeds;
+    assert.strictEqual(leave.title, '📤 Member Left');
+    assert.match(leave.fields[0].value, /1 month, 15 days/);
+});
+
+test('daily summaries report the last day of activity', async (t) => {
+    const { bot, client, guild, logChannel } = await setupLog();
+    t.after(() => bot.destroy());
+    
+    await client.emit('guildMemberAdd', addFakeMember(guild, {}));
+    await client.emit('guildMemberAdd', addFakeMember(guild, {}));
+    await bot.postDailySummaries();
+    
+    const summary = logChannel.sent[logChannel.sent.length - 1].embeds[0];
+    assert.strictEqual(summary.title, '📅 Daily Summary');
+    assert.strictEqual(summary.fields.find(field => field.name === '📥 Joins').value, '2');
+    assert.strictEqual(summary.fields.find(field => field.name === '📊 Net Change').value, '+2');
+});
+
+test('the activity log turns itself off when its channel is deleted', async (t) => {
+    const { bot, client, guild, logChannel } = await setupLog();
+    t.after(() => bot.destroy());
+    
+    await logChannel.delete();
+    await client.emit('guildMemberAdd', addFakeMember(guild, {}));
+    
+    assert.strictEqual(bot.getGuildSettings(guild.id).logChannelId, null);
+});
+
+test('counter-log disable stops posting', async (t) => {
+    const { bot, client, guild, logChannel } = await setupLog();
+    t.after(() => bot.destroy());
+    
+    await client.emit('interactionCreate', createFakeInteraction(guild, 'counter-log', { disable: true }));
+    await client.emit('guildMemberAdd', addFakeMember(guild, {}));
+    
+    assert.strictEqual(logChannel.sent.length, 0);
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { AUDIT_SCHEMA_VERSION } = require('../src/storage');
+const { createTestBot, createFakeGuild, createFakeInteraction, createFakeComponentInteraction } = require('./fixtures');
+
+test('setup, settings and reset commands are recorded with who ran them', async (t) => {
+    const { bot, client, storage } = await createTestBot();
+    t.after(() => bot.destroy());
+    const guild = createFakeGuild(client);
+    
+    await client.emit('interactionCreate', createFakeInteraction(guild, 'counter-setup', { type: 'members', category: 'Stats' }, { userId: 'alice' }));
+    await client.emit('interactionCreate', createFakeInteraction(guild, 'counter-settings', { 'auto-recreate': true }, { userId: 'bob' }));
+    const reset = createFakeInteraction(guild, 'counter-reset', {}, { userId: 'alice' });
+    await client.emit('interactionCreate', reset);
+    const [confirm] = reset.replies[0].components[0].toJSON().components;
+    await client.emit('interactionCreate', createFakeComponentInteraction(guild, confirm.custom_id, {}, { userId: 'alice' }));
+    
+    // Denied commands change nothing, so they aren't recorded
+    await client.emit('interactionCreate', createFakeInteraction(guild, 'counter-reset', {}, { userId: 'mallory', permitted: false }));
+    
+    const entries = bot.queryAudit(guild.id);
+    assert.deepStrictEqual(entries.map(entry => [entry.userId, entry.command]), [
+        ['alice', 'counter-reset'],
+        ['bob', 'counter-settings'],
+        ['alice', 'counter-setup']
+    ]);
+    assert.strictEqual(entries[1].summary, 'Changed autoRecreate to true');
+    assert.match(entries[2].summary, /`members` counter/);
+    
+    // Entries are saved as soon as they are recorded
+    assert.strictEqual(storage.audit.data.schemaVersion, AUDIT_SCHEMA_VERSION);
+    assert.strictEqual(storage.audit.data.guilds[guild.id].length, 3);
+});
+
+test('counter-audit filters by member and command, newest first', async (t) => {
+    const now = Date.now();
+    const entry = (time, userId, command) => ({ time, userId, userTag: `${userId}#0001`, command, summary: `${command} by ${userId}` });
+    const { bot, client } = await createTestBot();
+    t.after(() => bot.destroy());
+    const guild = createFakeGuild(client);
+    await bot.storage.audit.save({
+        schemaVersion: AUDIT_SCHEMA_VERSION,
+        guilds: {
+            [guild.id]: [
+                entry(now - 3000, 'alice', 'counter-setup'),
+                entry(now - 2000, 'bob', 'counter-edit'),
+                entry(now - 1000, 'alice', 'counter-edit')
+            ]
+        }
+    });
+    await bot.loadAudit();
+    
+    const byAlice = createFakeInteraction(guild, 'counter-audit', { user: { id: 'alice' } });
+    await client.emit('interactionCreate', byAlice);
+    const lines = byAlice.replies[0].embeds[0].description.split('\n');
+    assert.strictEqual(lines.length, 2);
+    assert.match(lines[0], /<@alice> `\/counter-edit` — counter-edit by alice/);
+    assert.match(lines[1], /counter-setup by alice/);
+    assert.strictEqual(byAlice.replies[0].ephemeral, true);
+    
+    assert.deepStrictEqual(bot.queryAudit(guild.id, { command: 'counter-edit', limit: 1 }).map(e => e.userId), ['alice']);
+    
+    const none = createFakeInteraction(guild, 'counter-audit', { command: 'counter-reset' });
+    await client.emit('interactionCreate', none);
+    assert.match(none.replies[0].embeds[0].description, /No changes recorded with `\/counter-reset`/);
+    
+    const denied = createFakeInteraction(guild, 'counter-audit', {}, { permitted: false });
+    await client.emit('interactionCreate', denied);
+    assert.match(denied.replies[0].content, /"Manage Channels" permission or a role allowed by `\/counter-access` to view the counter audit trail/);
+});
+
+test('counter-audit uses the guild language', async (t) => {
+    const { bot, client } = await createTestBot();
+    t.after(() => bot.destroy());
+    const guild = createFakeGuild(client);
+    await client.emit('interactionCreate', createFakeInteraction(guild, 'counter-settings', { language: 'de' }));
+    
+    const none = createFakeInteraction(guild, 'counter-audit', { command: 'counter-reset' });
+    await client.emit('interactionCreate', none);
+    const [embed] = none.replies[0].embeds;
+    assert.strictEqual(embed.title, '📜 Zähler-Änderungsprotokoll');
+    assert.strictEqual(embed.description, `In den letzten ${bot.settings.auditRetentionDays} Tagen wurden keine Änderungen mit \`/counter-reset\` aufgezeichnet.`);
+    assert.strictEqual(embed.footer.text, `Neueste zuerst • gefiltert • ${bot.settings.auditRetentionDays} Tage aufbewahrt`);
+    
+    const denied = createFakeInteraction(guild, 'counter-audit', {}, { permitted: false });
+    await client.emit('interactionCreate', denied);
+    assert.match(denied.replies[0].content, /um das Zähler-Änderungsprotokoll anzusehen/);
+});
+
+test('audit entries older than the retention period are pruned when new ones are recorded', async (t) => {
+    const { bot, client } = await createTestBot({ settings: { auditRetentionDays: 1 } });
+    t.after(() => bot.destroy());
+    const guild = createFakeGuild(client);
+    await bot.storage.audit.save({
+        schemaVersion: AUDIT_SCHEMA_VERSION,
+        guilds: {
+            [guild.id]: [{ time: Date.now() - 2 * 24 * 60 * 60 * 1000, userId: 'old', userTag: 'old#0001', command: 'counter-setup', summary: 'Old' }]
+        }
+    });
+    await bot.loadAudit();
+    
+    await client.emit('interactionCreate', createFakeInteraction(guild, 'counter-log', { 'daily-summary': false }));
+    
+    assert.deepStrictEqual(bot.queryAudit(guild.id).map(entry => entry.summary), ['Changed dailySummary to false']);
+});
@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ChannelType } = require('discord.js');
+const { createTestBot, createFakeGuild, createFakeInteraction, createFakeComponentInteraction, findRole } = require('./fixtures');
+
+async function setup() {
+    const { bot, client, storage } = await createTestBot();
+    const guild = createFakeGuild(client, {
+        roles: ['Moderator'],
+        members: [{ status: 'online' }, {}, { bot: true }]
+    });
+    
+    return { bot, client, storage, guild };
+}
+
+test('counter-setup creates a category and a named counter channel', async (t) => {
+    const { bot, client, storage, guild } = await setup();
+    t.after(() => bot.destroy());
+    
+    const interaction = createFakeInteraction(guild, 'counter-setup', { type: 'members', category: 'Server Stats' });
+    await client.emit('interactionCreate', interaction);
+    
+    const [config] = bot.counterConfigs.get(guild.id);
+    const channel = guild.channels.cache.get(config.channelId);
+    const category = guild.channels.cache.get(config.categoryId);
+    
+    assert.strictEqual(config.type, 'members');
+    assert.strictEqual(channel.name, 'Total Members: 2');
+    assert.strictEqual(channel.type, ChannelType.GuildVoice);
+    assert.strictEqual(category.name, 'Server Stats');
+    assert.strictEqual(category.type, ChannelType.GuildCategory);
+    assert.strictEqual(interaction.replies[0].embeds[0].title, '✅ Counter Setup Complete');
+    
+    // Saved right away
+    assert.strictEqual(storage.data.counterConfigs[guild.id].configs.length, 1);
+});
+
+test('counter-setup reuses an existing category', async (t) => {
+    const { bot, client, guild } = await setup();
+    t.after(() => bot.destroy());
+    
+    await client.emit('interactionCreate', createFakeInteraction(guild, 'counter-setup', { type: 'members', category: 'Stats' }));
+    await client.emit('interactionCreate', createFakeInteraction(guild, 'counter-setup', { type: 'bots', category: 'Stats' }));
+    
+    const [first, second] = bot.counterConfigs.get(guild.id);
+    assert.strictEqual(first.categoryId, second.categoryId);
+    assert.strictEqual(guild.channels.cache.get(second.channelId).name, 'Total Bots: 1');
+});
+
+test('counter-setup applies templates, role filters and goals', async (t) => {
+    const { bot, client, guild } = await setup();
+    t.after(() => bot.destroy());
+    
+    const role = findRole(guild, 'Moderator');
+    await client.emit('interactionCreate', createFakeInteraction(guild, 'counter-setup', {
+        type: 'role-filter',
+        category: 'Stats',
+        role: role,
+        template: '{label} ∙ {count}'
+    }));
+    await client.emit('interactionCreate', createFakeInteraction(guild, 'counter-setup', {
+        type: 'members',
+        category: 'Stats',
+        goal: 10
+    }));
+    
+    const [filtered, goal] = bot.counterConfigs.get(guild.id);
+    assert.deepStrictEqual(filtered.filter.roles, [role.id]);
+    assert.strictEqual(guild.channels.cache.get(filtered.channelId).name, 'Moderator ∙ 0');
+    assert.strictEqual(goal.goal.target, 10);
+    assert.strictEqual(guild.channels.cache.get(goal.channelId).name, 'Goal: 2 / 10');
+});
+
+test('counter-setup rejects invalid input without creating channels', async (t) => {
+    const { bot, client, guild } = await setup();
+    t.after(() => bot.destroy());
+    
+    const cases = [
+        createFakeInteraction(guild, 'counter-setup', { type: 'members', category: 'Stats' }, { permitted: false }),
+        createFakeInteraction(guild, 'counter-setup', { type: 'members', category: 'Stats', role: findRole(guild, 'Moderator') }),
+        createFakeInteraction(guild, 'counter-setup', { type: 'members', category: 'Stats', template: '{nope}' }),
+        createFakeInteraction(guild, 'counter-setup', { type: 'members', category: 'Stats', 'goal-step': 5 })
+    ];
+    
+    for (const interaction of cases) {
+        await client.emit('interactionCreate', interaction);
+        assert.strictEqual(interaction.replies[0].ephemeral, true);
+    }
+    
+    assert.strictEqual(bot.counterConfigs.has(guild.id), false);
+    assert.strictEqual(guild.channels.cache.size, 0);
+});
+
+test('counter-reset removes every counter channel and configuration once confirmed', async (t) => {
+    const { bot, client, storage, guild } = await setup();
+    t.after(() => bot.destroy());
+    
+    await client.emit('interactionCreate', createFakeInteraction(guild, 'counter-setup', { type: 'members', category: 'Stats' }));
+    const reset = createFakeInteraction(guild, 'counter-reset');
+    await client.emit('interactionCreate', reset);
+    
+    const [confirm, cancel] = reset.replies[0].components[0].toJSON().components;
+    assert.strictEqual(reset.replies[0].ephemeral, true);
+    assert.match(reset.replies[0].embeds[0].description, /all 1 counters/);
+    
+    const cancelled = createFakeComponentInteraction(guild, cancel.custom_id);
+    await client.emit('interactionCreate', cancelled);
+    assert.match(cancelled.replies[0].content, /Reset cancelled/);
+    assert.strictEqual(bot.counterConfigs.get(guild.id).length, 1);
+    
+    const expired = createFakeComponentInteraction(guild, 'counter-reset:confirm:1000');
+    await client.emit('interactionCreate', expired);
+    assert.match(expired.replies[0].content, /expired/);
+    assert.strictEqual(bot.counterConfigs.get(guild.id).length, 1);
+    
+    const confirmed = createFakeComponentInteraction(guild, confirm.custom_id);
+    await client.emit('interactionCreate', confirmed);
+    assert.deepStrictEqual(confirmed.replies[0].components, []);
+    
+    assert.strictEqual(bot.counterConfigs.has(guild.id), false);
+    assert.strictEqual(guild.channels.cache.filter(channel => channel.type === ChannelType.GuildVoice).size, 0);
+    assert.strictEqual(storage.data.counterConfigs[guild.id], undefined);
+});
+
+test('counter-list describes every counter type', async (t) => {
+    const { bot, client, guild } = await setup();
+    t.after(() => bot.destroy());
+    
+    const interaction = createFakeInteraction(guild, 'counter-list');
+    await client.emit('interactionCreate', interaction);
+    
+    const description = interaction.replies[0].embeds[0].description;
+    assert.match(description, /`members` - Total Members/);
+    assert.match(description, /`scheduled-events` - Upcoming Events/);
+});
+
+test('counter-status replies with an error embed when it fails', async (t) => {
+    const { bot, client, guild } = await setup();
+    t.after(() => bot.destroy());
+    await client.emit('interactionCreate', createFakeInteraction(guild, 'counter-setup', { type: 'members', category: 'Stats' }));
+    bot.counterStatus.get = () => {
+        throw new Error('Status unavailable');
+    };
+    
+    const interaction = createFakeInteraction(guild, 'counter-status');
+    await client.emit('interactionCreate', interaction);
+    
+    const [embed] = interaction.replies.at(-1).embeds;
+    assert.strictEqual(embed.title, '❌ Counter Status Unavailable');
+    assert.strictEqual(embed.description, 'An error occurred while reading the counters\' status.');
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ChannelType } = require('discord.js');
+const { COUNTER_TYPES } = require('../src/counter-types');
+const { buildRoleFilter } = require('../src/role-filter');
+const { createTestBot, createFakeGuild, createFakeChannel, addFakeMember, findRole } = require('./fixtures');
+
+test('counter types are loaded with member counters first', () => {
+    const keys = Object.keys(COUNTER_TYPES);
+    const firstServerType = keys.findIndex(key => COUNTER_TYPES[key].source !== 'members');
+    
+    assert.ok(keys.includes('members'));
+    assert.ok(keys.includes('scheduled-events'));
+    assert.ok(keys.slice(firstServerType).every(key => COUNTER_TYPES[key].source !== 'members'));
+    
+    for (const type of Object.values(COUNTER_TYPES)) {
+        assert.strictEqual(typeof type.label, 'string');
+        assert.strictEqual(typeof type.count, 'function');
+    }
+});
+
+test('member counters split humans and bots by presence', async (t) => {
+    const { bot, client } = await createTestBot();
+    t.after(() => bot.destroy());
+    
+    const guild = createFakeGuild(client, {
+        roles: ['Moderator'],
+        members: [
+            { status: 'online' },
+            { status: 'idle' },
+            { status: 'offline' },
+            { bot: true, status: 'online' }
+        ]
+    });
+    addFakeMember(guild, { roles: [findRole(guild, 'Moderator').id] });
+    
+    assert.strictEqual(await bot.getCountForType(guild, 'members'), 4);
+    assert.strictEqual(await bot.getCountForType(guild, 'bots'), 1);
+    assert.strictEqual(await bot.getCountForType(guild, 'roles'), 1);
+    assert.strictEqual(await bot.getCountForType(guild, 'online-members'), 2);
+    assert.strictEqual(await bot.getCountForType(guild, 'offline-members'), 2);
+    assert.strictEqual(await bot.getCountForType(guild, 'online-bots'), 1);
+    assert.strictEqual(await bot.getCountForType(guild, 'offline-bots'), 0);
+});
+
+test('member counters follow join and leave events', async (t) => {
+    const { bot, client } = await createTestBot();
+    t.after(() => bot.destroy());
+    
+    const guild = createFakeGuild(client, { members: [{}, {}] });
+    assert.strictEqual(await bot.getCountForType(guild, 'members'), 2);
+    
+    const member = addFakeMember(guild, {});
+    await client.emit('guildMemberAdd', member);
+    assert.strictEqual(await bot.getCountForType(guild, 'members'), 3);
+    
+    guild.members.cache.delete(member.id);
+    await client.emit('guildMemberRemove', member);
+    assert.strictEqual(await bot.getCountForType(guild, 'members'), 2);
+});
+
+test('role filter counters match configured roles', async (t) => {
+    const { bot, client } = await createTestBot();
+    t.after(() => bot.destroy());
+    
+    const guild = createFakeGuild(client, { roles: ['Moderator', 'Admin'] });
+    const moderator = findRole(guild, 'Moderator');
+    const admin = findRole(guild, 'Admin');
+    addFakeMember(guild, { roles: [moderator.id], status: 'online' });
+    addFakeMember(guild, { roles: [moderator.id, admin.id] });
+    addFakeMember(guild, { roles: [admin.id], status: 'online' });
+    addFakeMember(guild, {});
+    
+    const count = (filter) => bot.getCountForType(guild, 'role-filter', filter);
+    
+    assert.strictEqual(await count(buildRoleFilter([moderator, admin], 'any')), 3);
+    assert.strictEqual(await count(buildRoleFilter([moderator, admin], 'all')), 1);
+    assert.strictEqual(await count(buildRoleFilter([moderator], 'none')), 2);
+    assert.strictEqual(await count(buildRoleFilter([moderator, admin], 'any', 'exclude', 'online')), 2);
+    assert.strictEqual(await count(null), 0);
+});
+
+test('server counters read the guild caches', async (t) => {
+    const { bot, client } = await createTestBot();
+    t.after(() => bot.destroy());
+    
+    const guild = createFakeGuild(client, { roles: ['One', 'Two'] });
+    createFakeChannel(guild, { name: 'general' });
+    createFakeChannel(guild, { name: 'news', type: ChannelType.GuildAnnouncement });
+    createFakeChannel(guild, { name: 'Lounge', type: ChannelType.GuildVoice });
+    guild.premiumSubscriptionCount = 7;
+    guild.premiumTier = 2;
+    
+    assert.strictEqual(await bot.getCountForType(guild, 'text-channels'), 2);
+    assert.strictEqual(await bot.getCountForType(guild, 'voice-channels'), 1);
+    assert.strictEqual(await bot.getCountForType(guild, 'role-count'), 2);
+    assert.strictEqual(await bot.getCountForType(guild, 'boosts'), 7);
+    assert.strictEqual(await bot.getCountForType(guild, 'boost-tier'), 2);
+    assert.strictEqual(await bot.getCountForType(guild, 'unknown-type'), 0);
+});
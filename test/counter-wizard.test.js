@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ChannelType } = require('discord.js');
+const { createTestBot, createFakeGuild, createFakeInteraction, createFakeComponentInteraction } = require('./fixtures');
+
+// Interact with the wizard message the way Discord does: each choice arrives with the message it was made on
+async function choose(client, guild, message, customId, values = [], access = {}) {
+    const interaction = createFakeComponentInteraction(guild, customId, { values, message }, access);
+    await client.emit('interactionCreate', interaction);
+    return interaction;
+}
+
+test('the wizard creates the picked counters in an existing category', async (t) => {
+    const { bot, client, storage } = await createTestBot();
+    t.after(() => bot.destroy());
+    const guild = createFakeGuild(client, { members: [{}, { bot: true }] });
+    const category = await guild.channels.create({ name: 'Stats', type: ChannelType.GuildCategory });
+    
+    const start = createFakeInteraction(guild, 'counter-wizard');
+    await client.emit('interactionCreate', start);
+    assert.strictEqual(start.replies[0].ephemeral, true);
+    
+    const options = start.replies[0].components[0].toJSON().components[0].options.map(option => option.value);
+    assert.ok(options.includes('members'));
+    assert.ok(!options.includes('role-filter'));
+    assert.strictEqual(start.replies[0].components[2].toJSON().components[0].disabled, true);
+    
+    // Each step keeps the choices made on the other menu
+    const types = await choose(client, guild, start.replies[0], 'counter-wizard:types', ['members', 'bots']);
+    const picked = await choose(client, guild, types.replies[0], 'counter-wizard:category', [category.id]);
+    assert.match(picked.replies[0].embeds[0].fields[0].value, /Total Members/);
+    assert.strictEqual(picked.replies[0].embeds[0].fields[1].value, `<#${category.id}>`);
+    
+    const created = await choose(client, guild, picked.replies[0], 'counter-wizard:create');
+    assert.deepStrictEqual(created.replies[0].components, []);
+    
+    const configs = bot.counterConfigs.get(guild.id);
+    assert.deepStrictEqual(configs.map(config => [config.type, config.categoryId]), [['members', category.id], ['bots', category.id]]);
+    assert.strictEqual(guild.channels.cache.get(configs[0].channelId).name, 'Total Members: 1');
+    assert.strictEqual(storage.data.counterConfigs[guild.id].configs.length, 2);
+    assert.strictEqual(bot.queryAudit(guild.id)[0].command, 'counter-wizard');
+    
+    // Only one category named "Stats" exists; nothing was created by name
+    assert.strictEqual(guild.channels.cache.filter(channel => channel.type === ChannelType.GuildCategory).size, 1);
+});
+
+test('the wizard uses a new category by default and can be cancelled', async (t) => {
+    const { bot, client } = await createTestBot();
+    t.after(() => bot.destroy());
+    const guild = createFakeGuild(client);
+    
+    const start = createFakeInteraction(guild, 'counter-wizard');
+    await client.emit('interactionCreate', start);
+    const cancelled = await choose(client, guild, start.replies[0], 'counter-wizard:cancel');
+    assert.match(cancelled.replies[0].content, /Setup cancelled/);
+    
+    const types = await choose(client, guild, start.replies[0], 'counter-wizard:types', ['boosts']);
+    await choose(client, guild, types.replies[0], 'counter-wizard:create');
+    
+    const [config] = bot.counterConfigs.get(guild.id);
+    assert.strictEqual(config.categoryName, '📊 Server Stats');
+});
+
+test('the wizard checks access when it opens and when it creates counters', async (t) => {
+    const { bot, client } = await createTestBot();
+    t.after(() => bot.destroy());
+    const guild = createFakeGuild(client);
+    
+    // The welcome message's button opens the wizard for whoever clicks it
+    const denied = await choose(client, guild, {}, 'counter-wizard:start', [], { permitted: false });
+    assert.match(denied.replies[0].content, /Manage Channels/);
+    
+    const start = await choose(client, guild, {}, 'counter-wizard:start');
+    const types = await choose(client, guild, start.replies[0], 'counter-wizard:types', ['members']);
+    const create = await choose(client, guild, types.replies[0], 'counter-wizard:create', [], { permitted: false });
+    assert.match(create.replies[0].content, /Manage Channels/);
+    assert.strictEqual(bot.counterConfigs.has(guild.id), false);
+});
@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PermissionFlagsBits } = require('discord.js');
+const { diagnoseGuild } = require('../src/diagnostics');
+const { RENAME_LIMIT } = require('../src/scheduler');
+const { createTestBot, createFakeGuild, createFakeInteraction, addFakeMember, findRole } = require('./fixtures');
+
+async function setupCounters(options = {}, counters = [{ type: 'members', category: 'Stats' }]) {
+    const { bot, client } = await createTestBot(options);
+    const guild = createFakeGuild(client, { members: [{ status: 'online' }, {}] });
+    
+    for (const counter of counters) {
+        await client.emit('interactionCreate', createFakeInteraction(guild, 'counter-setup', counter));
+    }
+    
+    return { bot, client, guild, configs: bot.counterConfigs.get(guild.id) };
+}
+
+const problems = (sections) => sections.flatMap(section => section.findings.map(finding => finding.problem));
+
+test('counter-doctor reports a healthy setup', async (t) => {
+    const { bot, client, guild } = await setupCounters();
+    t.after(() => bot.destroy());
+    
+    const interaction = createFakeInteraction(guild, 'counter-doctor');
+    await client.emit('interactionCreate', interaction);
+    
+    const [embed] = interaction.replies[0].embeds;
+    assert.strictEqual(embed.title, '🩺 Counter Diagnostics');
+    assert.match(embed.description, /Everything looks good/);
+    assert.ok(embed.fields.every(field => field.value === '✅ No problems found'));
+});
+
+test('missing intents are reported for the counters that need them', async (t) => {
+    const { bot, guild } = await setupCounters({ settings: { intents: ['Guilds'] } }, [
+        { type: 'online-members', category: 'Stats' },
+        { type: 'voice-members', category: 'Stats' },
+        { type: 'roles', category: 'Stats' }
+    ]);
+    t.after(() => bot.destroy());
+    
+    const [intents] = await diagnoseGuild(bot, guild);
+    assert.deepStrictEqual(intents.findings.map(f => f.problem.match(/`(\w+)`/)[1]), ['GuildMembers', 'GuildVoiceStates', 'GuildPresences']);
+    assert.match(intents.findings[0].fix, /Server Members Intent in the Discord Developer Portal/);
+});
+
+test('privileged intents not granted to the application are reported', async (t) => {
+    const { bot, client, guild } = await setupCounters({}, [{ type: 'online-members', category: 'Stats' }]);
+    t.after(() => bot.destroy());
+    client.application = { flags: { has: () => false } };
+    
+    const [intents] = await diagnoseGuild(bot, guild);
+    assert.deepStrictEqual(intents.findings.map(f => f.problem), [
+        'The Server Members Intent is not granted to this application.',
+        'The Presence Intent is not granted to this application.'
+    ]);
+});
+
+test('missing permissions, deleted channels and rename limits are reported with fixes', async (t) => {
+    const { bot, client, guild, configs } = await setupCounters({}, [
+        { type: 'members', category: 'Stats' },
+        { type: 'bots', category: 'Stats' }
+    ]);
+    t.after(() => bot.destroy());
+    
+    guild.members.me.permissions.denied.push(PermissionFlagsBits.Connect);
+    const [members, bots] = configs.map(config => guild.channels.cache.get(config.channelId));
+    members.deniedPermissions.push(PermissionFlagsBits.ManageChannels);
+    await bots.delete();
+    
+    for (let i = 0; i < RENAME_LIMIT; i++) {
+        await client.emit('guildMemberAdd', addFakeMember(guild, {}));
+        await bot.runCounterUpdate(members.id);
+    }
+    
+    const sections = await diagnoseGuild(bot, guild);
+    assert.deepStrictEqual(problems(sections.slice(1, 3)), [
+        'The bot is missing "Connect" in this server, so it can\'t create or rename counter channels.',
+        `**Total Members** (<#${members.id}>): missing "Manage Channels".`,
+        '**Total Bots** (Deleted channel): the channel was deleted.'
+    ]);
+    assert.match(sections[2].findings[1].fix, /auto-recreate/);
+    assert.match(sections[3].findings[0].problem, /used 2\/2 renames, next rename <t:\d+:R>/);
+});
+
+test('time counters using their rename slots on schedule are not flagged', async (t) => {
+    const { bot, guild, configs } = await setupCounters({}, [
+        { type: 'clock', category: 'Stats' },
+        { type: 'members', category: 'Stats' }
+    ]);
+    t.after(() => bot.destroy());
+    
+    for (const config of configs) {
+        const channel = guild.channels.cache.get(config.channelId);
+        for (let i = 0; i < RENAME_LIMIT; i++) {
+            channel.name = `Stale ${i}`;
+            bot.scheduleCounterUpdate(guild.id, config.channelId, 'test', 0);
+            await bot.runCounterUpdate(config.channelId);
+        }
+    }
+    
+    const sections = await diagnoseGuild(bot, guild);
+    assert.deepStrictEqual(sections[3].findings.map(finding => finding.problem.match(/^\*\*(.+?)\*\*/)[1]), ['Total Members']);
+});
+
+test('category permissions are reported once per category', async (t) => {
+    const { bot, client } = await createTestBot();
+    t.after(() => bot.destroy());
+    const guild = createFakeGuild(client, { roles: ['Members'] });
+    
+    await client.emit('interactionCreate', createFakeInteraction(guild, 'counter-setup', { type: 'members', category: 'Stats' }));
+    await client.emit('interactionCreate', createFakeInteraction(guild, 'counter-setup', { type: 'bots', category: 'Stats' }));
+    await client.emit('interactionCreate', createFakeInteraction(guild, 'counter-access', { access: 'view', role: findRole(guild, 'Members') }));
+    
+    const [config] = bot.counterConfigs.get(guild.id);
+    const category = guild.channels.cache.get(config.categoryId);
+    category.deniedPermissions.push(PermissionFlagsBits.ManageRoles);
+    
+    const sections = await diagnoseGuild(bot, guild);
+    assert.deepStrictEqual(problems(sections.slice(1, 3)), [
+        'The category **Stats**: missing "Manage Roles", so its counters can\'t be recreated or have their access changed.'
+    ]);
+    
+    category.deniedPermissions.length = 0;
+    assert.deepStrictEqual(problems((await diagnoseGuild(bot, guild)).slice(1, 3)), []);
+});
+
+test('the diagnostics report uses the guild language', async (t) => {
+    const { bot, client, guild, configs } = await setupCounters();
+    t.after(() => bot.destroy());
+    await client.emit('interactionCreate', createFakeInteraction(guild, 'counter-settings', { language: 'de' }));
+    
+    guild.members.me.permissions.denied.push(PermissionFlagsBits.Connect);
+    guild.channels.cache.get(configs[0].channelId).deniedPermissions.push(PermissionFlagsBits.ManageChannels);
+    
+    const interaction = createFakeInteraction(guild, 'counter-doctor');
+    await client.emit('interactionCreate', interaction);
+    
+    const [embed] = interaction.replies[0].embeds;
+    assert.strictEqual(embed.title, '🩺 Zählerdiagnose');
+    assert.strictEqual(embed.description, '2 Probleme und 0 Warnungen gefunden. Unter jedem Eintrag steht, wie du ihn behebst.');
+    assert.deepStrictEqual(embed.fields.map(field => field.name), ['🔌 Gateway-Intents', '🛡️ Serverberechtigungen', '📊 Zähler', '⏳ Umbenennungslimits']);
+    assert.match(embed.fields[1].value, /Dem Bot fehlt auf diesem Server "Verbinden"/);
+    assert.match(embed.fields[2].value, /\*\*Mitglieder\*\* \(<#\d+>\): "Kanäle verwalten" fehlt\./);
+    assert.strictEqual(embed.footer.text, '1 Zähler geprüft');
+});
+
+test('counter-doctor is limited to members who can manage channels', async (t) => {
+    const { bot, client, guild } = await setupCounters();
+    t.after(() => bot.destroy());
+    
+    const interaction = createFakeInteraction(guild, 'counter-doctor', {}, { permitted: false });
+    await client.emit('interactionCreate', interaction);
+    
+    assert.match(interaction.replies[0].content, /Manage Channels/);
+});
@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ChannelType, PermissionFlagsBits } = require('discord.js');
+const { getDisplayMode } = require('../src/display-modes');
+const { createTestBot, createFakeGuild, createFakeChannel, createFakeInteraction, addFakeMember } = require('./fixtures');
+
+async function setupPanel(counters = [{ type: 'members' }]) {
+    const { bot, client, storage } = await createTestBot();
+    const guild = createFakeGuild(client, { members: [{}, {}, { bot: true }] });
+    const panelChannel = createFakeChannel(guild, { name: 'stats' });
+    
+    for (const options of counters) {
+        await client.emit('interactionCreate', createFakeInteraction(guild, 'counter-setup', {
+            ...options,
+            display: 'panel',
+            'panel-channel': panelChannel
+        }));
+    }
+    
+    return { bot, client, storage, guild, panelChannel };
+}
+
+test('category display renames a category instead of a voice channel', async (t) => {
+    const { bot, client } = await createTestBot();
+    t.after(() => bot.destroy());
+    const guild = createFakeGuild(client, { members: [{}, {}] });
+    
+    await client.emit('interactionCreate', createFakeInteraction(guild, 'counter-setup', { type: 'members', display: 'category' }));
+    
+    const [config] = bot.counterConfigs.get(guild.id);
+    const category = guild.channels.cache.get(config.channelId);
+    assert.strictEqual(config.display, 'category');
+    assert.strictEqual(category.type, ChannelType.GuildCategory);
+    assert.strictEqual(category.name, 'Total Members: 2');
+    assert.strictEqual(guild.channels.cache.size, 1);
+    
+    await client.emit('guildMemberAdd', addFakeMember(guild, {}));
+    await bot.runCounterUpdate(config.channelId);
+    assert.strictEqual(category.name, 'Total Members: 3');
+});
+
+test('panel counters share one pinned message that is edited in place', async (t) => {
+    const { bot, client, storage, guild, panelChannel } = await setupPanel([{ type: 'members' }, { type: 'bots' }]);
+    t.after(() => bot.destroy());
+    
+    await bot.updatePanel(guild);
+    
+    const { panel } = bot.getGuildSettings(guild.id);
+    const message = panelChannel.messages.cache.get(panel.messageId);
+    assert.strictEqual(panelChannel.sent.length, 1);
+    assert.strictEqual(message.pinned, true);
+    assert.strictEqual(message.embeds[0].title, '📊 Test Server Statistics');
+    assert.deepStrictEqual(message.embeds[0].fields.map(f => [f.name, f.value]), [['Total Members', '2'], ['Total Bots', '1']]);
+    assert.deepStrictEqual(storage.data.counterConfigs[guild.id].settings.panel, panel);
+    
+    await client.emit('guildMemberAdd', addFakeMember(guild, {}));
+    const [config] = bot.counterConfigs.get(guild.id);
+    await bot.runCounterUpdate(config.channelId);
+    await bot.updatePanel(guild);
+    
+    assert.strictEqual(panelChannel.sent.length, 1);
+    assert.strictEqual(message.edits, 1);
+    assert.strictEqual(message.embeds[0].fields[0].value, '3');
+});
+
+test('a deleted panel message is posted again', async (t) => {
+    const { bot, guild, panelChannel } = await setupPanel();
+    t.after(() => bot.destroy());
+    
+    await bot.updatePanel(guild);
+    await panelChannel.messages.cache.first().delete();
+    await bot.updatePanel(guild);
+    
+    assert.strictEqual(panelChannel.sent.length, 2);
+    assert.strictEqual(panelChannel.messages.cache.size, 1);
+    assert.strictEqual(bot.getGuildSettings(guild.id).panel.messageId, panelChannel.messages.cache.first().id);
+});
+
+test('removing the last panel counter deletes the panel', async (t) => {
+    const { bot, client, guild, panelChannel } = await setupPanel();
+    t.after(() => bot.destroy());
+    
+    await bot.updatePanel(guild);
+    const [config] = bot.counterConfigs.get(guild.id);
+    await client.emit('interactionCreate', createFakeInteraction(guild, 'counter-remove', { counter: config.channelId }));
+    await bot.updatePanel(guild);
+    
+    assert.strictEqual(bot.counterConfigs.get(guild.id)?.length || 0, 0);
+    assert.strictEqual(panelChannel.messages.cache.size, 0);
+    assert.strictEqual(bot.getGuildSettings(guild.id).panel, null);
+    assert.ok(guild.channels.cache.has(panelChannel.id));
+});
+
+test('panel counters are pruned when the panel channel is deleted', async (t) => {
+    const { bot, guild, panelChannel } = await setupPanel();
+    t.after(() => bot.destroy());
+    bot.updateGuildSettings(guild.id, { autoRecreate: true });
+    
+    await panelChannel.delete();
+    await bot.healGuildCounters(guild);
+    await bot.updatePanel(guild);
+    
+    assert.strictEqual(bot.counterConfigs.get(guild.id)?.length || 0, 0);
+    assert.strictEqual(bot.getGuildSettings(guild.id).panel, null);
+});
+
+test('counter-setup validates options against the display mode', async (t) => {
+    const { bot, client } = await createTestBot();
+    t.after(() => bot.destroy());
+    const guild = createFakeGuild(client);
+    const textChannel = createFakeChannel(guild, { name: 'stats' });
+    
+    const cases = [
+        [{ type: 'members' }, /need a `category`/],
+        [{ type: 'members', display: 'category', category: 'Stats' }, /only applies to voice channel counters/],
+        [{ type: 'members', display: 'panel' }, /Pick a `panel-channel`/],
+        [{ type: 'members', category: 'Stats', 'panel-channel': textChannel }, /only applies to panel counters/]
+    ];
+    
+    for (const [options, expected] of cases) {
+        const interaction = createFakeInteraction(guild, 'counter-setup', options);
+        await client.emit('interactionCreate', interaction);
+        assert.match(interaction.replies[0].content, expected);
+    }
+    
+    assert.strictEqual(bot.counterConfigs.has(guild.id), false);
+    assert.strictEqual(guild.channels.cache.size, 1);
+});
+
+test('panel permission errors and deleted targets follow the server language', async (t) => {
+    const { bot, client } = await createTestBot();
+    t.after(() => bot.destroy());
+    const guild = createFakeGuild(client, { preferredLocale: 'de' });
+    const panelChannel = createFakeChannel(guild, { name: 'stats' });
+    panelChannel.deniedPermissions.push(PermissionFlagsBits.EmbedLinks);
+    
+    const refused = createFakeInteraction(guild, 'counter-setup', { type: 'members', display: 'panel', 'panel-channel': panelChannel });
+    await client.emit('interactionCreate', refused);
+    assert.strictEqual(refused.replies[0].content,
+        `Ich brauche die Berechtigungen "Kanal anzeigen", "Nachrichten senden", "Links einbetten" und "Nachrichtenverlauf anzeigen" in ${panelChannel}, um dort ein Statistik-Panel zu führen.`);
+    
+    panelChannel.deniedPermissions.length = 0;
+    await client.emit('interactionCreate', createFakeInteraction(guild, 'counter-setup', { type: 'members', display: 'panel', 'panel-channel': panelChannel }));
+    await client.emit('interactionCreate', createFakeInteraction(guild, 'counter-setup', { type: 'bots', display: 'category' }));
+    await client.emit('interactionCreate', createFakeInteraction(guild, 'counter-setup', { type: 'boosts', category: 'Stats' }));
+    const [panel, category, voice] = bot.counterConfigs.get(guild.id);
+    assert.strictEqual(getDisplayMode(panel).describeTarget(bot, guild, panel, true), `Panel in ${panelChannel}`);
+    
+    for (const config of [panel, category, voice]) {
+        await getDisplayMode(config).findChannel(bot, guild, config).delete();
+    }
+    assert.deepStrictEqual([panel, category, voice].map(config => getDisplayMode(config).describeTarget(bot, guild, config)),
+        ['Gelöschter Panel-Kanal', 'Gelöschte Kategorie', 'Gelöschter Kanal']);
+});
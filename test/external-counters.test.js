@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parsePushedValue, isExternalValueStale, getStaleChange, buildExternalSettings, matchesToken } = require('../src/external-counters');
+const { parseCounterImport, EXPORT_FORMAT, EXPORT_VERSION } = require('../src/presets');
+const { createTestBot, createFakeGuild, createFakeInteraction } = require('./fixtures');
+
+const MINUTE = 60 * 1000;
+
+// Set up an external counter and read its token from the private follow-up
+async function setupExternalCounter(t, options = {}) {
+    const { bot, client } = await createTestBot({ settings: { statusPort: 0, statusHost: '127.0.0.1' } });
+    t.after(() => bot.destroy());
+    const port = await bot.startStatusServer();
+    const guild = createFakeGuild(client);
+    
+    const interaction = createFakeInteraction(guild, 'counter-setup', { type: 'external', category: 'Stats', template: 'Players: {count}', ...options });
+    await client.emit('interactionCreate', interaction);
+    
+    const [config] = bot.counterConfigs.get(guild.id);
+    const followUp = interaction.replies.find(reply => reply.ephemeral);
+    const token = followUp.content.match(/Bearer (\S+)"/)[1];
+    const push = (body, pushToken = token, channelId = config.channelId) => fetch(`http://127.0.0.1:${port}/counters/${channelId}/value`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${pushToken}` },
+        body
+    });
+    
+    return { bot, client, guild, config, followUp, token, push };
+}
+
+test('pushed values are numbers, plain or as JSON', () => {
+    assert.strictEqual(parsePushedValue('1234\n'), 1234);
+    assert.strictEqual(parsePushedValue('-2.5'), -2.5);
+    assert.strictEqual(parsePushedValue('{"value": 42}'), 42);
+    assert.strictEqual(parsePushedValue('{"value": "42"}'), 42);
+    assert.strictEqual(parsePushedValue('1e400'), null);
+    assert.strictEqual(parsePushedValue('{"value": null}'), null);
+    assert.strictEqual(parsePushedValue('{oops'), null);
+    assert.strictEqual(parsePushedValue('many'), null);
+});
+
+test('external values go stale after their stale time', () => {
+    const now = Date.now();
+    const external = { staleMinutes: 30, pushedAt: now - 10 * MINUTE };
+    
+    assert.strictEqual(isExternalValueStale(external, now), false);
+    assert.strictEqual(getStaleChange(external, now), now + 20 * MINUTE);
+    assert.strictEqual(isExternalValueStale(external, now + 20 * MINUTE), true);
+    assert.strictEqual(getStaleChange(external, now + 20 * MINUTE), null);
+    assert.strictEqual(isExternalValueStale({ staleMinutes: 30, pushedAt: null }, now), true);
+});
+
+test('tokens are compared against the stored hash', () => {
+    const { token, external } = buildExternalSettings(15);
+    
+    assert.strictEqual(matchesToken(external, token), true);
+    assert.strictEqual(matchesToken(external, 'other-token'), false);
+    assert.strictEqual(matchesToken(external, undefined), false);
+    // A hash of the wrong length is a mismatch, not an error
+    assert.strictEqual(matchesToken({ ...external, tokenHash: external.tokenHash.slice(0, 10) }, token), false);
+});
+
+test('a pushed value renames the counter through the update queue', async (t) => {
+    const { bot, guild, config, followUp, token, push } = await setupExternalCounter(t, { 'stale-after': 15 });
+    
+    assert.match(followUp.content, new RegExp(`/counters/${config.channelId}/value`));
+    assert.strictEqual(config.external.staleMinutes, 15);
+    assert.notStrictEqual(config.external.tokenHash, token);
+    assert.strictEqual(guild.channels.cache.get(config.channelId).name, 'Players: 0 ⚠️');
+    
+    const response = await push('{"value": 87}');
+    assert.strictEqual(response.status, 202);
+    assert.strictEqual((await response.json()).value, 87);
+    assert.deepStrictEqual([...bot.getPendingUpdate(config.channelId).reasons], ['external']);
+    
+    await bot.runCounterUpdate(config.channelId);
+    assert.strictEqual(guild.channels.cache.get(config.channelId).name, 'Players: 87');
+    
+    // The next update is when the value goes stale
+    const pending = bot.getPendingUpdate(config.channelId);
+    assert.ok(Math.abs(pending.dueAt - (config.external.pushedAt + 15 * MINUTE)) < 1000);
+});
+
+test('pushes need the counter\'s own token and a number', async (t) => {
+    const { bot, config, push } = await setupExternalCounter(t);
+    
+    assert.strictEqual((await push('5', 'wrong-token')).status, 401);
+    assert.strictEqual((await push('5', '')).status, 401);
+    assert.strictEqual((await push('5', undefined, '123')).status, 401);
+    assert.strictEqual((await push('five')).status, 400);
+    assert.strictEqual((await push('1'.repeat(2000))).status, 413);
+    assert.strictEqual(config.external.value, null);
+    assert.strictEqual(bot.getPendingUpdate(config.channelId), null);
+});
+
+test('a new token replaces the old one', async (t) => {
+    const { bot, client, guild, config, push } = await setupExternalCounter(t);
+    
+    const interaction = createFakeInteraction(guild, 'counter-edit', { counter: config.channelId, 'new-token': true });
+    await client.emit('interactionCreate', interaction);
+    const newToken = interaction.replies.find(reply => reply.ephemeral).content.match(/Bearer (\S+)"/)[1];
+    
+    assert.strictEqual((await push('5')).status, 401);
+    assert.strictEqual((await push('5', newToken)).status, 202);
+    assert.strictEqual(bot.findCounterConfig(guild.id, config.channelId).external.value, 5);
+    
+    const other = createFakeInteraction(guild, 'counter-setup', { type: 'members', category: 'Stats', 'stale-after': 5 });
+    await client.emit('interactionCreate', other);
+    assert.match(other.replies[0].content, /only applies to the `external` counter type/);
+});
+
+test('external counters are listed without their token and can\'t be imported', async (t) => {
+    const { bot, guild } = await setupExternalCounter(t);
+    const url = bot.getStatusServerUrl();
+    
+    const body = await (await fetch(`${url}/counters`)).json();
+    const [counter] = body.guilds[guild.id].counters;
+    assert.strictEqual(counter.type, 'external');
+    assert.strictEqual(counter.external.tokenHash, undefined);
+    assert.strictEqual(counter.external.staleMinutes, 60);
+    
+    const { error } = parseCounterImport({
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        categories: [{ name: 'Stats', counters: [{ type: 'external' }] }]
+    }, guild);
+    assert.match(error, /External counters can't be imported/);
+});
@@ -0,0 +1,359 @@
+const { Collection, ChannelType, PermissionFlagsBits } = require('discord.js');
+const { SETTING_DEFINITIONS } = require('../src/settings');
+const { createBot } = require('../src/bot');
+
+// Minimal stand-ins for the discord.js structures the bot reads
+// Only what the commands, counter types and scheduler touch is implemented
+let nextId = 1000;
+const snowflake = () => String(nextId++);
+
+function createFakeClient() {
+    const handlers = new Map();
+    
+    return {
+        user: { id: 'client-user', tag: 'Counter#0001' },
+        guilds: {
+            cache: new Collection(),
+            // The guild endpoint, with approximate counts that include bots
+            async fetch({ guild: guildId }) {
+                const guild = this.cache.get(guildId);
+                guild.approximateMemberCount = guild.members.cache.size;
+                guild.approximatePresenceCount = guild.members.cache.filter(member => member.presence?.status !== 'offline').size;
+                return guild;
+            }
+        },
+        rest: { on: () => {} },
+        ws: { status: 0, ping: 42 }, // Status.Ready
+        on(event, handler) {
+            handlers.set(event, [...(handlers.get(event) || []), handler]);
+        },
+        once(event, handler) {
+            this.on(event, handler);
+        },
+        async emit(event, ...args) {
+            for (const handler of handlers.get(event) || []) {
+                await handler(...args);
+            }
+        },
+        async destroy() {}
+    };
+}
+
+// Permissions with everything allowed except the flags in denied, which tests may push to
+function createFakePermissions(denied = []) {
+    const names = new Map(Object.entries(PermissionFlagsBits).map(([name, flag]) => [flag, name]));
+    return {
+        denied,
+        has(permissions) {
+            return [].concat(permissions).every(flag => !this.denied.includes(flag));
+        },
+        missing(permissions) {
+            return [].concat(permissions).filter(flag => this.denied.includes(flag)).map(flag => names.get(flag));
+        }
+    };
+}
+
+function createFakeMessage(channel, { embeds = [] }) {
+    const message = {
+        id: snowflake(),
+        channel,
+        embeds,
+        pinned: false,
+        edits: 0,
+        async edit(update) {
+            this.embeds = update.embeds;
+            this.edits++;
+            return this;
+        },
+        async pin() {
+            this.pinned = true;
+            return this;
+        },
+        async delete() {
+            channel.messages.cache.delete(this.id);
+        }
+    };
+    channel.messages.cache.set(message.id, message);
+    return message;
+}
+
+function createFakeChannel(guild, { name, type = ChannelType.GuildText, parent = null, position = guild.channels.cache.size, permissionOverwrites = [] }) {
+    const channel = {
+        id: snowflake(),
+        guild,
+        name,
+        type,
+        parentId: parent,
+        position,
+        renames: [],
+        permissionOverwrites: {
+            list: permissionOverwrites,
+            async set(overwrites) {
+                this.list = overwrites;
+            }
+        },
+        toString() {
+            return `<#${this.id}>`;
+        },
+        get parent() {
+            return guild.channels.cache.get(this.parentId) || null;
+        },
+        get children() {
+            return { cache: guild.channels.cache.filter(child => child.parentId === this.id) };
+        },
+        async setName(newName) {
+            this.renames.push(newName);
+            this.name = newName;
+            return this;
+        },
+        async setParent(parentId) {
+            this.parentId = parentId;
+            return this;
+        },
+        async delete() {
+            guild.channels.cache.delete(this.id);
+        },
+        deniedPermissions: [],
+        permissionsFor() {
+            return createFakePermissions(this.deniedPermissions);
+        },
+        sent: [],
+        messages: {
+            cache: new Collection(),
+            async fetch(id) {
+                const message = this.cache.get(id);
+                if (!message) {
+                    throw Object.assign(new Error('Unknown Message'), { code: 10008 });
+                }
+                return message;
+            }
+        },
+        async send(message) {
+            this.sent.push(message);
+            return createFakeMessage(this, message);
+        }
+    };
+    guild.channels.cache.set(channel.id, channel);
+    return channel;
+}
+
+// members: [{ bot, status, roles: [roleId] }]
+function createFakeGuild(client, { name = 'Test Server', members = [], roles = [], preferredLocale = 'en-US' } = {}) {
+    const guild = {
+        id: snowflake(),
+        name,
+        available: true,
+        preferredLocale,
+        premiumSubscriptionCount: 0,
+        premiumTier: 0,
+        createdTimestamp: Date.now(),
+        channels: {
+            cache: new Collection(),
+            async create({ name, type, parent, position, permissionOverwrites }) {
+                return createFakeChannel(guild, { name, type, parent, position, permissionOverwrites });
+            }
+        },
+        roles: { cache: new Collection() },
+        get memberCount() {
+            return this.members.cache.size;
+        },
+        members: {
+            cache: new Collection(),
+            async fetch() {
+                return this.cache;
+            }
+        },
+        voiceStates: { cache: new Collection() },
+        emojis: { cache: new Collection() },
+        stickers: { cache: new Collection() },
+        scheduledEvents: { cache: new Collection() }
+    };
+    
+    guild.roles.everyone = { id: guild.id, name: '@everyone', position: 0, toString: () => '@everyone' };
+    guild.roles.cache.set(guild.id, guild.roles.everyone);
+    for (const [index, roleName] of roles.entries()) {
+        const role = { id: snowflake(), name: roleName, position: index + 1 };
+        role.toString = () => `<@&${role.id}>`;
+        guild.roles.cache.set(role.id, role);
+    }
+    
+    for (const member of members) {
+        addFakeMember(guild, member);
+    }
+    
+    // The bot's own role sits above the roles the test made; tests may lower it
+    guild.members.me = createFakeMember(guild, { bot: true, status: 'online' });
+    const botRole = { id: snowflake(), name: 'Counter', position: roles.length + 1, toString: () => `<@&${botRole.id}>` };
+    guild.members.me.roles.cache.set(botRole.id, botRole);
+    
+    client.guilds.cache.set(guild.id, guild);
+    return guild;
+}
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function createFakeMember(guild, { bot = false, status = 'offline', roles = [], accountAgeDays = 365, joinedDaysAgo = 0 } = {}) {
+    const id = snowflake();
+    const roleCache = new Collection([[guild.id, guild.roles.everyone]]);
+    for (const roleId of roles) {
+        roleCache.set(roleId, guild.roles.cache.get(roleId));
+    }
+    
+    return {
+        id,
+        guild,
+        user: {
+            id,
+            bot,
+            tag: `user${id}`,
+            createdTimestamp: Date.now() - accountAgeDays * DAY,
+            displayAvatarURL: () => `https://cdn.example.com/avatars/${id}.png`
+        },
+        joinedTimestamp: Date.now() - joinedDaysAgo * DAY,
+        toString: () => `<@${id}>`,
+        roles: {
+            cache: roleCache,
+            get highest() {
+                return roleCache.reduce((top, role) => role.position > top.position ? role : top);
+            }
+        },
+        presence: { status },
+        permissions: createFakePermissions()
+    };
+}
+
+function addFakeMember(guild, options) {
+    const member = createFakeMember(guild, options);
+    guild.members.cache.set(member.id, member);
+    return member;
+}
+
+function findRole(guild, name) {
+    return guild.roles.cache.find(role => role.name === name);
+}
+
+// options: values returned by interaction.options getters, keyed by option name
+function createFakeInteraction(guild, commandName, options = {}, { permitted = true, roles = [], userId = 'admin-user' } = {}) {
+    const get = (name) => options[name] ?? null;
+    
+    return {
+        commandName,
+        guild,
+        user: { id: userId, tag: `${userId}#0001` },
+        member: {
+            permissions: { has: () => permitted },
+            roles: { cache: new Collection(roles.map(roleId => [roleId, guild.roles.cache.get(roleId)])) }
+        },
+        replies: [],
+        isAutocomplete: () => false,
+        isChatInputCommand: () => true,
+        isMessageComponent: () => false,
+        options: {
+            getString: get,
+            getInteger: get,
+            getBoolean: get,
+            getRole: get,
+            getUser: get,
+            getChannel: get,
+            getAttachment: get,
+            getFocused: () => options.focused || ''
+        },
+        async reply(response) {
+            this.replies.push(response);
+        },
+        async deferReply() {
+            this.deferred = true;
+        },
+        async editReply(response) {
+            this.replies.push(response);
+        },
+        async followUp(response) {
+            this.replies.push(response);
+        },
+        async respond(choices) {
+            this.replies.push(choices);
+        }
+    };
+}
+
+// A click on a button or a choice in a select menu of a message the bot sent
+// message is the response that carried the components, values the chosen options
+function createFakeComponentInteraction(guild, customId, { values = [], message = {} } = {}, access = {}) {
+    const interaction = createFakeInteraction(guild, undefined, {}, access);
+    
+    return {
+        ...interaction,
+        customId,
+        values,
+        message: {
+            components: message.components || []
+        },
+        isChatInputCommand: () => false,
+        isMessageComponent: () => true,
+        async update(response) {
+            this.replies.push(response);
+        },
+        async deferUpdate() {
+            this.deferred = true;
+        }
+    };
+}
+
+// In-memory storage backend
+function createMemoryStore(initial = null) {
+    return {
+        name: 'memory',
+        data: initial,
+        async load() {
+            return this.data;
+        },
+        async save(data) {
+            this.data = JSON.parse(JSON.stringify(data));
+        }
+    };
+}
+
+function createMemoryStorage(initial = null, initialHistory = null, initialAudit = null) {
+    return {
+        ...createMemoryStore(initial),
+        history: createMemoryStore(initialHistory),
+        audit: createMemoryStore(initialAudit)
+    };
+}
+
+const TEST_SETTINGS = {
+    token: 'test-token',
+    intents: SETTING_DEFINITIONS.intents.default,
+    updateIntervalMinutes: 5,
+    saveIntervalMinutes: 10,
+    reconcileIntervalMinutes: 60,
+    historyIntervalMinutes: 15,
+    historyRetentionDays: 90,
+    auditRetentionDays: 90
+};
+
+async function createTestBot({ storage = createMemoryStorage(), logs = [], settings = {} } = {}) {
+    const client = createFakeClient();
+    const logMessage = async (level, message, data = null) => {
+        logs.push({ level, message, data });
+    };
+    
+    const bot = createBot({ client, settings: { ...TEST_SETTINGS, ...settings }, storage, logMessage });
+    await bot.loadConfigs();
+    await bot.loadHistory();
+    await bot.loadAudit();
+    
+    return { bot, client, storage, logs };
+}
+
+module.exports = {
+    createFakeClient,
+    createFakeGuild,
+    createFakeChannel,
+    addFakeMember,
+    findRole,
+    createFakeInteraction,
+    createFakeComponentInteraction,
+    createMemoryStorage,
+    createTestBot
+};
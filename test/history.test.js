@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { downsample } = require('../src/history');
+const { renderLineChart, niceScale } = require('../src/chart');
+const { createTestBot, createFakeGuild, createFakeInteraction, addFakeMember } = require('./fixtures');
+
+async function setupGuild() {
+    const { bot, client, storage } = await createTestBot();
+    const guild = createFakeGuild(client, { members: [{ status: 'online' }, { status: 'online' }, {}] });
+    
+    await client.emit('interactionCreate', createFakeInteraction(guild, 'counter-setup', { type: 'members', category: 'Stats' }));
+    const [config] = bot.counterConfigs.get(guild.id);
+    
+    return { bot, client, storage, guild, config };
+}
+
+test('samples record member counts and counter values', async (t) => {
+    const { bot, client, guild, config } = await setupGuild();
+    t.after(() => bot.destroy());
+    
+    await bot.sampleAllGuilds();
+    await client.emit('guildMemberAdd', addFakeMember(guild, { status: 'online' }));
+    await bot.sampleAllGuilds();
+    
+    const report = bot.getGuildReport(guild.id, 'day');
+    assert.strictEqual(report.joins, 1);
+    assert.strictEqual(report.leaves, 0);
+    assert.strictEqual(report.net, 1);
+    assert.strictEqual(report.peakOnline, 3);
+    assert.strictEqual(report.first, 3);
+    assert.strictEqual(report.last, 4);
+    
+    const counterReport = bot.getGuildReport(guild.id, 'week', config.channelId);
+    assert.deepStrictEqual(counterReport.series.map(point => point.value), [3, 4]);
+});
+
+test('history is saved and loaded through the storage backend', async (t) => {
+    const { bot, storage, guild } = await setupGuild();
+    t.after(() => bot.destroy());
+    
+    await bot.sampleAllGuilds();
+    await bot.saveHistory();
+    assert.strictEqual(storage.history.data.guilds[guild.id].samples.length, 1);
+    
+    const { bot: restarted } = await createTestBot({ storage });
+    t.after(() => restarted.destroy());
+    assert.strictEqual(restarted.getGuildReport(guild.id, 'day').last, 3);
+});
+
+test('history is dropped with the guild', async (t) => {
+    const { bot, client, guild } = await setupGuild();
+    t.after(() => bot.destroy());
+    
+    await bot.sampleAllGuilds();
+    client.guilds.cache.delete(guild.id);
+    await client.emit('guildDelete', guild);
+    
+    assert.strictEqual(bot.getGuildReport(guild.id, 'day').first, null);
+});
+
+test('counter-stats replies with a chart once there are enough samples', async (t) => {
+    const { bot, client, guild } = await setupGuild();
+    t.after(() => bot.destroy());
+    
+    const early = createFakeInteraction(guild, 'counter-stats', { period: 'day' });
+    await client.emit('interactionCreate', early);
+    assert.strictEqual(early.replies[0].files, undefined);
+    
+    await bot.sampleAllGuilds();
+    await bot.sampleAllGuilds();
+    
+    const interaction = createFakeInteraction(guild, 'counter-stats', { period: 'day' });
+    await client.emit('interactionCreate', interaction);
+    
+    const [reply] = interaction.replies;
+    assert.strictEqual(reply.embeds[0].image.url, 'attachment://counter-stats.png');
+    assert.strictEqual(reply.files[0].name, 'counter-stats.png');
+    assert.ok(reply.files[0].attachment.subarray(1, 4).equals(Buffer.from('PNG')));
+});
+
+test('renderLineChart encodes a valid PNG of the requested size', () => {
+    const png = renderLineChart([{ time: 0, value: 10 }, { time: 1000, value: 25 }], { width: 200, height: 100 });
+    
+    assert.strictEqual(png.readUInt32BE(16), 200);
+    assert.strictEqual(png.readUInt32BE(20), 100);
+    
+    const idatLength = png.readUInt32BE(33);
+    const pixels = zlib.inflateSync(png.subarray(41, 41 + idatLength));
+    assert.strictEqual(pixels.length, (200 * 3 + 1) * 100);
+});
+
+test('niceScale rounds axis bounds to whole steps', () => {
+    assert.deepStrictEqual(niceScale(1203, 1618), { min: 1200, max: 1800, step: 200 });
+    assert.deepStrictEqual(niceScale(5, 5), { min: 4, max: 6, step: 1 });
+});
+
+test('downsample keeps the first and last points', () => {
+    const series = Array.from({ length: 1000 }, (_, i) => i);
+    const thinned = downsample(series, 10);
+    
+    assert.strictEqual(thinned.length, 10);
+    assert.strictEqual(thinned[0], 0);
+    assert.strictEqual(thinned[9], 999);
+});
@@ -0,0 +1,201 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SUPPORTED_LANGUAGES, findTranslation, translate, resolveLanguage, localizations, formatNumber } = require('../src/i18n');
+const { COUNTER_TYPES, getCounterLabel } = require('../src/counter-types');
+const { renderCounterName } = require('../src/templates');
+const { formatDuration } = require('../src/activity-log');
+const { createTestBot, createFakeGuild, createFakeChannel, createFakeInteraction, addFakeMember, findRole } = require('./fixtures');
+
+// Every key of a catalog as a dotted path
+function catalogKeys(value, prefix = '') {
+    if (typeof value !== 'object' || Array.isArray(value)) return [prefix];
+    return Object.entries(value).flatMap(([key, child]) => catalogKeys(child, prefix ? `${prefix}.${key}` : key));
+}
+
+test('translate fills variables and falls back to English', () => {
+    assert.strictEqual(translate('de', 'setup.invalidTemplate', { error: 'x' }), 'Ungültige Vorlage: x');
+    assert.strictEqual(translate('xx', 'setup.invalidTemplate', { error: 'x' }), 'Invalid template: x');
+    assert.strictEqual(translate('en', 'missing.key'), 'missing.key');
+    
+    // Placeholders without a variable are kept for template help text
+    assert.match(translate('en', 'list.templatesValue', { defaultTemplate: 'a' }), /\{count:compact\}.*`a`/s);
+});
+
+test('resolveLanguage maps Discord locales to catalogs', () => {
+    assert.strictEqual(resolveLanguage('en-US'), 'en');
+    assert.strictEqual(resolveLanguage('de'), 'de');
+    assert.strictEqual(resolveLanguage('es-419'), 'es');
+    assert.strictEqual(resolveLanguage('fr'), 'fr');
+    assert.strictEqual(resolveLanguage('ja'), 'en');
+    assert.strictEqual(resolveLanguage(undefined), 'en');
+});
+
+test('every catalog translates every English key and counter type', () => {
+    const englishKeys = catalogKeys(require('../src/locales/en.json'));
+    
+    for (const language of SUPPORTED_LANGUAGES.filter(lang => lang !== 'en')) {
+        const catalog = require(`../src/locales/${language}.json`);
+        for (const key of englishKeys.filter(key => !key.startsWith('language.'))) {
+            assert.ok(findTranslation(language, key), `${language} is missing ${key}`);
+        }
+        assert.deepStrictEqual(Object.keys(catalog.counterTypes).sort(), Object.keys(COUNTER_TYPES).sort(), language);
+    }
+});
+
+test('counter labels and channel names follow the language', () => {
+    const guild = { id: '1', name: 'Test Server', roles: { cache: new Map([['r1', { name: 'Mods' }]]) } };
+    const filter = { roles: ['r1'], roleMatch: 'any', bots: 'exclude', presence: 'online' };
+    
+    assert.strictEqual(getCounterLabel(guild, { type: 'members' }, 'de'), 'Mitglieder');
+    assert.strictEqual(getCounterLabel(guild, { type: 'role-filter', filter }, 'fr'), 'Mods en ligne');
+    assert.strictEqual(getCounterLabel(guild, { type: 'role-filter', filter }), 'Online Mods');
+    assert.strictEqual(renderCounterName(guild, { type: 'bots' }, 3, 'es'), 'Bots: 3');
+    assert.strictEqual(renderCounterName(guild, { type: 'online-members' }, 3, 'es'), 'Miembros en línea: 3');
+});
+
+test('slash commands carry name, description and choice localizations', async (t) => {
+    const { bot } = await createTestBot();
+    t.after(() => bot.destroy());
+    
+    const setup = bot.commands.get('counter-setup').data.toJSON();
+    assert.strictEqual(setup.name_localizations.de, 'zähler-einrichten');
+    assert.strictEqual(setup.description_localizations['es-419'], 'Configura un canal de contador');
+    assert.strictEqual(setup.options.find(o => o.name === 'type').description_localizations.fr, 'Type de compteur');
+    
+    const typeChoice = setup.options.find(o => o.name === 'type').choices.find(c => c.value === 'members');
+    assert.deepStrictEqual(typeChoice.name_localizations, localizations('counterTypes.members'));
+    
+    // Every command is localized in every language
+    for (const command of bot.commands.values()) {
+        const json = command.data.toJSON();
+        assert.strictEqual(Object.keys(json.name_localizations).length, 4, json.name);
+    }
+});
+
+test('guild language defaults from the preferred locale and can be overridden', async (t) => {
+    const { bot, client } = await createTestBot();
+    t.after(() => bot.destroy());
+    const guild = createFakeGuild(client, { preferredLocale: 'de', members: [{}, {}] });
+    
+    assert.strictEqual(bot.getGuildLanguage(guild), 'de');
+    
+    const setup = createFakeInteraction(guild, 'counter-setup', { type: 'members', category: 'Stats' });
+    await client.emit('interactionCreate', setup);
+    const [config] = bot.counterConfigs.get(guild.id);
+    assert.strictEqual(guild.channels.cache.get(config.channelId).name, 'Mitglieder: 2');
+    assert.strictEqual(setup.replies[0].embeds[0].title, '✅ Zähler eingerichtet');
+    
+    await client.emit('interactionCreate', createFakeInteraction(guild, 'counter-settings', { language: 'fr' }));
+    assert.strictEqual(bot.getGuildLanguage(guild), 'fr');
+    assert.ok(bot.getPendingUpdate(config.channelId), 'language change queues a rename');
+    
+    const list = createFakeInteraction(guild, 'counter-list');
+    await client.emit('interactionCreate', list);
+    assert.strictEqual(list.replies[0].embeds[0].title, '📊 Types de compteurs disponibles');
+    assert.match(list.replies[0].embeds[0].description, /`members` - Membres/);
+    
+    await client.emit('interactionCreate', createFakeInteraction(guild, 'counter-settings', { language: 'auto' }));
+    assert.strictEqual(bot.getGuildLanguage(guild), 'de');
+});
+
+test('counter-setup validation messages use the guild language', async (t) => {
+    const { bot, client } = await createTestBot();
+    t.after(() => bot.destroy());
+    const guild = createFakeGuild(client, { preferredLocale: 'es-ES', roles: ['Moderator'] });
+    
+    const interaction = createFakeInteraction(guild, 'counter-setup', {
+        type: 'members',
+        category: 'Stats',
+        role: findRole(guild, 'Moderator')
+    });
+    await client.emit('interactionCreate', interaction);
+    
+    assert.match(interaction.replies[0].content, /solo se aplican/);
+});
+
+test('counter management replies use the guild language', async (t) => {
+    const { bot, client } = await createTestBot();
+    t.after(() => bot.destroy());
+    const guild = createFakeGuild(client, { preferredLocale: 'de', members: [{}, {}] });
+    await client.emit('interactionCreate', createFakeInteraction(guild, 'counter-setup', { type: 'members', category: 'Stats' }));
+    const [config] = bot.counterConfigs.get(guild.id);
+    
+    const reply = async (name, options) => {
+        const interaction = createFakeInteraction(guild, name, options);
+        await client.emit('interactionCreate', interaction);
+        return interaction.replies[0];
+    };
+    
+    assert.strictEqual((await reply('counter-edit', { counter: config.channelId })).content,
+        'Nichts zu ändern. Gib einen neuen Typ, eine Vorlage, eine Kategorie oder ein Token an.');
+    assert.strictEqual((await reply('counter-edit', { counter: 'missing' })).content, 'Diesen Zähler gibt es nicht. Wähle einen aus der Liste.');
+    const edit = await reply('counter-edit', { counter: config.channelId, template: 'Alle: {count}' });
+    assert.strictEqual(edit.embeds[0].title, '✅ Zähler aktualisiert');
+    assert.strictEqual(edit.embeds[0].footer.text, 'Discord erlaubt 2 Umbenennungen pro Kanal alle 10 Minuten');
+    
+    const status = await reply('counter-status');
+    assert.strictEqual(status.embeds[0].title, '📋 Aktive Zähler');
+    assert.match(status.embeds[0].description, / · Wert \*\*2\*\* · seit dem Neustart nicht aktualisiert$/);
+    
+    const queue = await reply('counter-queue');
+    assert.strictEqual(queue.embeds[0].title, '⏳ Warteschlange der Zähler');
+    assert.match(queue.embeds[0].description, /0\/2 Umbenennungen genutzt/);
+    
+    const stats = await reply('counter-stats', { period: 'day' });
+    assert.strictEqual(stats.embeds[0].title, '📈 Statistiken von Test Server');
+    assert.strictEqual(stats.embeds[0].description, 'Letzte 24 Stunden · Mitglieder insgesamt');
+    
+    const log = await reply('counter-log');
+    assert.deepStrictEqual(log.embeds[0].fields.map(field => `${field.name}: ${field.value}`),
+        ['📢 Kanal: Deaktiviert', '📅 Tägliche Zusammenfassung: Aktiviert']);
+    
+    const settings = await reply('counter-settings', { language: 'es' });
+    assert.strictEqual(settings.embeds[0].title, '✅ Ajustes de contadores actualizados');
+    await reply('counter-settings', { language: 'auto' });
+    
+    const remove = await reply('counter-remove', { counter: config.channelId });
+    assert.strictEqual(remove.embeds[0].title, '🗑️ Zähler entfernt');
+    assert.match(remove.embeds[0].description, /wird nicht mehr aktualisiert\.$/);
+    assert.strictEqual((await reply('counter-status')).content, 'Dieser Server hat keine Zähler. Nutze `/zähler-einrichten`, um einen zu erstellen.');
+});
+
+test('validation errors, milestones and the activity log use the guild language', async (t) => {
+    const { bot, client } = await createTestBot();
+    t.after(() => bot.destroy());
+    const guild = createFakeGuild(client, { preferredLocale: 'de', members: [{}, {}] });
+    const channel = createFakeChannel(guild, { name: 'news' });
+    
+    const reply = async (name, options) => {
+        const interaction = createFakeInteraction(guild, name, options);
+        await client.emit('interactionCreate', interaction);
+        return interaction.replies[0];
+    };
+    
+    assert.match((await reply('counter-setup', { type: 'members', category: 'Stats', template: '{nope} {count}' })).content,
+        /Unbekannter Platzhalter `\{nope\}`/);
+    assert.strictEqual((await reply('counter-setup', { type: 'role-filter', category: 'Stats' })).content,
+        'Der Typ `role-filter` braucht mindestens eine Rolle.');
+    
+    await reply('counter-log', { channel });
+    await reply('counter-setup', { type: 'members', category: 'Stats', goal: 1000, 'goal-step': 1000, 'announce-channel': channel });
+    const [config] = bot.counterConfigs.get(guild.id);
+    config.goal.target = 3;
+    
+    await client.emit('guildMemberAdd', addFakeMember(guild, { accountAgeDays: 2 }));
+    await bot.runCounterUpdate(config.channelId);
+    
+    const [join] = channel.sent[0].embeds;
+    assert.strictEqual(join.title, '📥 Mitglied beigetreten');
+    assert.match(join.fields[0].value, /^2 Tage \(erstellt <t:\d+:D>\)\n⚠️ Neues Konto$/);
+    
+    const [milestone] = channel.sent[1].embeds;
+    assert.strictEqual(milestone.title, '🎉 Meilenstein erreicht!');
+    assert.strictEqual(milestone.description, '**Test Server** hat gerade **3** Mitglieder erreicht!');
+    assert.strictEqual(milestone.fields[1].value, '1.003');
+    
+    assert.strictEqual(formatDuration(400 * 24 * 60 * 60 * 1000, 'de'), '1 Jahr, 1 Monat');
+});
+
+test('numbers are grouped the way the language does', () => {
+    assert.deepStrictEqual(['en', 'de', 'fr'].map(language => formatNumber(1234567, language)), ['1,234,567', '1.234.567', '1\u202f234\u202f567']);
+});
@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ApplicationFlags, ApplicationFlagsBitField, GatewayIntentBits, IntentsBitField } = require('discord.js');
+const { getDeniedIntents, applyGrantedIntents } = require('../src/intents');
+const { diagnoseGuild } = require('../src/diagnostics');
+const { createTestBot, createFakeGuild, createFakeInteraction, createFakeComponentInteraction } = require('./fixtures');
+
+const LIMITED_INTENTS = ['Guilds', 'GuildVoiceStates', 'GuildEmojisAndStickers', 'GuildScheduledEvents'];
+
+async function createLimitedGuild() {
+    const { bot, client, logs } = await createTestBot({ settings: { intents: LIMITED_INTENTS } });
+    const guild = createFakeGuild(client, { members: [{ status: 'online' }, { status: 'idle', bot: true }, {}, {}] });
+    return { bot, client, logs, guild };
+}
+
+test('privileged intents are denied unless a full or limited flag grants them', () => {
+    const flags = new ApplicationFlagsBitField(ApplicationFlags.GatewayGuildMembersLimited);
+    
+    assert.deepStrictEqual(getDeniedIntents(['Guilds', 'GuildMembers', 'GuildPresences'], flags), ['GuildPresences']);
+    assert.deepStrictEqual(getDeniedIntents(['Guilds', 'GuildVoiceStates'], new ApplicationFlagsBitField(0)), []);
+});
+
+test('denied privileged intents are dropped before logging in', async () => {
+    const settings = { token: 'test-token', intents: ['Guilds', 'GuildMembers', 'GuildPresences'] };
+    const logs = [];
+    const client = {
+        options: { intents: new IntentsBitField() },
+        rest: {
+            setToken(token) {
+                this.token = token;
+            },
+            async get() {
+                return { flags: ApplicationFlags.GatewayPresence };
+            }
+        }
+    };
+    
+    await applyGrantedIntents(client, settings, async (level, message, data) => logs.push({ level, message, data }));
+    
+    assert.strictEqual(client.rest.token, 'test-token');
+    assert.deepStrictEqual(settings.intents, ['Guilds', 'GuildPresences']);
+    assert.strictEqual(client.options.intents.bitfield, GatewayIntentBits.Guilds | GatewayIntentBits.GuildPresences);
+    assert.strictEqual(logs[0].level, 'warn');
+    assert.deepStrictEqual(logs[0].data.intents, ['GuildMembers']);
+    
+    // Without the application the configured intents are kept
+    client.rest.get = async () => {
+        throw new Error('Service Unavailable');
+    };
+    settings.intents = ['Guilds', 'GuildMembers'];
+    await applyGrantedIntents(client, settings, async (level, message, data) => logs.push({ level, message, data }));
+    assert.deepStrictEqual(settings.intents, ['Guilds', 'GuildMembers']);
+    assert.strictEqual(logs[1].message, 'Could not check which privileged intents are enabled');
+});
+
+test('in limited mode member counters are approximated and the rest are refused', async (t) => {
+    const { bot, client, guild } = await createLimitedGuild();
+    t.after(() => bot.destroy());
+    
+    for (const type of ['members', 'online-members', 'offline-members']) {
+        await client.emit('interactionCreate', createFakeInteraction(guild, 'counter-setup', { type, category: 'Stats' }));
+    }
+    const names = bot.counterConfigs.get(guild.id).map(config => guild.channels.cache.get(config.channelId).name);
+    assert.deepStrictEqual(names, ['Total Members: 4', 'Online Members: 2', 'Offline Members: 2']);
+    
+    const refused = createFakeInteraction(guild, 'counter-setup', { type: 'bots', category: 'Stats' });
+    await client.emit('interactionCreate', refused);
+    assert.strictEqual(refused.replies[0].ephemeral, true);
+    assert.strictEqual(refused.replies[0].content, '**Total Bots** counters need `GuildMembers`, which this bot runs without. See `/counter-list`.');
+    assert.strictEqual(bot.counterConfigs.get(guild.id).length, 3);
+    
+    const [intents] = await diagnoseGuild(bot, guild);
+    assert.deepStrictEqual(intents.findings.map(finding => finding.level), ['warning', 'warning']);
+    assert.match(intents.findings[0].problem, /show approximate values that include bots/);
+});
+
+test('counters that need a missing intent keep their value and report why', async (t) => {
+    const { bot, client } = await createTestBot();
+    t.after(() => bot.destroy());
+    
+    const limited = createFakeGuild(client, { members: [{}, { bot: true }] });
+    await client.emit('interactionCreate', createFakeInteraction(limited, 'counter-setup', { type: 'bots', category: 'Stats' }));
+    const [config] = bot.counterConfigs.get(limited.id);
+    
+    // The intents were lost on a later start
+    bot.settings.intents = LIMITED_INTENTS;
+    bot.scheduleCounterUpdate(limited.id, config.channelId, 'test', 0);
+    await bot.runCounterUpdate(config.channelId);
+    
+    assert.strictEqual(limited.channels.cache.get(config.channelId).name, 'Total Bots: 1');
+    assert.strictEqual(bot.counterStatus.get(config.channelId).error, 'Needs the `GuildMembers` intent, which the bot runs without');
+    await assert.rejects(bot.getCountForType(limited, 'bots'), /GuildMembers/);
+});
+
+test('counter-list explains limited mode and marks affected types', async (t) => {
+    const { bot, client, guild } = await createLimitedGuild();
+    t.after(() => bot.destroy());
+    
+    const interaction = createFakeInteraction(guild, 'counter-list');
+    await client.emit('interactionCreate', interaction);
+    
+    const [embed] = interaction.replies[0].embeds;
+    assert.match(embed.description, /• `members` - Total Members ≈\n/);
+    assert.match(embed.description, /• `bots` - Total Bots 🚫\n/);
+    assert.match(embed.description, /• `voice-members` - In Voice\n/);
+    assert.strictEqual(embed.fields[0].name, '⚠️ Limited Mode');
+    assert.match(embed.fields[0].value, /^This bot runs without `GuildMembers`, `GuildPresences`\./);
+    
+    // With every intent there is nothing to explain
+    bot.settings.intents = [...LIMITED_INTENTS, 'GuildMembers', 'GuildPresences'];
+    const full = createFakeInteraction(guild, 'counter-list');
+    await client.emit('interactionCreate', full);
+    assert.doesNotMatch(full.replies[0].embeds[0].description, /[≈🚫]/u);
+    assert.notStrictEqual(full.replies[0].embeds[0].fields[0].name, '⚠️ Limited Mode');
+});
+
+test('presets skip and the wizard hides counters that need a missing intent', async (t) => {
+    const { bot, client, guild } = await createLimitedGuild();
+    t.after(() => bot.destroy());
+    
+    const preset = createFakeInteraction(guild, 'counter-preset', { preset: 'basic' });
+    await client.emit('interactionCreate', preset);
+    
+    assert.deepStrictEqual(bot.counterConfigs.get(guild.id).map(config => config.type), ['members', 'boosts']);
+    const skipped = preset.replies[0].embeds[0].fields.find(field => field.name === '⚠️ Skipped');
+    assert.strictEqual(skipped.value, '• `bots` needs `GuildMembers`');
+    
+    const wizard = createFakeComponentInteraction(guild, 'counter-wizard:start');
+    await client.emit('interactionCreate', wizard);
+    
+    const typeMenu = wizard.replies[0].components[0].toJSON().components[0];
+    const offered = typeMenu.options.map(option => option.value);
+    assert.ok(offered.includes('members') && offered.includes('online-members'));
+    assert.ok(!offered.includes('bots') && !offered.includes('roles'));
+    assert.strictEqual(typeMenu.max_values, offered.length);
+});
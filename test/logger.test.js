@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLogger } = require('../src/logger');
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'counter-logs-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+const readEntries = (file) => fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+test('entries below the configured level are dropped and errors are serialized', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const file = path.join(tempDir(t), 'bot.log');
+    const logMessage = createLogger({ file, level: 'info' });
+    
+    await logMessage('debug', 'Not written');
+    await logMessage('info', 'Written');
+    await logMessage('error', 'Failed', { reason: new Error('boom') });
+    
+    const entries = readEntries(file);
+    assert.deepStrictEqual(entries.map(entry => entry.message), ['Written', 'Failed']);
+    assert.strictEqual(entries[1].data.reason.message, 'boom');
+    assert.match(entries[1].data.reason.stack, /boom/);
+    assert.strictEqual(console.log.mock.callCount(), 2);
+});
+
+test('the log file is rotated once it grows past its size limit', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const dir = tempDir(t);
+    const file = path.join(dir, 'bot.log');
+    const logMessage = createLogger({ file, maxSizeMb: 200 / (1024 * 1024) });
+    
+    // Unawaited writes still land in order
+    for (let i = 0; i < 5; i++) {
+        logMessage('info', `Entry ${i}`, { padding: 'x'.repeat(40) });
+    }
+    await logMessage('info', 'Last');
+    
+    const rotated = fs.readdirSync(dir).filter(name => name.startsWith('bot.log.'));
+    assert.ok(rotated.length >= 2);
+    assert.ok(fs.statSync(file).size <= 200);
+    
+    const messages = [...rotated.sort().map(name => path.join(dir, name)), file].flatMap(f => readEntries(f)).map(entry => entry.message);
+    assert.deepStrictEqual(messages, ['Entry 0', 'Entry 1', 'Entry 2', 'Entry 3', 'Entry 4', 'Last']);
+});
+
+test('rotated files older than the retention period are deleted', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const dir = tempDir(t);
+    const file = path.join(dir, 'bot.log');
+    const old = path.join(dir, 'bot.log.2020-01-01T00-00-00-000Z');
+    const recent = path.join(dir, 'bot.log.2020-01-02T00-00-00-000Z');
+    fs.writeFileSync(old, '');
+    fs.writeFileSync(recent, '');
+    const fifteenDaysAgo = new Date(Date.now() - 15 * 24 * 60 * 60 * 1000);
+    fs.utimesSync(old, fifteenDaysAgo, fifteenDaysAgo);
+    fs.writeFileSync(path.join(dir, 'other.log'), '');
+    
+    const logMessage = createLogger({ file, maxSizeMb: 1 / (1024 * 1024), retentionDays: 14 });
+    await logMessage('info', 'First');
+    await logMessage('info', 'Second');
+    
+    const names = fs.readdirSync(dir);
+    assert.ok(!names.includes(path.basename(old)));
+    assert.ok(names.includes(path.basename(recent)));
+    assert.ok(names.includes('other.log'));
+    assert.deepStrictEqual(readEntries(file).map(entry => entry.message), ['Second']);
+});
@@ -0,0 +1,250 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PRESETS, EXPORT_FORMAT, parseCounterImport } = require('../src/presets');
+const { createTestBot, createFakeGuild, createFakeChannel, createFakeInteraction, findRole } = require('./fixtures');
+
+function jsonAttachment(data, name = 'counters.json') {
+    const text = JSON.stringify(data);
+    return {
+        name,
+        size: Buffer.byteLength(text),
+        url: `data:application/json,${encodeURIComponent(text)}`
+    };
+}
+
+test('counter-preset creates every counter of the preset in order', async (t) => {
+    const { bot, client, storage } = await createTestBot();
+    t.after(() => bot.destroy());
+    const guild = createFakeGuild(client, { members: [{ status: 'online' }, {}, { bot: true }] });
+    
+    const interaction = createFakeInteraction(guild, 'counter-preset', { preset: 'presence' });
+    await client.emit('interactionCreate', interaction);
+    
+    const configs = bot.counterConfigs.get(guild.id);
+    assert.deepStrictEqual(configs.map(c => c.type), PRESETS.presence.counters);
+    
+    const category = guild.channels.cache.get(configs[0].categoryId);
+    const channels = configs.map(c => guild.channels.cache.get(c.channelId));
+    assert.strictEqual(category.name, PRESETS.presence.category);
+    assert.deepStrictEqual(channels.map(c => c.position), [0, 1, 2, 3, 4]);
+    assert.deepStrictEqual(channels.map(c => c.name).slice(0, 3), ['Total Members: 2', 'Online Members: 1', 'Offline Members: 1']);
+    assert.strictEqual(interaction.replies[0].embeds[0].title, '✅ Counter Preset Created');
+    assert.strictEqual(storage.data.counterConfigs[guild.id].configs.length, 5);
+});
+
+test('counter-preset appends to an existing category', async (t) => {
+    const { bot, client } = await createTestBot();
+    t.after(() => bot.destroy());
+    const guild = createFakeGuild(client);
+    
+    await client.emit('interactionCreate', createFakeInteraction(guild, 'counter-setup', { type: 'emojis', category: 'Stats' }));
+    await client.emit('interactionCreate', createFakeInteraction(guild, 'counter-preset', { preset: 'basic', category: 'Stats' }));
+    
+    const configs = bot.counterConfigs.get(guild.id);
+    assert.strictEqual(new Set(configs.map(c => c.categoryId)).size, 1);
+    assert.deepStrictEqual(configs.slice(1).map(c => guild.channels.cache.get(c.channelId).position), [1, 2, 3]);
+});
+
+test('counters exported from one server import into another', async (t) => {
+    const { bot, client } = await createTestBot();
+    t.after(() => bot.destroy());
+    const source = createFakeGuild(client, { roles: ['Moderator'] });
+    const target = createFakeGuild(client, { roles: ['Moderator'], members: [{}] });
+    
+    await client.emit('interactionCreate', createFakeInteraction(source, 'counter-setup', {
+        type: 'role-filter',
+        category: 'Staff',
+        role: findRole(source, 'Moderator'),
+        presence: 'online'
+    }));
+    await client.emit('interactionCreate', createFakeInteraction(source, 'counter-setup', {
+        type: 'members',
+        category: 'Stats',
+        template: '{count}/{goal}',
+        goal: 100
+    }));
+    
+    const exportInteraction = createFakeInteraction(source, 'counter-export');
+    await client.emit('interactionCreate', exportInteraction);
+    const exported = JSON.parse(exportInteraction.replies[0].files[0].attachment.toString());
+    
+    assert.strictEqual(exported.format, EXPORT_FORMAT);
+    assert.deepStrictEqual(exported.categories.map(c => c.name), ['Staff', 'Stats']);
+    assert.deepStrictEqual(exported.categories[0].counters[0].filter.roles, ['Moderator']);
+    assert.deepStrictEqual(exported.categories[1].counters[0].goal, { target: 100, step: 100 });
+    
+    const importInteraction = createFakeInteraction(target, 'counter-import', { file: jsonAttachment(exported) });
+    await client.emit('interactionCreate', importInteraction);
+    
+    const [filterConfig, goalConfig] = bot.counterConfigs.get(target.id);
+    assert.deepStrictEqual(filterConfig.filter.roles, [findRole(target, 'Moderator').id]);
+    assert.strictEqual(filterConfig.filter.presence, 'online');
+    const goalChannel = target.channels.cache.get(goalConfig.channelId);
+    assert.strictEqual(goalChannel.name, '1/100');
+    assert.strictEqual(goalChannel.parent.name, 'Stats');
+    assert.strictEqual(importInteraction.replies[0].embeds[0].title, '✅ Counters Imported');
+});
+
+test('time counters keep their settings through export and import', async (t) => {
+    const { bot, client } = await createTestBot();
+    t.after(() => bot.destroy());
+    const source = createFakeGuild(client);
+    const target = createFakeGuild(client);
+    const launch = Date.now() + 10 * 24 * 60 * 60 * 1000;
+    
+    await client.emit('interactionCreate', createFakeInteraction(source, 'counter-setup', {
+        type: 'countdown',
+        category: 'Time',
+        'countdown-to': `<t:${Math.floor(launch / 1000)}:R>`,
+        event: 'Launch'
+    }));
+    await client.emit('interactionCreate', createFakeInteraction(source, 'counter-setup', {
+        type: 'clock',
+        category: 'Time',
+        timezone: 'Europe/Berlin'
+    }));
+    
+    const exportInteraction = createFakeInteraction(source, 'counter-export');
+    await client.emit('interactionCreate', exportInteraction);
+    const exported = JSON.parse(exportInteraction.replies[0].files[0].attachment.toString());
+    
+    const expected = [
+        { type: 'countdown', time: { target: Math.floor(launch / 1000) * 1000, event: 'Launch' } },
+        { type: 'clock', time: { timeZone: 'Europe/Berlin' } }
+    ];
+    assert.deepStrictEqual(exported.categories[0].counters, expected);
+    
+    await client.emit('interactionCreate', createFakeInteraction(target, 'counter-import', { file: jsonAttachment(exported) }));
+    assert.deepStrictEqual(bot.counterConfigs.get(target.id).map(({ type, time }) => ({ type, time })), expected);
+    
+    // Ended countdowns are left out of exports and refused on import
+    bot.counterConfigs.get(source.id)[0].time.target = Date.now() - 1000;
+    await client.emit('interactionCreate', exportInteraction);
+    const later = JSON.parse(exportInteraction.replies[1].files[0].attachment.toString());
+    assert.deepStrictEqual(later.categories[0].counters.map(counter => counter.type), ['clock']);
+    
+    const wrap = (counter) => ({ format: EXPORT_FORMAT, version: 1, categories: [{ name: 'Time', counters: [counter] }] });
+    assert.match(parseCounterImport(wrap({ type: 'countdown', time: { target: Date.now() - 1000 } }), target).error, /already ended/);
+    assert.match(parseCounterImport(wrap({ type: 'countdown' }), target).error, /need a target date/);
+    assert.match(parseCounterImport(wrap({ type: 'clock', time: { timeZone: 'Mars/Olympus' } }), target).error, /Unknown time zone `Mars\/Olympus`/);
+});
+
+test('category and panel counters keep their display through export and import', async (t) => {
+    const { bot, client } = await createTestBot();
+    t.after(() => bot.destroy());
+    const source = createFakeGuild(client);
+    const target = createFakeGuild(client, { members: [{}, {}] });
+    const noPanel = createFakeGuild(client);
+    const sourcePanel = createFakeChannel(source, { name: 'stats' });
+    const targetPanel = createFakeChannel(target, { name: 'stats' });
+    
+    await client.emit('interactionCreate', createFakeInteraction(source, 'counter-setup', { type: 'bots', category: 'Stats' }));
+    await client.emit('interactionCreate', createFakeInteraction(source, 'counter-setup', { type: 'members', display: 'category' }));
+    await client.emit('interactionCreate', createFakeInteraction(source, 'counter-setup', {
+        type: 'boosts',
+        display: 'panel',
+        'panel-channel': sourcePanel
+    }));
+    
+    const exportInteraction = createFakeInteraction(source, 'counter-export');
+    await client.emit('interactionCreate', exportInteraction);
+    const exported = JSON.parse(exportInteraction.replies[0].files[0].attachment.toString());
+    
+    assert.deepStrictEqual(exported.categories, [{ name: 'Stats', counters: [{ type: 'bots' }] }]);
+    assert.deepStrictEqual(exported.counters, [{ type: 'members', display: 'category' }, { type: 'boosts', display: 'panel' }]);
+    assert.deepStrictEqual(exported.panel, { channel: 'stats' });
+    assert.match(exportInteraction.replies[0].content, /^Exported 3 counters\./);
+    
+    const imported = createFakeInteraction(target, 'counter-import', { file: jsonAttachment(exported) });
+    await client.emit('interactionCreate', imported);
+    
+    const configs = bot.counterConfigs.get(target.id);
+    assert.deepStrictEqual(configs.map(config => config.display), [undefined, 'category', 'panel']);
+    assert.strictEqual(target.channels.cache.get(configs[1].channelId).name, 'Total Members: 2');
+    assert.strictEqual(bot.getGuildSettings(target.id).panel.channelId, targetPanel.id);
+    assert.match(imported.replies[0].embeds[0].fields.find(field => field.name === '🖥️ Outside categories').value, /📁 Total Members: 2/);
+    
+    const rejected = createFakeInteraction(noPanel, 'counter-import', { file: jsonAttachment(exported) });
+    await client.emit('interactionCreate', rejected);
+    assert.match(rejected.replies[0].content, /text channel named `#stats`/);
+    assert.strictEqual(bot.counterConfigs.has(noPanel.id), false);
+    
+    const misplaced = { ...exported, counters: [{ type: 'members' }] };
+    assert.match(parseCounterImport(misplaced, target).error, /Counter 1 outside categories: Voice channel counters must be listed in a category/);
+});
+
+test('counter-import rejects invalid files without creating anything', async (t) => {
+    const { bot, client } = await createTestBot();
+    t.after(() => bot.destroy());
+    const target = createFakeGuild(client);
+    
+    const notJson = createFakeInteraction(target, 'counter-import', { file: jsonAttachment({}, 'counters.txt') });
+    await client.emit('interactionCreate', notJson);
+    assert.match(notJson.replies[0].content, /\.json/);
+    
+    const broken = createFakeInteraction(target, 'counter-import', {
+        file: { name: 'counters.json', size: 5, url: 'data:application/json,%7Bnope' }
+    });
+    await client.emit('interactionCreate', broken);
+    assert.match(broken.replies[0].content, /Could not read the file/);
+    
+    const missingRole = createFakeInteraction(target, 'counter-import', {
+        file: jsonAttachment({
+            format: EXPORT_FORMAT,
+            version: 1,
+            categories: [{ name: 'Stats', counters: [{ type: 'members' }, { type: 'role-filter', filter: { roles: ['Ghost'] } }] }]
+        })
+    });
+    await client.emit('interactionCreate', missingRole);
+    assert.match(missingRole.replies[0].content, /Stats, counter 2: Role not found in this server: Ghost/);
+    
+    assert.strictEqual(bot.counterConfigs.has(target.id), false);
+    assert.strictEqual(target.channels.cache.size, 0);
+});
+
+test('preset, export and import replies use the guild language', async (t) => {
+    const { bot, client } = await createTestBot();
+    t.after(() => bot.destroy());
+    const source = createFakeGuild(client, { preferredLocale: 'de' });
+    const target = createFakeGuild(client, { preferredLocale: 'de' });
+    
+    const preset = createFakeInteraction(source, 'counter-preset', { preset: 'basic' });
+    await client.emit('interactionCreate', preset);
+    const category = source.channels.cache.get(bot.counterConfigs.get(source.id)[0].categoryId);
+    assert.strictEqual(category.name, '📊 Server-Statistik');
+    assert.strictEqual(preset.replies[0].embeds[0].title, '✅ Zählervorlage erstellt');
+    assert.match(preset.replies[0].embeds[0].description, /Vorlage \*\*Basis\*\*/);
+    
+    const exportInteraction = createFakeInteraction(source, 'counter-export');
+    await client.emit('interactionCreate', exportInteraction);
+    assert.match(exportInteraction.replies[0].content, /^3 Zähler exportiert\./);
+    const exported = JSON.parse(exportInteraction.replies[0].files[0].attachment.toString());
+    
+    const imported = createFakeInteraction(target, 'counter-import', { file: jsonAttachment(exported) });
+    await client.emit('interactionCreate', imported);
+    assert.strictEqual(imported.replies[0].embeds[0].title, '✅ Zähler importiert');
+    
+    const rejected = createFakeInteraction(target, 'counter-import', { file: jsonAttachment({ format: 'other' }) });
+    await client.emit('interactionCreate', rejected);
+    assert.match(rejected.replies[0].content, /^Import fehlgeschlagen\. Diese Datei ist kein Zählerexport/);
+    
+    const denied = createFakeInteraction(target, 'counter-export', {}, { permitted: false });
+    await client.emit('interactionCreate', denied);
+    assert.match(denied.replies[0].content, /Zähler zu exportieren/);
+});
+
+test('parseCounterImport validates types, templates, goals and size', () => {
+    const target = { id: '1', name: 'Test', roles: { cache: new Map() } };
+    const wrap = (counters) => ({ format: EXPORT_FORMAT, version: 1, categories: [{ name: 'Stats', counters }] });
+    
+    assert.match(parseCounterImport({ format: 'other' }, target).error, /not a counter export/);
+    assert.match(parseCounterImport({ format: EXPORT_FORMAT, version: 3, categories: [] }, target).error, /version 3/);
+    assert.match(parseCounterImport(wrap([]), target).error, /does not contain/);
+    assert.match(parseCounterImport(wrap([{ type: 'nope' }]), target).error, /Unknown counter type `nope`/);
+    assert.match(parseCounterImport(wrap([{ type: 'members', template: 'no count' }]), target).error, /Invalid template/);
+    assert.match(parseCounterImport(wrap([{ type: 'members', goal: { target: -1 } }]), target).error, /positive whole numbers/);
+    assert.match(parseCounterImport(wrap(Array(26).fill({ type: 'members' })), target).error, /at most 25/);
+    
+    const { categories } = parseCounterImport(wrap([{ type: 'bots', template: '🤖 {count}' }]), target);
+    assert.deepStrictEqual(categories, [{ name: 'Stats', configs: [{ type: 'bots', template: '🤖 {count}' }] }]);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { RENAME_LIMIT } = require('../src/scheduler');
+const { createTestBot, createFakeGuild, createFakeInteraction, addFakeMember } = require('./fixtures');
+
+async function setupCounter() {
+    const { bot, client } = await createTestBot();
+    const guild = createFakeGuild(client, { members: [{}, {}] });
+    
+    await client.emit('interactionCreate', createFakeInteraction(guild, 'counter-setup', { type: 'members', category: 'Stats' }));
+    const [config] = bot.counterConfigs.get(guild.id);
+    const channel = guild.channels.cache.get(config.channelId);
+    
+    return { bot, client, guild, config, channel };
+}
+
+test('member events queue one coalesced update per counter', async (t) => {
+    const { bot, client, guild, channel } = await setupCounter();
+    t.after(() => bot.destroy());
+    
+    await client.emit('guildMemberAdd', addFakeMember(guild, {}));
+    await client.emit('guildMemberAdd', addFakeMember(guild, {}));
+    
+    const status = bot.getUpdateQueueStatus(guild.id);
+    assert.strictEqual(status.depth, 1);
+    assert.deepStrictEqual(status.counters[0].reasons, ['member-join']);
+    
+    await bot.runCounterUpdate(channel.id);
+    assert.strictEqual(channel.name, 'Total Members: 4');
+    assert.strictEqual(bot.counterStatus.get(channel.id).value, 4);
+    assert.strictEqual(bot.getUpdateQueueStatus(guild.id).depth, 0);
+});
+
+test('unchanged counts do not rename the channel', async (t) => {
+    const { bot, guild, channel } = await setupCounter();
+    t.after(() => bot.destroy());
+    
+    bot.scheduleGuildUpdate(guild, 'interval');
+    await bot.runCounterUpdate(channel.id);
+    
+    assert.deepStrictEqual(channel.renames, []);
+    assert.strictEqual(bot.counterStatus.get(channel.id).value, 2);
+});
+
+test('renames beyond the rate limit are deferred', async (t) => {
+    const { bot, client, guild, channel } = await setupCounter();
+    t.after(() => bot.destroy());
+    
+    for (let i = 0; i < RENAME_LIMIT + 1; i++) {
+        await client.emit('guildMemberAdd', addFakeMember(guild, {}));
+        await bot.runCounterUpdate(channel.id);
+    }
+    
+    assert.strictEqual(channel.renames.length, RENAME_LIMIT);
+    
+    const [counter] = bot.getUpdateQueueStatus(guild.id).counters;
+    assert.deepStrictEqual(counter.reasons, ['rate-limit']);
+    assert.ok(counter.nextUpdate > Date.now());
+});
+
+test('updates are only queued for counters fed by the event source', async (t) => {
+    const { bot, client, guild } = await setupCounter();
+    t.after(() => bot.destroy());
+    
+    await client.emit('voiceStateUpdate', { channelId: null }, { channelId: '1', guild });
+    assert.strictEqual(bot.getUpdateQueueStatus(guild.id).depth, 0);
+    
+    bot.scheduleGuildUpdate(guild, 'test', 'members');
+    assert.strictEqual(bot.getUpdateQueueStatus(guild.id).depth, 1);
+});
+
+test('goal counters advance when the target is reached', async (t) => {
+    const { bot, client } = await createTestBot();
+    t.after(() => bot.destroy());
+    
+    const guild = createFakeGuild(client, { members: [{}, {}] });
+    await client.emit('interactionCreate', createFakeInteraction(guild, 'counter-setup', {
+        type: 'members',
+        category: 'Stats',
+        goal: 3,
+        'goal-step': 2
+    }));
+    const [config] = bot.counterConfigs.get(guild.id);
+    
+    await client.emit('guildMemberAdd', addFakeMember(guild, {}));
+    await bot.runCounterUpdate(config.channelId);
+    
+    assert.strictEqual(config.goal.target, 5);
+    assert.strictEqual(config.goal.lastAnnounced, 3);
+    assert.strictEqual(guild.channels.cache.get(config.channelId).name, 'Goal: 3 / 5');
+});
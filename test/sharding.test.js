@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ShardClientUtil } = require('discord.js');
+const { createGuildOwnership, isPrimaryShard, getShardLogFile, startShardManager } = require('../src/sharding');
+const { createTestBot, createFakeGuild, createFakeInteraction } = require('./fixtures');
+
+const GUILD_IDS = ['81384788765712384', '222078108977594368', '613425648685547541', '1000000000000000000'];
+
+test('a shard owns only the guilds Discord routes to it', () => {
+    const shardOf = (guildId) => ShardClientUtil.shardIdForGuildId(guildId, 2);
+    const shards = [0, 1].map(id => createGuildOwnership({ shard: { ids: [id], count: 2 } }));
+    
+    for (const guildId of GUILD_IDS) {
+        assert.deepStrictEqual(shards.map(owns => owns(guildId)), [shardOf(guildId) === 0, shardOf(guildId) === 1]);
+    }
+    assert.ok(GUILD_IDS.every(createGuildOwnership({})));
+});
+
+test('only the first shard is primary and each shard logs to its own file', () => {
+    assert.strictEqual(isPrimaryShard({}), true);
+    assert.strictEqual(isPrimaryShard({ shard: { ids: [0] } }), true);
+    assert.strictEqual(isPrimaryShard({ shard: { ids: [3] } }), false);
+    
+    assert.strictEqual(getShardLogFile('/bot/bot.log', {}), '/bot/bot.log');
+    assert.strictEqual(getShardLogFile('/bot/bot.log', { shard: { ids: [3] } }), '/bot/bot.shard-3.log');
+});
+
+test('cluster stats add up every shard that answers', async (t) => {
+    const { bot, client } = await createTestBot();
+    t.after(() => bot.destroy());
+    const guild = createFakeGuild(client);
+    await client.emit('interactionCreate', createFakeInteraction(guild, 'counter-setup', { type: 'members', category: 'Stats' }));
+    
+    assert.deepStrictEqual(await bot.getClusterStats(), { shards: [0], guilds: 1, counters: 1, healthy: true, shardCount: 1, missingShards: 0 });
+    
+    const otherShard = { getCounterStats: () => ({ shards: [1], guilds: 40, counters: 7, healthy: true }) };
+    client.shard = {
+        ids: [0],
+        count: 3,
+        broadcastEval: async (script) => [script(client), script(otherShard), script({})]
+    };
+    
+    const stats = await bot.getClusterStats();
+    assert.deepStrictEqual(stats.shards, [0, 1]);
+    assert.strictEqual(stats.guilds, 41);
+    assert.strictEqual(stats.counters, 8);
+    assert.strictEqual(stats.missingShards, 1);
+    
+    const metrics = await bot.renderMetrics();
+    assert.match(metrics, /^counter_bot_cluster_guilds 41$/m);
+    assert.match(metrics, /^counter_bot_cluster_shards\{state="missing"\} 1$/m);
+});
+
+test('the shard manager refuses to share JSON storage between processes', async () => {
+    await assert.rejects(startShardManager({ storageBackend: 'json' }, async () => {}), /SQLite storage backend/);
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Status } = require('discord.js');
+const { createTestBot, createFakeGuild, createFakeInteraction, addFakeMember } = require('./fixtures');
+
+async function startServer(t) {
+    const { bot, client } = await createTestBot({ settings: { statusPort: 0, statusHost: '127.0.0.1' } });
+    t.after(() => bot.destroy());
+    const port = await bot.startStatusServer();
+    const get = (pathname, options) => fetch(`http://127.0.0.1:${port}${pathname}`, options);
+    
+    return { bot, client, get };
+}
+
+test('the status server is off unless a port is configured', async (t) => {
+    const { bot } = await createTestBot();
+    t.after(() => bot.destroy());
+    
+    assert.strictEqual(await bot.startStatusServer(), null);
+});
+
+test('health reports the gateway and the last update pass', async (t) => {
+    const { bot, client, get } = await startServer(t);
+    
+    bot.updateAllCounters();
+    let response = await get('/health');
+    assert.strictEqual(response.status, 200);
+    const health = await response.json();
+    assert.strictEqual(health.gatewayConnected, true);
+    assert.ok(health.lastUpdatePass);
+    
+    client.ws.status = Status.Reconnecting;
+    response = await get('/health');
+    assert.strictEqual(response.status, 503);
+    assert.strictEqual((await response.json()).gatewayConnected, false);
+});
+
+test('a counter that keeps failing does not make the bot unhealthy', async (t) => {
+    const { bot, client, get } = await startServer(t);
+    const guild = createFakeGuild(client);
+    await client.emit('interactionCreate', createFakeInteraction(guild, 'counter-setup', { type: 'members', category: 'Stats' }));
+    await client.emit('interactionCreate', createFakeInteraction(guild, 'counter-setup', { type: 'boosts', category: 'Stats' }));
+    const [members, boosts] = bot.counterConfigs.get(guild.id);
+    
+    const membersChannel = guild.channels.cache.get(members.channelId);
+    membersChannel.setName = async () => {
+        throw new Error('Missing Permissions');
+    };
+    membersChannel.name = 'Total Members: 5';
+    
+    // Two intervals with the members counter failing every time
+    for (let pass = 0; pass < 2; pass++) {
+        bot.updateAllCounters();
+        await bot.runCounterUpdate(members.channelId);
+        await bot.runCounterUpdate(boosts.channelId);
+    }
+    
+    assert.strictEqual(bot.counterStatus.get(members.channelId).error, 'Missing Permissions');
+    const response = await get('/health');
+    assert.strictEqual(response.status, 200);
+    assert.ok((await response.json()).lastUpdatePass);
+});
+
+test('metrics count counters, renames and rate limits in the Prometheus format', async (t) => {
+    const { bot, client, get } = await startServer(t);
+    const guild = createFakeGuild(client);
+    await client.emit('interactionCreate', createFakeInteraction(guild, 'counter-setup', { type: 'members', category: 'Stats' }));
+    const [config] = bot.counterConfigs.get(guild.id);
+    
+    await client.emit('guildMemberAdd', addFakeMember(guild, {}));
+    await bot.runCounterUpdate(config.channelId);
+    bot.recordRateLimit();
+    
+    const response = await get('/metrics');
+    assert.match(response.headers.get('content-type'), /^text\/plain; version=0\.0\.4/);
+    const body = await response.text();
+    assert.match(body, /^counter_bot_guilds 1$/m);
+    assert.match(body, /^counter_bot_counters\{type="members",display="voice"\} 1$/m);
+    assert.match(body, /^counter_bot_renames_total\{result="success"\} 1$/m);
+    assert.match(body, /^counter_bot_discord_rate_limits_total 1$/m);
+    assert.match(body, /^counter_bot_update_latency_seconds_count 1$/m);
+    assert.match(body, /^# TYPE counter_bot_update_latency_seconds histogram$/m);
+});
+
+test('counters are listed per guild as read-only JSON', async (t) => {
+    const { bot, client, get } = await startServer(t);
+    const guild = createFakeGuild(client);
+    await client.emit('interactionCreate', createFakeInteraction(guild, 'counter-setup', { type: 'bots', category: 'Stats' }));
+    
+    const { guilds } = await (await get('/counters')).json();
+    assert.strictEqual(guilds[guild.id].name, guild.name);
+    assert.deepStrictEqual(guilds[guild.id].counters.map(counter => counter.type), ['bots']);
+    assert.strictEqual(guilds[guild.id].settings.autoRecreate, false);
+    
+    const post = await get('/counters', { method: 'POST' });
+    assert.strictEqual(post.status, 405);
+    assert.strictEqual((await get('/unknown')).status, 404);
+    assert.strictEqual(bot.counterConfigs.get(guild.id).length, 1);
+});
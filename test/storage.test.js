@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SCHEMA_VERSION, HISTORY_SCHEMA_VERSION, AUDIT_SCHEMA_VERSION, migrateConfigData, migrateHistoryData, createJsonStorage, createSqliteStorage } = require('../src/storage');
+
+const silent = async () => {};
+
+const sample = {
+    schemaVersion: SCHEMA_VERSION,
+    counterConfigs: {
+        '123': {
+            serverName: 'Test Server',
+            configs: [{ channelId: '1', categoryId: '2', type: 'members' }],
+            settings: { autoRecreate: true }
+        }
+    }
+};
+
+const sampleHistory = {
+    schemaVersion: HISTORY_SCHEMA_VERSION,
+    guilds: {
+        '123': {
+            samples: [{ time: 1000, members: 10, online: 4, counters: { '1': 10 } }],
+            hours: { '0': { joins: 2, leaves: 1 } }
+        }
+    }
+};
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'counter-storage-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('migrateConfigData upgrades the original array format', () => {
+    const data = migrateConfigData({ counterConfigs: { '123': [{ channelId: '1', type: 'bots' }] } });
+    
+    assert.strictEqual(data.schemaVersion, SCHEMA_VERSION);
+    assert.deepStrictEqual(data.counterConfigs['123'], {
+        serverName: 'Unknown Server',
+        configs: [{ channelId: '1', type: 'bots' }]
+    });
+});
+
+test('json storage round-trips data and treats missing or empty files as no data', async (t) => {
+    const file = path.join(tempDir(t), 'config.json');
+    const storage = createJsonStorage(file, silent);
+    
+    assert.strictEqual(await storage.load(), null);
+    fs.writeFileSync(file, '\n');
+    assert.strictEqual(await storage.load(), null);
+    
+    await storage.save(sample);
+    assert.deepStrictEqual(await storage.load(), sample);
+    assert.strictEqual(fs.existsSync(`${file}.tmp`), false);
+});
+
+test('json storage restores a corrupt file from its backup', async (t) => {
+    const dir = tempDir(t);
+    const file = path.join(dir, 'config.json');
+    const storage = createJsonStorage(file, silent);
+    
+    await storage.save(sample);
+    await storage.save({ ...sample, counterConfigs: {} });
+    fs.writeFileSync(file, '{ not json');
+    
+    assert.deepStrictEqual(await storage.load(), sample);
+    assert.ok(fs.readdirSync(dir).some(name => name.startsWith('config.json.corrupt-')));
+});
+
+test('sqlite storage round-trips data and migrates from json', async (t) => {
+    try {
+        require.resolve('better-sqlite3');
+    } catch (error) {
+        t.skip('better-sqlite3 is not installed');
+        return;
+    }
+    
+    const dir = tempDir(t);
+    const jsonFile = path.join(dir, 'config.json');
+    await createJsonStorage(jsonFile, silent).save(sample);
+    
+    const historyFile = path.join(dir, 'history.json');
+    await createJsonStorage(historyFile, silent, migrateHistoryData).save(sampleHistory);
+    
+    const auditFile = path.join(dir, 'audit.json');
+    const storage = createSqliteStorage(path.join(dir, 'counters.db'), jsonFile, historyFile, auditFile, silent);
+    assert.deepStrictEqual(await storage.load(), sample);
+    assert.deepStrictEqual(await storage.history.load(), sampleHistory);
+    assert.strictEqual(await storage.audit.load(), null);
+    
+    const updated = { ...sample, counterConfigs: { '456': { serverName: 'Other', configs: [] } } };
+    await storage.save(updated);
+    assert.deepStrictEqual(await storage.load(), updated);
+    
+    const updatedHistory = { ...sampleHistory, guilds: {} };
+    await storage.history.save(updatedHistory);
+    assert.deepStrictEqual(await storage.history.load(), updatedHistory);
+    
+    const audit = {
+        schemaVersion: AUDIT_SCHEMA_VERSION,
+        guilds: { '123': [{ time: 1, userId: '1', userTag: 'admin', command: 'counter-reset', summary: 'Removed 2 counters' }] }
+    };
+    await storage.audit.save(audit);
+    assert.deepStrictEqual(await storage.audit.load(), audit);
+    assert.deepStrictEqual(await storage.history.load(), updatedHistory);
+});
+
+test('sqlite storage shared by shards only loads and replaces each shard\'s own guilds', async (t) => {
+    try {
+        require.resolve('better-sqlite3');
+    } catch (error) {
+        t.skip('better-sqlite3 is not installed');
+        return;
+    }
+    
+    const dir = tempDir(t);
+    const file = path.join(dir, 'counters.db');
+    const open = (guildId) => createSqliteStorage(file, path.join(dir, 'config.json'), path.join(dir, 'history.json'), path.join(dir, 'audit.json'), silent, id => id === guildId);
+    const shardA = open('123');
+    const shardB = open('456');
+    const guildData = (serverName) => ({ serverName, configs: [{ channelId: `${serverName}-1`, type: 'members' }] });
+    
+    await shardA.save({ schemaVersion: SCHEMA_VERSION, counterConfigs: { '123': guildData('A') } });
+    await shardB.save({ schemaVersion: SCHEMA_VERSION, counterConfigs: { '456': guildData('B') } });
+    await shardA.save({ schemaVersion: SCHEMA_VERSION, counterConfigs: { '123': guildData('A2') } });
+    
+    assert.deepStrictEqual(Object.keys((await shardA.load()).counterConfigs), ['123']);
+    assert.strictEqual((await shardA.load()).counterConfigs['123'].serverName, 'A2');
+    assert.deepStrictEqual((await shardB.load()).counterConfigs, { '456': guildData('B') });
+    
+    await shardB.history.save({ schemaVersion: HISTORY_SCHEMA_VERSION, guilds: { '456': { samples: [], hours: {} } } });
+    await shardA.history.save({ schemaVersion: HISTORY_SCHEMA_VERSION, guilds: {} });
+    assert.deepStrictEqual(Object.keys((await shardB.history.load()).guilds), ['456']);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { formatCount, renderCounterName, validateTemplate, MAX_CHANNEL_NAME_LENGTH } = require('../src/templates');
+
+const guild = { id: '1', name: 'Test Server', roles: { cache: new Map() } };
+
+test('formatCount supports compact, comma and padded formats', () => {
+    assert.strictEqual(formatCount(1234), '1234');
+    assert.strictEqual(formatCount(1234, 'comma'), '1,234');
+    assert.strictEqual(formatCount(1234, 'comma', 'de'), '1.234');
+    assert.strictEqual(formatCount(999, 'compact'), '999');
+    assert.strictEqual(formatCount(1250, 'compact'), '1.2k');
+    assert.strictEqual(formatCount(2000000, 'compact'), '2m');
+    assert.strictEqual(formatCount(42, 'pad4'), '0042');
+});
+
+test('renderCounterName uses the default template', () => {
+    assert.strictEqual(renderCounterName(guild, { type: 'members' }, 42), 'Total Members: 42');
+});
+
+test('renderCounterName fills template placeholders', () => {
+    const config = { type: 'bots', template: '{guild} {label} ∙ {count:comma}' };
+    assert.strictEqual(renderCounterName(guild, config, 1500), 'Test Server Total Bots ∙ 1,500');
+});
+
+test('renderCounterName shows goal progress', () => {
+    const config = { type: 'members', goal: { target: 1000, step: 1000 } };
+    assert.strictEqual(renderCounterName(guild, config, 950), 'Goal: 950 / 1,000');
+});
+
+test('renderCounterName truncates to the channel name limit', () => {
+    const config = { type: 'members', template: 'x'.repeat(150) + '{count}' };
+    assert.strictEqual(renderCounterName(guild, config, 1).length, MAX_CHANNEL_NAME_LENGTH);
+});
+
+test('validateTemplate rejects unknown placeholders and formats', () => {
+    const config = { type: 'members' };
+    
+    assert.strictEqual(validateTemplate('{label}: {count:compact}', guild, config), null);
+    assert.deepStrictEqual(validateTemplate('{members}', guild, config), {
+        key: 'templates.unknownPlaceholder',
+        vars: { placeholder: '{members}', available: '{count}, {goal}, {label}, {type}, {guild}' }
+    });
+    assert.deepStrictEqual(validateTemplate('{count:huge}', guild, config), { key: 'templates.unknownFormat', vars: { format: 'huge' } });
+    assert.deepStrictEqual(validateTemplate('no placeholders', guild, config), { key: 'templates.countRequired' });
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    parseCountdownDate,
+    getCountdownMinutes,
+    formatCountdown,
+    getCountdownChange,
+    getClockMinutes,
+    formatClock,
+    getClockChange,
+    formatServerAge,
+    getServerAgeChange
+} = require('../src/time-counters');
+const { validateTemplate } = require('../src/templates');
+const { createTestBot, createFakeGuild, createFakeInteraction } = require('./fixtures');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+test('countdown dates are read in the chosen time zone', () => {
+    assert.strictEqual(parseCountdownDate('2026-12-31 18:00', 'Europe/Berlin'), Date.UTC(2026, 11, 31, 17, 0));
+    assert.strictEqual(parseCountdownDate('2026-07-01 12:00', 'Europe/Berlin'), Date.UTC(2026, 6, 1, 10, 0));
+    assert.strictEqual(parseCountdownDate('2026-07-01'), Date.UTC(2026, 6, 1));
+    assert.strictEqual(parseCountdownDate('2026-07-01T12:00:00+02:00'), Date.UTC(2026, 6, 1, 10, 0));
+    assert.strictEqual(parseCountdownDate('<t:1798761600:R>'), 1798761600000);
+    assert.strictEqual(parseCountdownDate('2026-02-30'), null);
+    assert.strictEqual(parseCountdownDate('next friday'), null);
+});
+
+test('countdowns round up to hours, then to five minutes near the end', () => {
+    const now = Date.UTC(2026, 0, 1);
+    const far = { target: now + 3 * DAY + 3 * HOUR + 10 * MINUTE };
+    const near = { target: now + 4 * HOUR + 21 * MINUTE };
+    
+    assert.strictEqual(formatCountdown(getCountdownMinutes(far, now)), '3d 4h');
+    assert.strictEqual(getCountdownChange(far, now), now + 10 * MINUTE);
+    assert.strictEqual(formatCountdown(getCountdownMinutes(near, now)), '4h 25m');
+    assert.strictEqual(formatCountdown(getCountdownMinutes(near, now), 'de'), '4 Std. 25 Min.');
+    assert.strictEqual(getCountdownChange(near, now), now + MINUTE);
+    assert.strictEqual(formatCountdown(getCountdownMinutes(near, near.target + 1)), 'now');
+    assert.strictEqual(getCountdownChange(near, near.target + 1), null);
+});
+
+test('clocks follow the time zone in five minute steps', () => {
+    const now = Date.UTC(2026, 0, 1, 10, 7, 30);
+    
+    assert.strictEqual(formatClock(getClockMinutes({ timeZone: 'Asia/Kolkata' }, now)), '15:35');
+    assert.strictEqual(formatClock(getClockMinutes({}, now)), '10:05');
+    assert.strictEqual(getClockChange(now), Date.UTC(2026, 0, 1, 10, 10));
+});
+
+test('server age is shown in calendar years, months and days', () => {
+    const guild = { createdTimestamp: Date.UTC(2024, 0, 15, 12) };
+    
+    assert.strictEqual(formatServerAge(guild, Date.UTC(2026, 3, 20)), '2y 3mo');
+    assert.strictEqual(formatServerAge(guild, Date.UTC(2024, 2, 20)), '2mo 4d');
+    assert.strictEqual(formatServerAge(guild, Date.UTC(2024, 0, 20), 'fr'), '4 j');
+    assert.strictEqual(getServerAgeChange(guild, Date.UTC(2024, 0, 20)), Date.UTC(2024, 0, 20, 12));
+});
+
+test('time counters are set up with their own options and schedule their next update', async (t) => {
+    const { bot, client } = await createTestBot();
+    t.after(() => bot.destroy());
+    const guild = createFakeGuild(client);
+    const target = new Date(Date.now() + 3 * DAY + 2 * HOUR + 30 * MINUTE).toISOString();
+    
+    await client.emit('interactionCreate', createFakeInteraction(guild, 'counter-setup', {
+        type: 'countdown',
+        category: 'Events',
+        'countdown-to': target,
+        event: 'Launch',
+        template: '{label} in {count}'
+    }));
+    
+    const [config] = bot.counterConfigs.get(guild.id);
+    assert.deepStrictEqual(config.time, { target: Date.parse(target), event: 'Launch' });
+    assert.strictEqual(guild.channels.cache.get(config.channelId).name, 'Launch in 3d 3h');
+    
+    const pending = bot.getPendingUpdate(config.channelId);
+    assert.deepStrictEqual([...pending.reasons], ['time']);
+    assert.ok(Math.abs(pending.dueAt - (Date.now() + 30 * MINUTE)) < MINUTE);
+    
+    await client.emit('interactionCreate', createFakeInteraction(guild, 'counter-setup', { type: 'clock', category: 'Events', timezone: 'Asia/Tokyo' }));
+    assert.match(guild.channels.cache.get(bot.counterConfigs.get(guild.id)[1].channelId).name, /^Time in Tokyo: \d{2}:\d[05]$/);
+});
+
+test('time counter options are validated', async (t) => {
+    const { bot, client } = await createTestBot();
+    t.after(() => bot.destroy());
+    const guild = createFakeGuild(client);
+    
+    const cases = [
+        [{ type: 'countdown' }, /need a `countdown-to` date/],
+        [{ type: 'countdown', 'countdown-to': 'soon' }, /not a date I understand/],
+        [{ type: 'countdown', 'countdown-to': '2020-01-01' }, /already passed/],
+        [{ type: 'clock', timezone: 'Mars/Olympus' }, /not a time zone/],
+        [{ type: 'clock', event: 'Launch' }, /only apply to the `countdown` counter type/],
+        [{ type: 'members', timezone: 'UTC' }, /only apply to the `countdown`, `clock` and `server-age`/],
+        [{ type: 'server-age', goal: 365 }, /Goals can't be used/]
+    ];
+    for (const [options, expected] of cases) {
+        const interaction = createFakeInteraction(guild, 'counter-setup', { category: 'Stats', ...options });
+        await client.emit('interactionCreate', interaction);
+        assert.match(interaction.replies[0].content, expected);
+    }
+    assert.strictEqual(bot.counterConfigs.has(guild.id), false);
+    
+    assert.strictEqual(validateTemplate('{count:comma}', guild, { type: 'clock' }).key, 'templates.timeFormatUnsupported');
+});